@@ -0,0 +1,18 @@
+/**
+ * Socket Base Client file system storage adapter TypeScript Definitions
+ */
+
+import { StorageAdapter } from './index.js';
+
+export interface FileStorageOptions {
+  /** Directory for the queue files (required) */
+  directory: string;
+}
+
+/** Stores each key as a JSON file in a directory (Node.js only) */
+export class FileStorage implements StorageAdapter {
+  constructor(options: FileStorageOptions);
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
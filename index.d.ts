@@ -7,16 +7,418 @@ export interface SocketBaseClientConfig {
   url?: string;
   /** Project hash (required) */
   hash: string;
-  /** JWT token (required) */
-  jwt: string;
+  /** JWT token, or a (possibly async) provider called before each connect (required) */
+  jwt: string | TokenProvider;
+  /** Close codes and server error codes treated as auth failures (default: [1008, 4001, 4003]) */
+  authErrorCodes?: Array<number | string>;
+  /** Wire codec: 'json', 'msgpack', 'cbor' or a custom codec (default: 'json') */
+  codec?: 'json' | 'msgpack' | 'cbor' | Codec;
+  /**
+   * Compress large payloads: true for deflate, a CompressionStream format or a custom compressor (default: false).
+   * Without CompressionStream, true and format names throw and a custom compressor is required.
+   */
+  compression?: boolean | CompressionFormat | Compressor;
+  /** Minimum encoded payload size in bytes to compress (default: 1024) */
+  compressionThreshold?: number;
+  /** End-to-end encryption of room payloads (default: none) */
+  encryption?: EncryptionConfig;
+  /** WebSocket constructor, e.g. from the ws package (default: globalThis.WebSocket) */
+  WebSocket?: WebSocketConstructor;
+  /**
+   * Headers sent when connecting. Only WebSocket implementations that accept options,
+   * such as ws, and the polling transport send them (default: none)
+   */
+  headers?: Record<string, string>;
+  /** WebSocket subprotocols (default: none) */
+  protocols?: string | string[];
+  /** Transports to try in order, switching when a connection fails before opening (default: ['websocket']) */
+  transports?: TransportName[];
+  /** fetch implementation for the polling transport (default: globalThis.fetch) */
+  fetch?: typeof fetch;
+  /** Share one connection between the tabs of this origin (default: false) */
+  shared?: boolean | SharedOptions;
   /** Enable auto-reconnect (default: true) */
   autoReconnect?: boolean;
+  /** Logger, e.g. console, consoleLogger(), pinoLogger() or winstonLogger() (default: none, silent) */
+  logger?: Logger;
+  /** Minimum level logged (default: 'info') */
+  logLevel?: LogLevel;
+  /** Replace payloads in logged frames, or return what to log (default: true) */
+  logRedact?: boolean | ((frame: Frame) => any);
+  /** Instrumentation hooks (default: none) */
+  instrumentation?: Instrumentation | Instrumentation[];
+  /** Network and visibility source, false to ignore both (default: browser events when available) */
+  connectivity?: ConnectivitySource | false;
+  /** Disconnect after the page is hidden this long in milliseconds, 0 to stay connected (default: 0) */
+  backgroundTimeout?: number;
+  /** Timeout for join/leave requests and RPC calls in milliseconds, 0 to disable (default: 10000) */
+  requestTimeout?: number;
+  /** Ask for missed messages when re-joining rooms after a reconnect (default: true) */
+  resumeRooms?: boolean;
+  /** Tag messages with IDs and make send()/broadcast() return a promise for the server ack (default: false) */
+  ackMessages?: boolean;
+  /** Timeout for message acks in milliseconds, 0 to disable (default: 10000) */
+  ackTimeout?: number;
+  /** Maximum number of frames queued while offline (default: 1000) */
+  maxQueueSize?: number;
+  /** What to do when the outbound queue is full (default: 'drop-oldest') */
+  queueOverflow?: QueueOverflowPolicy;
+  /** Time-to-live of queued frames in milliseconds, 0 for none (default: 0) */
+  queueTTL?: number;
+  /** Storage adapter that persists queued messages across restarts (default: none) */
+  queueStorage?: StorageAdapter;
+  /** Storage key for the queue (default: 'socket-base:<hash>:queue') */
+  queueKey?: string;
+  /** Token-bucket limit on sent messages and broadcasts (default: none) */
+  rateLimit?: RateLimitOptions;
+  /** Coalesce unacknowledged messages sent within this many milliseconds into one frame per room, 0 to disable (default: 0) */
+  batchWindow?: number;
+  /** Messages per batch before it is sent early (default: 50) */
+  maxBatchSize?: number;
+  /** Interval between heartbeat pings in milliseconds, 0 to disable (default: 0) */
+  heartbeatInterval?: number;
+  /** Missed pongs before the connection is considered dead (default: 2) */
+  maxMissedPongs?: number;
   /** Auto-connect on client creation (default: true) */
   autoConnect?: boolean;
-  /** Maximum reconnect attempts (default: 5) */
+  /** Maximum reconnect attempts, Infinity for unlimited (default: 5) */
   maxReconnectAttempts?: number;
-  /** Reconnect delay in milliseconds (default: 1000) */
+  /** Base reconnect delay in milliseconds (default: 1000) */
   reconnectDelay?: number;
+  /** Maximum reconnect delay in milliseconds (default: 30000) */
+  maxReconnectDelay?: number;
+  /** Reconnect backoff strategy (default: 'linear') */
+  reconnectStrategy?: ReconnectStrategy;
+  /** Random fraction (0-1) subtracted from each reconnect delay (default: 0) */
+  reconnectJitter?: number;
+}
+
+/** Encodes frames for the wire and decodes received frames */
+export interface Codec {
+  /** Identifies the codec to the server */
+  name?: string;
+  /** Set to 'arraybuffer' for binary codecs */
+  binaryType?: 'arraybuffer';
+  encode(frame: any): string | ArrayBuffer | Uint8Array;
+  decode(data: string | Uint8Array | ArrayBuffer): any;
+}
+
+export type CompressionFormat = 'deflate' | 'deflate-raw' | 'gzip';
+
+/** Compresses large payloads. The name marks compressed frames so receivers can decompress them. */
+export interface Compressor {
+  name: string;
+  compress(bytes: Uint8Array): Promise<Uint8Array | ArrayBuffer>;
+  decompress(bytes: Uint8Array): Promise<Uint8Array | ArrayBuffer>;
+}
+
+export interface EncryptionKey {
+  /** Key ID sent with each message so receivers can pick the right key after a rotation */
+  id: string;
+  /** AES-GCM CryptoKey, or raw 128/256-bit key bytes */
+  key: CryptoKey | ArrayBuffer | Uint8Array;
+}
+
+/**
+ * Returns the current key of a room when keyId is undefined, and the key
+ * with the given ID when decrypting
+ */
+export type KeyProvider = (
+  room: string,
+  keyId?: string
+) => EncryptionKey | null | undefined | Promise<EncryptionKey | null | undefined>;
+
+export interface EncryptionConfig {
+  /** Encrypted rooms, or a function deciding per room */
+  rooms: string[] | ((room: string) => boolean);
+  keyProvider: KeyProvider;
+  /** WebCrypto implementation (default: globalThis.crypto) */
+  crypto?: Crypto;
+}
+
+/** A protocol frame as sent or received, e.g. { type: 'message', room, payload } */
+export interface Frame {
+  type: string;
+  room?: string;
+  payload?: any;
+  id?: string;
+  [field: string]: any;
+}
+
+export interface MiddlewareContext {
+  client: SocketBaseClient;
+  direction: 'outgoing' | 'incoming';
+  /** Send a frame. Frames injected by an outgoing hook start at the next middleware. */
+  send(frame: Frame): void;
+  /** Handle a frame as if it was received. Frames injected by an incoming hook start at the next middleware. */
+  receive(frame: Frame): void;
+}
+
+/** Return a replacement frame, null or false to drop the frame, or nothing to keep it */
+export type MiddlewareHook = (
+  frame: Frame,
+  context: MiddlewareContext
+) => Frame | null | false | void | Promise<Frame | null | false | void>;
+
+export interface Middleware {
+  /** Called before a frame is compressed, encrypted and sent */
+  outgoing?: MiddlewareHook;
+  /** Called after a frame is decoded, decrypted and decompressed, before it is handled */
+  incoming?: MiddlewareHook;
+}
+
+export interface CompressionStats {
+  /** Payloads sent compressed */
+  compressed: number;
+  /** Payloads over the threshold sent plain because compression did not make them smaller */
+  skipped: number;
+  /** Compressed payloads received and decompressed */
+  decompressed: number;
+  /** Encoded size of the compressed payloads before compression */
+  originalBytes: number;
+  /** Size of the compressed payloads */
+  compressedBytes: number;
+  /** compressedBytes / originalBytes, or null before the first compressed payload */
+  ratio: number | null;
+}
+
+export interface TrafficStats {
+  sent: number;
+  received: number;
+}
+
+export interface RoomStats {
+  frames: TrafficStats;
+  /** Encoded frame sizes */
+  bytes: TrafficStats;
+  /** Latency of the last join in ms, or null before the first one */
+  joinLatency: number | null;
+}
+
+export interface ClientStats {
+  frames: TrafficStats;
+  /** Encoded frame sizes */
+  bytes: TrafficStats;
+  /** Connections opened */
+  connects: number;
+  /** Connections opened after the first one */
+  reconnects: number;
+  /** Time connected in ms, including the current connection */
+  connectedTime: number;
+  /** Time from join request to reply in ms, null before the first join */
+  joinLatency: { last: number | null; average: number | null; count: number };
+  /** Frames queued while offline */
+  queueDepth: number;
+  /** Sent messages waiting for an ack */
+  pendingAcks: number;
+  rooms: Record<string, RoomStats>;
+  compression: CompressionStats;
+}
+
+export interface FrameInfo {
+  type: string | undefined;
+  room: string | undefined;
+  bytes: number;
+  /** Decoded frame, null when it could not be decoded */
+  frame: Frame | null;
+}
+
+/** Instrumentation hooks, all optional. See client.instrument(). */
+export interface Instrumentation {
+  /** A connection attempt starts. The returned function is called once it opens or fails. */
+  connect?(info: { transport: TransportName; attempt: number }): void | ((result: { error?: any }) => void);
+  /** A reconnect attempt starts */
+  reconnect?(info: { attempt: number; delay?: number }): void;
+  /** A join request is sent. The returned function is called with the reply latency or the error. */
+  join?(info: { room: string }): void | ((result: { latency?: number; error?: Error }) => void);
+  send?(info: FrameInfo): void;
+  receive?(info: FrameInfo): void;
+  /** An 'error' event is emitted */
+  error?(error: ErrorEvent): void;
+}
+
+export type LogLevel = 'debug' | 'info' | 'warn' | 'error';
+
+/** Any object with these methods, console included */
+export interface Logger {
+  debug(message: string, fields: Record<string, any>): void;
+  info(message: string, fields: Record<string, any>): void;
+  warn(message: string, fields: Record<string, any>): void;
+  error(message: string, fields: Record<string, any>): void;
+}
+
+export interface OpenTelemetryOptions {
+  /** Tracer from @opentelemetry/api (default: no spans) */
+  tracer?: any;
+  /** Meter from @opentelemetry/api (default: no metrics) */
+  meter?: any;
+  /** Span and metric name prefix (default: 'socket_base') */
+  prefix?: string;
+}
+
+export type TransportName = 'websocket' | 'polling';
+
+/** A WebSocket constructor. Node.js implementations such as ws accept `{ headers }` as options. */
+export type WebSocketConstructor = new (url: string, protocols?: string | string[], options?: any) => any;
+
+export interface TransportFallbackEvent {
+  from: TransportName;
+  to: TransportName;
+  /** Error or close event of the failed connection */
+  error: any;
+}
+
+export interface SharedOptions {
+  /** BroadcastChannel and Web Lock name, use one per project and user (default: 'socket-base') */
+  name?: string;
+  /** BroadcastChannel implementation (default: globalThis.BroadcastChannel) */
+  BroadcastChannel?: new (name: string) => any;
+  /** LockManager (default: navigator.locks) */
+  locks?: { request(name: string, options: { signal?: AbortSignal }, callback: (lock: any) => any): Promise<any> };
+}
+
+export interface LeaderEvent {
+  /** ID of this tab */
+  tab: string;
+}
+
+export type TokenProvider = () => string | Promise<string>;
+
+/**
+ * Custom reconnect strategy. Returns the delay in milliseconds before the
+ * given attempt, or null to stop reconnecting.
+ */
+export type ReconnectStrategyFunction = (
+  attempt: number,
+  options: { baseDelay: number; maxDelay: number }
+) => number | null;
+
+export type ReconnectStrategy = 'linear' | 'exponential' | 'fixed' | ReconnectStrategyFunction;
+
+export interface ReconnectingEvent {
+  attempt: number;
+  delay: number;
+}
+
+export interface ReconnectAttemptEvent {
+  attempt: number;
+}
+
+export interface ReconnectFailedEvent {
+  attempts: number;
+}
+
+export type ConnectivityEvent = 'online' | 'offline' | 'visible' | 'hidden';
+
+/** Tells the client whether the network is up and whether the page is visible */
+export interface ConnectivitySource {
+  isOnline(): boolean;
+  isVisible(): boolean;
+  /** Returns a function that removes the listener */
+  subscribe(listener: (event: ConnectivityEvent) => void): () => void;
+}
+
+export interface NetworkEvent {
+  online: boolean;
+}
+
+export interface SuspendedEvent {
+  /** config.backgroundTimeout */
+  timeout: number;
+}
+
+export interface RequestOptions {
+  /** Timeout in milliseconds (default: config.requestTimeout) */
+  timeout?: number;
+}
+
+export interface RpcContext {
+  room: string;
+  method: string;
+  /** Sender of the request, as set by the server */
+  from?: any;
+  /** Aborted when the caller gives up or the connection drops */
+  signal: AbortSignal;
+}
+
+export type RpcHandler = (params: any, context: RpcContext) => any;
+
+/** Rejection of client.request() */
+export interface RpcError extends Error {
+  /** 'timeout', 'disconnected', the remote error's code or 'remote_error' */
+  code: string;
+  /** Data attached to the remote error */
+  data?: any;
+}
+
+export type QueueOverflowPolicy = 'drop-oldest' | 'drop-newest' | 'reject';
+
+/** Async key-value store used to persist the outbound queue */
+export interface StorageAdapter {
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface QueueDropEvent {
+  frame: any;
+  reason: 'overflow' | 'expired';
+}
+
+export interface TokenBucketOptions {
+  /** Messages per interval */
+  rate: number;
+  /** Interval in milliseconds (default: 1000) */
+  interval?: number;
+  /** Messages that can be sent at once (default: rate) */
+  burst?: number;
+}
+
+export interface RateLimitOptions extends Partial<TokenBucketOptions> {
+  /** Limit applied to each room */
+  perRoom?: TokenBucketOptions;
+  /** What to do with a message over the limit (default: 'queue') */
+  overflow?: 'queue' | 'drop' | 'reject';
+}
+
+export interface RateLimitedEvent {
+  frame: any;
+}
+
+export type ConnectionState = 'idle' | 'connecting' | 'open' | 'reconnecting' | 'closing' | 'closed' | 'failed';
+
+export interface StateChangeEvent {
+  state: ConnectionState;
+  previous: ConnectionState;
+}
+
+export interface SendOptions {
+  /** Time-to-live while queued offline in milliseconds (default: config.queueTTL) */
+  ttl?: number;
+  /** Message ID (default: generated) */
+  id?: string;
+  /** Ack timeout in milliseconds (default: config.ackTimeout) */
+  timeout?: number;
+}
+
+export interface SendResult {
+  success: boolean;
+  id: string;
+  room?: string;
+}
+
+export type DeliveryStatus = 'pending' | 'sent' | 'acked' | 'failed';
+
+export interface DeliveryEvent {
+  id: string;
+  room?: string;
+  status: DeliveryStatus;
+  error?: Error;
+}
+
+export interface HeartbeatEvent {
+  /** Round-trip latency in milliseconds */
+  latency: number;
 }
 
 export interface JoinResult {
@@ -29,68 +431,451 @@ export interface LeaveResult {
   room: string;
 }
 
-export interface MessageEvent {
+export interface MessageEvent<T = any> {
   room: string;
-  payload: any;
+  payload: T;
   from?: string;
   timestamp?: number;
+  /** Server-assigned message ID */
+  id?: string;
+  /** True for messages missed while disconnected or fetched with history() */
+  replayed: boolean;
+}
+
+export interface HistoryOptions extends RequestOptions {
+  /** Only return messages older than this message ID or timestamp */
+  before?: string | number;
+  /** Maximum number of messages */
+  limit?: number;
 }
 
-export interface BroadcastEvent {
-  payload: any;
+export interface HistoryResult<T = any> {
+  room: string;
+  messages: MessageEvent<T>[];
+  hasMore: boolean;
+}
+
+export interface BroadcastEvent<T = any> {
+  payload: T;
   from?: string;
 }
 
+export interface ValidationIssue {
+  message: string;
+  path?: ReadonlyArray<PropertyKey | { key: PropertyKey }>;
+}
+
+/** Minimal Standard Schema interface, implemented by Zod, Valibot, ArkType and others */
+export interface StandardSchemaV1<Input = unknown, Output = Input> {
+  readonly '~standard': {
+    readonly version: 1;
+    readonly vendor: string;
+    readonly validate: (
+      value: unknown
+    ) => StandardSchemaResult<Output> | Promise<StandardSchemaResult<Output>>;
+    readonly types?: { readonly input: Input; readonly output: Output };
+  };
+}
+
+export type StandardSchemaResult<Output> =
+  | { readonly value: Output; readonly issues?: undefined }
+  | { readonly issues: ReadonlyArray<ValidationIssue> };
+
+/** A function returning false or throwing for invalid payloads, or a synchronous Standard Schema */
+export type Validator<T = any> = ((payload: any) => boolean | void) | StandardSchemaV1<any, T>;
+
+export interface ValidatorTarget<R extends string = string> {
+  room?: R;
+  /** Frame type */
+  type?: 'message' | 'broadcast';
+}
+
+export interface ValidationErrorEvent<T = any> {
+  type: 'message' | 'broadcast';
+  room?: string;
+  /** The invalid payload */
+  payload: unknown;
+  issues: ValidationIssue[];
+  /** The event that would have been emitted */
+  message: MessageEvent<T> | BroadcastEvent<T>;
+}
+
+/** Error thrown by send() and broadcast() for invalid payloads */
+export interface ValidationError extends Error {
+  code: 'validation_error';
+  issues: ValidationIssue[];
+}
+
+/** Payload type of a room in a room map, any for rooms it does not list */
+export type RoomPayload<Rooms, R extends string> = R extends keyof Rooms ? Rooms[R] : any;
+
 export interface ErrorEvent {
   type: string;
   message?: string;
+  code?: number | string;
+  /** Raw frame data that could not be decoded */
+  raw?: string | ArrayBuffer;
+  /** Request ID the server error refers to */
+  id?: string;
+  room?: string;
+  /** Key ID of a message that could not be decrypted */
+  keyId?: string;
+  /** Direction and frame of a middleware hook that threw, or the frame that could not be encoded */
+  direction?: 'outgoing' | 'incoming';
+  frame?: Frame;
+  /** Event whose listener threw */
+  event?: string;
+  /** Instrumentation hook that threw */
+  hook?: string;
+  /** RPC method whose response could not be sent */
+  method?: string;
   error?: Error;
-  raw?: string;
 }
 
-export type EventType = 'open' | 'close' | 'error' | 'message' | 'joined' | 'left' | 'broadcast';
-export type EventCallback<T = any> = (data: T) => void;
+/** Event data by event name */
+export interface ClientEventMap {
+  open: Event;
+  close: CloseEvent;
+  error: ErrorEvent;
+  message: MessageEvent;
+  joined: { room: string };
+  left: { room: string };
+  rejoined: { room: string };
+  broadcast: BroadcastEvent;
+  reconnecting: ReconnectingEvent;
+  reconnect_attempt: ReconnectAttemptEvent;
+  reconnect_failed: ReconnectFailedEvent;
+  network: NetworkEvent;
+  suspended: SuspendedEvent;
+  delivery: DeliveryEvent;
+  heartbeat: HeartbeatEvent;
+  queue_drop: QueueDropEvent;
+  rate_limited: RateLimitedEvent;
+  statechange: StateChangeEvent;
+  presence_sync: PresenceSyncEvent;
+  presence_join: PresenceJoinEvent;
+  presence_leave: PresenceLeaveEvent;
+  validation_error: ValidationErrorEvent;
+  transport_fallback: TransportFallbackEvent;
+  leader: LeaderEvent;
+}
+
+export type EventType = keyof ClientEventMap;
+/** '*' matches every event, a name ending in '*' every event starting with it */
+export type EventPattern = '*' | `${string}*`;
+export type EventCallback<T = any> = (data: T, event: string) => void;
 export type UnsubscribeFunction = () => void;
 
-export class SocketBaseClient {
+export interface ListenerOptions {
+  /** Only call the listener for events of this room */
+  room?: string;
+  /** Remove the listener after its first call */
+  once?: boolean;
+}
+
+export interface OnceOptions {
+  /** Only match events of this room */
+  room?: string;
+  /** Rejects the promise with the abort reason when aborted */
+  signal?: AbortSignal;
+}
+
+export interface MessageIteratorOptions {
+  /** Stops the iteration with the abort reason when aborted */
+  signal?: AbortSignal;
+  /** Maximum number of messages buffered while the consumer is busy (default: 100) */
+  bufferSize?: number;
+  /** What to do when the buffer is full (default: 'drop-oldest') */
+  overflow?: 'drop-oldest' | 'drop-newest' | 'reject';
+}
+
+export type PresenceList = Record<string, any>;
+
+export interface PresenceJoinEvent {
+  room: string;
+  /** Presence key assigned by the server */
+  key: string;
+  state: any;
+  /** Previous state when an existing presence was updated */
+  previous?: any;
+}
+
+export interface PresenceLeaveEvent {
+  room: string;
+  key: string;
+  state: any;
+}
+
+export interface PresenceSyncEvent {
+  room: string;
+  presences: PresenceList;
+}
+
+export type ChannelStatus = 'joining' | 'joined' | 'leaving' | 'closed' | 'errored';
+
+export interface ChannelStatusEvent {
+  room: string;
+  status: ChannelStatus;
+}
+
+export type ChannelEventType =
+  | 'validation_error'
+  | 'message'
+  | 'status'
+  | 'error'
+  | 'presence_sync'
+  | 'presence_join'
+  | 'presence_leave';
+
+export class Channel<T = any> {
+  /** Room name */
+  readonly room: string;
+  /** Current channel status */
+  readonly status: ChannelStatus;
+
+  /** Join the room */
+  subscribe(options?: RequestOptions): Promise<Channel<T>>;
+
+  /** Leave the room. Listeners stay registered. */
+  unsubscribe(options?: RequestOptions): Promise<Channel<T>>;
+
+  /** Send a message to the room */
+  send(payload: T, options?: SendOptions): void | Promise<SendResult>;
+
+  /** Call a method on the clients of the room */
+  request<Result = any>(method: string, params?: any, options?: RequestOptions): Promise<Result>;
+
+  /** Answer calls to a method in the room. Returns a function that removes the handler. */
+  handle(method: string, handler: RpcHandler): () => void;
+
+  /** Validate the payloads sent and received in the room. Returns a function that removes the validator. */
+  validate(validator: Validator<T>): () => void;
+
+  /** Publish this client's presence state in the room */
+  track(state: any): void;
+
+  /** Stop publishing this client's presence state in the room */
+  untrack(): void;
+
+  /** Get the presence list of the room */
+  presenceState(): PresenceList;
+
+  /** Subscribe to channel events. The channel is removed once its last listener is removed. */
+  on(event: 'message', callback: EventCallback<MessageEvent<T>>): UnsubscribeFunction;
+  on(event: 'validation_error', callback: EventCallback<ValidationErrorEvent<T>>): UnsubscribeFunction;
+  on(event: 'status', callback: EventCallback<ChannelStatusEvent>): UnsubscribeFunction;
+  on(event: 'error', callback: EventCallback<ErrorEvent>): UnsubscribeFunction;
+  on(event: 'presence_sync', callback: EventCallback<PresenceSyncEvent>): UnsubscribeFunction;
+  on(event: 'presence_join', callback: EventCallback<PresenceJoinEvent>): UnsubscribeFunction;
+  on(event: 'presence_leave', callback: EventCallback<PresenceLeaveEvent>): UnsubscribeFunction;
+  on(event: ChannelEventType, callback: EventCallback): UnsubscribeFunction;
+}
+
+/**
+ * Rooms optionally maps room names to payload types, e.g.
+ * `createClient<{ chat: ChatMessage }>(config)`, making send() and friends type-safe.
+ */
+export class SocketBaseClient<Rooms extends Record<string, any> = Record<string, any>> {
   constructor(config: SocketBaseClientConfig);
 
-  /** Connect to the WebSocket server */
+  /**
+   * Connect to the WebSocket server. Returns the pending attempt while a connection is being opened,
+   * and does nothing while one is open or being closed. Rejects with code 'disconnected' when
+   * disconnect() or close() is called before the connection opens.
+   */
   connect(): Promise<void>;
 
+  /** Drop the connection but keep listeners, rooms and queued messages until connect() is called */
+  disconnect(): void;
+
+  /** Drop the current connection and reconnect immediately */
+  reconnect(): Promise<void>;
+
+  /** Replace the JWT token and reconnect with it if a connection is open */
+  setAuth(jwt: string | TokenProvider): Promise<void>;
+
   /** Join a room */
-  join(room: string): Promise<JoinResult>;
+  join(room: string, options?: RequestOptions): Promise<JoinResult>;
 
   /** Leave a room */
-  leave(room: string): Promise<LeaveResult>;
+  leave(room: string, options?: RequestOptions): Promise<LeaveResult>;
+
+  /** Fetch a page of older messages from a room */
+  history<R extends string>(room: R, options?: HistoryOptions): Promise<HistoryResult<RoomPayload<Rooms, R>>>;
+
+  /** Publish this client's presence state in a room. It is sent again after reconnects. */
+  track(room: string, state: any): void;
+
+  /** Stop publishing this client's presence state in a room */
+  untrack(room: string): void;
+
+  /** Get the presence list of a room */
+  getPresence(room: string): PresenceList;
 
-  /** Send a message to a room */
-  send(room: string, payload: any): void;
+  /** Get the channel for a room, creating it on first use */
+  channel<T = never, R extends string = string>(room: R): Channel<[T] extends [never] ? RoomPayload<Rooms, R> : T>;
 
-  /** Broadcast a message to all clients */
-  broadcast(payload: any): void;
+  /** Remove a channel, leaving its room if it is subscribed */
+  removeChannel(channel: Channel): Promise<void>;
+
+  /** Send a message to a room. Returns a promise for the server ack when ackMessages is enabled. */
+  send<R extends string>(room: R, payload: RoomPayload<Rooms, R>, options?: SendOptions): void | Promise<SendResult>;
+
+  /** Broadcast a message to all clients. Returns a promise for the server ack when ackMessages is enabled. */
+  broadcast(payload: any, options?: SendOptions): void | Promise<SendResult>;
+
+  /**
+   * Call a method on the clients of a room and wait for the first response. Rejects with an RpcError
+   * on timeout, when the connection drops, or with the remote handler's error.
+   */
+  request<Result = any>(room: string, method: string, params?: any, options?: RequestOptions): Promise<Result>;
+
+  /** Answer calls to a method in a room. Returns a function that removes the handler. */
+  handle(room: string, method: string, handler: RpcHandler): () => void;
+
+  /**
+   * Add middleware for outgoing and incoming frames. Returns a function that removes it.
+   */
+  use(middleware: Middleware): () => void;
+
+  /** Attach instrumentation hooks. Returns a function that removes them. */
+  instrument(hooks: Instrumentation): () => void;
 
   /** Subscribe to events */
-  on(event: 'open', callback: EventCallback<Event>): UnsubscribeFunction;
-  on(event: 'close', callback: EventCallback<CloseEvent>): UnsubscribeFunction;
-  on(event: 'error', callback: EventCallback<ErrorEvent>): UnsubscribeFunction;
-  on(event: 'message', callback: EventCallback<MessageEvent>): UnsubscribeFunction;
-  on(event: 'joined', callback: EventCallback<{ room: string }>): UnsubscribeFunction;
-  on(event: 'left', callback: EventCallback<{ room: string }>): UnsubscribeFunction;
-  on(event: 'broadcast', callback: EventCallback<BroadcastEvent>): UnsubscribeFunction;
-  on(event: EventType, callback: EventCallback): UnsubscribeFunction;
+  on<E extends EventType>(event: E, callback: EventCallback<ClientEventMap[E]>, options?: ListenerOptions): UnsubscribeFunction;
+  on(event: EventPattern, callback: EventCallback, options?: ListenerOptions): UnsubscribeFunction;
+
+  /** Subscribe to the next occurrence of an event */
+  once<E extends EventType>(event: E, callback: EventCallback<ClientEventMap[E]>, options?: ListenerOptions): UnsubscribeFunction;
+  once(event: EventPattern, callback: EventCallback, options?: ListenerOptions): UnsubscribeFunction;
+  /** Wait for the next occurrence of an event */
+  once<E extends EventType>(event: E, options?: OnceOptions): Promise<ClientEventMap[E]>;
+  once(event: EventPattern, options?: OnceOptions): Promise<any>;
+
+  /** Remove a listener, every listener of an event, or every listener */
+  off(event?: EventType | EventPattern, callback?: EventCallback<any>): void;
+
+  /** Iterate over the messages of a room */
+  messages<R extends string>(
+    room: R,
+    options?: MessageIteratorOptions
+  ): AsyncIterableIterator<MessageEvent<RoomPayload<Rooms, R>>>;
+
+  /**
+   * Validate the payloads of a room or frame type. Invalid outgoing payloads make send() and broadcast()
+   * throw a ValidationError, invalid incoming ones emit 'validation_error' instead of 'message'.
+   * Returns a function that removes the validator.
+   */
+  validate<R extends string>(target: R | ValidatorTarget<R>, validator: Validator<RoomPayload<Rooms, R>>): () => void;
 
   /** Close the WebSocket connection */
   close(): void;
 
   /** Get connection status */
   getConnectionStatus(): boolean;
+
+  /** Get the connection state */
+  getState(): ConnectionState;
+
+  /** Get the name of the transport in use, or the last one used */
+  getTransport(): TransportName;
+
+  /** Whether this tab holds the connection, always true unless shared mode is on */
+  isLeader(): boolean;
+
+  /** Get the round-trip latency measured by the last heartbeat, or null before the first pong */
+  getLatency(): number | null;
+
+  /** Get the rooms this client is currently a member of */
+  getRooms(): string[];
+
+  /** Get client statistics */
+  getStats(): ClientStats;
+}
+
+export const jsonCodec: Codec;
+export const msgpackCodec: Codec;
+export const cborCodec: Codec;
+
+/** Keeps values in memory. Nothing survives a restart. */
+export class MemoryStorage implements StorageAdapter {
+  constructor();
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+/** Stores values as JSON in a Web Storage object (default: localStorage) */
+export class WebStorage implements StorageAdapter {
+  constructor(storage?: Storage);
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface IndexedDBStorageOptions {
+  /** Database name (default: 'socket-base') */
+  dbName?: string;
+  /** Object store name (default: 'queue') */
+  storeName?: string;
+  /** IndexedDB factory (default: globalThis.indexedDB) */
+  indexedDB?: IDBFactory;
 }
 
+/** Stores values in an IndexedDB object store */
+export class IndexedDBStorage implements StorageAdapter {
+  constructor(options?: IndexedDBStorageOptions);
+  getItem(key: string): Promise<any>;
+  setItem(key: string, value: any): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export interface BrowserConnectivityOptions {
+  /** Receives online/offline events (default: globalThis.window) */
+  window?: EventTarget;
+  /** Receives visibilitychange events (default: globalThis.document) */
+  document?: Document;
+  /** Provides onLine (default: globalThis.navigator) */
+  navigator?: Navigator;
+}
+
+/** Follows the browser's online/offline and visibilitychange events */
+export class BrowserConnectivity implements ConnectivitySource {
+  constructor(options?: BrowserConnectivityOptions);
+  static isAvailable(): boolean;
+  isOnline(): boolean;
+  isVisible(): boolean;
+  subscribe(listener: (event: ConnectivityEvent) => void): () => void;
+}
+
+/** Driven by the application, for Node.js or any environment without browser events */
+export class ManualConnectivity implements ConnectivitySource {
+  constructor(options?: { online?: boolean; visible?: boolean });
+  isOnline(): boolean;
+  isVisible(): boolean;
+  subscribe(listener: (event: ConnectivityEvent) => void): () => void;
+  setOnline(online: boolean): void;
+  setVisible(visible: boolean): void;
+}
+
+/** Log to the console, or any object with the same methods, with a '[socket-base]' prefix */
+export function consoleLogger(target?: Pick<Console, LogLevel>, options?: { prefix?: string }): Logger;
+
+/** Log to a pino logger: fields first, errors under `err` */
+export function pinoLogger(pino: Record<LogLevel, (fields: object, message: string) => void>): Logger;
+
+/** Log to a winston logger, with the fields as metadata */
+export function winstonLogger(winston: { log(level: string, message: string, meta: object): any }): Logger;
+
+/** Instrumentation hooks that report spans and metrics to OpenTelemetry */
+export function openTelemetryInstrumentation(options?: OpenTelemetryOptions): Instrumentation;
+
 /**
  * Create a Socket Base client
  */
-export function createClient(config: SocketBaseClientConfig): SocketBaseClient;
+export function createClient<Rooms extends Record<string, any> = Record<string, any>>(
+  config: SocketBaseClientConfig
+): SocketBaseClient<Rooms>;
 
 export default { createClient };
 
@@ -3,270 +3,2786 @@
  * Similar to Supabase's client pattern
  */
 
+import { OutboundQueue } from './lib/queue.js';
+import { Channel } from './lib/channel.js';
+import { PresenceState } from './lib/presence.js';
+import { resolveCodec, isBinary } from './lib/codecs.js';
+import { resolveCompression, bytesToBase64, base64ToBytes, toBytes } from './lib/compression.js';
+import { RoomEncryption } from './lib/encryption.js';
+import { EventIterator } from './lib/event-iterator.js';
+import { assertValidator, runValidator } from './lib/validation.js';
+import { PollingTransport } from './lib/polling-transport.js';
+import { SharedConnection, isSharingSupported } from './lib/shared.js';
+import { BrowserConnectivity } from './lib/connectivity.js';
+import { Logger } from './lib/logger.js';
+import { RateLimiter } from './lib/rate-limiter.js';
+import { Rpc, isRpcPayload } from './lib/rpc.js';
+
+const TRANSPORTS = ['websocket', 'polling'];
+
+// Frames carrying application messages, which are rate limited and batched
+const MESSAGE_TYPES = ['message', 'broadcast'];
+
+// Connection states and the states each one may move to
+const STATE_TRANSITIONS = {
+  idle: ['connecting', 'closing'],
+  connecting: ['open', 'reconnecting', 'failed', 'closing'],
+  open: ['reconnecting', 'closing', 'closed', 'failed'],
+  reconnecting: ['connecting', 'failed', 'closing'],
+  closing: ['closed'],
+  closed: ['connecting', 'closing'],
+  failed: ['connecting', 'reconnecting', 'closing'],
+};
+
 class SocketBaseClient {
   constructor(config) {
     this.url = config.url || 'wss://api.socket-base.com';
     this.hash = config.hash;
     this.jwt = config.jwt;
+    this.authErrorCodes = config.authErrorCodes || [1008, 4001, 4003];
+    this.authRetried = false;
     this.ws = null;
+    this.logger = new Logger(config.logger, { level: config.logLevel, redact: config.logRedact });
+    this.codec = resolveCodec(config.codec);
+    this.WebSocket = config.WebSocket || null;
+    this.fetch = config.fetch || null;
+    this.headers = config.headers || {};
+    this.protocols = config.protocols;
+    this.transports = config.transports || ['websocket'];
+    this.transportIndex = 0;
+    this.shared = this.createShared(config.shared);
+    this.compression = resolveCompression(config.compression);
+    this.compressionThreshold = config.compressionThreshold !== undefined ? config.compressionThreshold : 1024;
+    this.compressionStats = { compressed: 0, skipped: 0, decompressed: 0, originalBytes: 0, compressedBytes: 0 };
+    this.connectionStats = {
+      framesSent: 0,
+      framesReceived: 0,
+      bytesSent: 0,
+      bytesReceived: 0,
+      connects: 0,
+      connectedTime: 0,
+      joins: 0,
+      joinLatencyTotal: 0,
+      lastJoinLatency: null,
+    };
+    this.roomStats = new Map();
+    this.connectedAt = null;
+    this.endConnect = null;
+    this.openAttempt = null;
+    this.connectPromise = null;
+    this.instrumentation = [];
+    this.encryption = config.encryption ? new RoomEncryption(config.encryption) : null;
+    this.middleware = [];
+    this.validators = [];
+    this.pendingWrites = 0;
+    this.writeChain = Promise.resolve();
+    this.pendingReads = 0;
+    this.readChain = Promise.resolve();
     this.listeners = new Map();
+    this.iterators = new Set();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = config.maxReconnectAttempts || 5;
     this.reconnectDelay = config.reconnectDelay || 1000;
+    this.maxReconnectDelay = config.maxReconnectDelay || 30000;
+    this.reconnectStrategy = config.reconnectStrategy || 'linear';
+    this.reconnectJitter = config.reconnectJitter || 0;
+    this.reconnectTimer = null;
     this.autoReconnect = config.autoReconnect !== false; // default true
-    this.isConnecting = false;
-    this.isConnected = false;
-    this.pendingMessages = [];
-    this.joinPromises = new Map();
-    this.leavePromises = new Map();
+    this.connectivity = config.connectivity !== undefined
+      ? config.connectivity || null
+      : (BrowserConnectivity.isAvailable() ? new BrowserConnectivity() : null);
+    this.unsubscribeConnectivity = null;
+    this.backgroundTimeout = config.backgroundTimeout || 0;
+    this.backgroundTimer = null;
+    this.suspended = false;
+    this.state = 'idle';
+    for (const transport of this.transports) {
+      if (!TRANSPORTS.includes(transport)) {
+        throw new Error(`Unknown transport: ${transport}`);
+      }
+    }
+    if (this.transports.length === 0) {
+      throw new Error('At least one transport is required');
+    }
+    if (this.transports.includes('polling') && this.codec.binaryType) {
+      throw new Error('The polling transport only supports text codecs');
+    }
+
+    this.queue = new OutboundQueue({
+      maxSize: config.maxQueueSize || 1000,
+      overflow: config.queueOverflow,
+      ttl: config.queueTTL,
+      storage: config.queueStorage,
+      key: config.queueKey || `socket-base:${config.hash}:queue`,
+      onDrop: (frame, reason) => this.handleQueueDrop(frame, reason),
+      onError: (error) => this.emit('error', { type: 'storage_error', error }),
+    });
+    this.rateLimiter = config.rateLimit ? new RateLimiter(config.rateLimit) : null;
+    // Queued frames that already took their rate limit token in sendMessage()
+    this.rateAcquired = new WeakSet();
+    this.flushTimer = null;
+    this.batchWindow = config.batchWindow || 0;
+    this.maxBatchSize = config.maxBatchSize || 50;
+    this.batches = new Map();
+    this.batchTimer = null;
+    this.requests = new Map();
+    // Set once the server answers a request with its ID, see rejectRequests()
+    this.echoesRequestIds = false;
+    this.requestCounter = 0;
+    // Messages persisted by queueStorage keep their IDs, so IDs must not repeat across sessions
+    this.idPrefix = this.shared ? this.shared.tabId : Math.random().toString(36).slice(2, 10);
+    this.requestTimeout = config.requestTimeout !== undefined ? config.requestTimeout : 10000;
+    this.ackMessages = config.ackMessages === true;
+    this.ackTimeout = config.ackTimeout !== undefined ? config.ackTimeout : 10000;
+    this.outbox = new Map();
+    this.rpc = new Rpc(this);
+    this.heartbeatInterval = config.heartbeatInterval || 0;
+    this.maxMissedPongs = config.maxMissedPongs || 2;
+    this.heartbeatTimer = null;
+    this.missedPongs = 0;
+    this.pendingPing = null;
+    this.latency = null;
+    this.rooms = new Set();
+    this.channels = new Map();
+    this.presence = new Map();
+    this.trackedPresence = new Map();
+    this.resumeRooms = config.resumeRooms !== false; // default true
+    this.lastSeen = new Map();
+
+    for (const hooks of [].concat(config.instrumentation || [])) {
+      this.instrument(hooks);
+    }
+
+    // Frames persisted by a previous session are sent once the socket opens
+    this.queue.restore().then(() => {
+      if (this.isConnected) {
+        this.flushQueue();
+      }
+    });
+  }
+
+  /**
+   * Whether the socket is open
+   * @returns {boolean}
+   */
+  get isConnected() {
+    return this.state === 'open';
+  }
+
+  /**
+   * Whether a connection attempt is in progress
+   * @returns {boolean}
+   */
+  get isConnecting() {
+    return this.state === 'connecting';
+  }
+
+  /**
+   * Move the connection to another state and emit statechange
+   * @private
+   * @param {string} state - Next state
+   * @returns {boolean} false when the transition is not allowed
+   */
+  setState(state) {
+    const previous = this.state;
+    if (state === previous) {
+      return true;
+    }
+    if (!STATE_TRANSITIONS[previous].includes(state)) {
+      this.logger.warn('Ignoring an invalid connection state transition', { from: previous, to: state });
+      return false;
+    }
+
+    this.state = state;
+    this.logger.debug('Connection state changed', { from: previous, to: state });
+    this.emit('statechange', { state, previous });
+    return true;
+  }
+
+  /**
+   * Connect to the WebSocket server. While a connection is being opened,
+   * returns the pending attempt. Does nothing while a connection is open
+   * or being closed.
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.state === 'connecting') {
+      return this.connectPromise;
+    }
+    if (!STATE_TRANSITIONS[this.state].includes('connecting')) {
+      return Promise.resolve();
+    }
+
+    this.suspended = false;
+    // Each connection tries the transports in order again, a fallback only lasts until it drops
+    this.transportIndex = 0;
+    this.setState('connecting');
+    this.watchConnectivity();
+
+    // Settled by dropSocket(), close() or a newer attempt while the token is being resolved
+    let settle = null;
+    this.openAttempt = {
+      resolve: (next) => { settle = () => next; },
+      reject: (error) => { settle = () => { throw error; }; },
+    };
+
+    this.connectPromise = this.resolveToken().then(
+      (token) => {
+        if (settle) {
+          return settle();
+        }
+        return this.openSocket(token);
+      },
+      (error) => {
+        if (settle) {
+          return settle();
+        }
+        this.openAttempt = null;
+        this.setState(this.autoReconnect ? 'reconnecting' : 'failed');
+        this.emit('error', { type: 'auth_error', error });
+        if (this.autoReconnect) {
+          this.scheduleReconnect();
+        }
+        throw error;
+      }
+    );
+    return this.connectPromise;
+  }
+
+  /**
+   * Open a connection with the current transport. When it fails before opening,
+   * the next configured transport is tried right away.
+   * @private
+   * @param {string} token - JWT token
+   * @returns {Promise<void>}
+   */
+  openSocket(token) {
+    return new Promise((resolve, reject) => {
+      let opened = false;
+      // Settled by dropSocket(), close() or restartConnect() when they abandon the attempt
+      const attempt = this.openAttempt = { resolve, reject };
+
+      const transport = this.transports[this.transportIndex];
+      this.logger.info('Connecting', { transport, attempt: this.reconnectAttempts, shared: this.shared !== null });
+      const finish = this.instrumentPoint('connect', { transport, attempt: this.reconnectAttempts });
+      let ended = false;
+      const endConnect = this.endConnect = (error) => {
+        if (ended) {
+          return;
+        }
+        ended = true;
+        if (this.endConnect === endConnect) {
+          this.endConnect = null;
+        }
+        if (finish) {
+          finish({ error });
+        }
+      };
+
+      // WebSocket upgrades may be blocked by the network, switch to the next transport
+      const fallBack = (error) => {
+        if (opened || this.transportIndex + 1 >= this.transports.length
+          || this.state === 'closing' || this.state === 'closed') {
+          return false;
+        }
+        const from = this.transports[this.transportIndex];
+        this.transportIndex++;
+        // The attempt on the next transport settles this one
+        this.openAttempt = null;
+        this.dropSocket();
+        this.logger.warn('Connection failed, falling back to the next transport', { from, to: this.transports[this.transportIndex] });
+        this.emit('transport_fallback', { from, to: this.transports[this.transportIndex], error });
+        this.openSocket(token).then(resolve, reject);
+        return true;
+      };
+
+      try {
+        this.ws = this.shared ? this.shared.createTransport() : this.createTransport(token);
+        if (this.codec.binaryType) {
+          this.ws.binaryType = this.codec.binaryType;
+        }
+
+        this.ws.onopen = (event) => {
+          opened = true;
+          if (this.openAttempt === attempt) {
+            this.openAttempt = null;
+          }
+          this.reconnectAttempts = 0;
+          this.connectionStats.connects++;
+          this.connectedAt = Date.now();
+          this.setState('open');
+          endConnect();
+          this.logger.info('Connected', { transport });
+          this.emit('open', event);
+          this.startHeartbeat();
+
+          // Re-join rooms that were active before the connection dropped
+          this.rejoinRooms();
+
+          // Retry messages that were sent on the previous socket but never acked
+          this.resendUnacked();
+          
+          // Send any pending messages
+          this.flushQueue();
+          
+          resolve();
+        };
+
+        this.ws.onmessage = (event) => {
+          this.receiveFrame(event.data);
+        };
+
+        this.ws.onerror = (error) => {
+          if (!opened) {
+            endConnect(error);
+          }
+          this.emit('error', { type: 'connection_error', error });
+          if (fallBack(error)) {
+            return;
+          }
+          reject(error);
+        };
+
+        this.ws.onclose = (event) => {
+          if (!opened) {
+            endConnect(event);
+          }
+          if (!this.isAuthError(event.code) && fallBack(event)) {
+            return;
+          }
+          // close() already moved the client to closing
+          if (this.state !== 'closing' && this.state !== 'closed') {
+            if (this.autoReconnect) {
+              this.setState('reconnecting');
+            } else {
+              this.setState(opened && !this.isAuthError(event.code) ? 'closed' : 'failed');
+            }
+          }
+          this.recordDisconnect();
+          this.stopHeartbeat();
+          if (opened) {
+            this.rpc.disconnected();
+          }
+          this.logger[event.code === 1000 ? 'info' : 'warn']('Connection closed', { code: event.code, reason: event.reason });
+          this.emit('close', event);
+
+          // Joined channels are re-joined once the client reconnects
+          if (this.autoReconnect) {
+            for (const channel of this.channels.values()) {
+              if (channel.status === 'joined') {
+                channel.setStatus('joining');
+              }
+            }
+          } else if (this.state === 'closed' || this.state === 'failed') {
+            this.endChannels();
+          }
+
+          if (this.isAuthError(event.code)) {
+            this.handleAuthError(event.code, event.reason);
+          } else if (this.autoReconnect) {
+            this.scheduleReconnect();
+          }
+
+          // A socket closed before opening fails the connect() waiting for it
+          if (this.openAttempt === attempt) {
+            this.openAttempt = null;
+            reject(event);
+          }
+        };
+      } catch (error) {
+        endConnect(error);
+        if (fallBack(error)) {
+          return;
+        }
+        this.setState('failed');
+        this.endChannels();
+        reject(error);
+      }
+    });
+  }
+
+  /**
+   * Create a connection with the current transport
+   * @private
+   * @param {string} token - JWT token
+   * @returns {Object} WebSocket, or an object with the same interface
+   */
+  createTransport(token) {
+    const codec = this.codec.name && this.codec.name !== 'json' ? `&codec=${encodeURIComponent(this.codec.name)}` : '';
+
+    if (this.transports[this.transportIndex] === 'polling') {
+      const url = this.url.replace(/^ws(s?):/, 'http$1:');
+      return new PollingTransport(`${url}/poll/${this.hash}`, {
+        query: codec ? `?${codec.slice(1)}` : '',
+        headers: { ...this.headers, Authorization: `Bearer ${token}` },
+        fetch: this.fetch,
+      });
+    }
+
+    const WebSocketImpl = this.WebSocket || globalThis.WebSocket;
+    if (typeof WebSocketImpl !== 'function') {
+      throw new Error('WebSocket is not available in this environment, pass one as config.WebSocket');
+    }
+
+    const wsUrl = `${this.url}/ws/${this.hash}?jwt=${encodeURIComponent(token)}${codec}`;
+
+    // Browsers cannot send headers with a WebSocket, Node.js implementations
+    // such as ws take them as a third argument
+    if (Object.keys(this.headers).length > 0) {
+      return new WebSocketImpl(wsUrl, this.protocols, { headers: this.headers });
+    }
+    return this.protocols !== undefined ? new WebSocketImpl(wsUrl, this.protocols) : new WebSocketImpl(wsUrl);
+  }
+
+  /**
+   * Set up the shared connection when enabled and supported. Without
+   * BroadcastChannel and Web Locks, the tab falls back to its own connection.
+   * @private
+   * @param {boolean|Object} option - config.shared
+   * @returns {SharedConnection|null}
+   */
+  createShared(option) {
+    if (!option) {
+      return null;
+    }
+    const options = option === true ? {} : option;
+    if (!isSharingSupported(options)) {
+      return null;
+    }
+
+    return new SharedConnection(options, {
+      codec: this.codec,
+      openSocket: () => this.resolveToken().then(token => this.createTransport(token)),
+      onLeader: () => {
+        this.logger.info('This tab now holds the shared connection', { tab: this.shared.tabId });
+        this.emit('leader', { tab: this.shared.tabId });
+      },
+    });
+  }
+
+  /**
+   * Generate a request, message or call ID, prefixed with a random ID of this
+   * session. Shared connections use the tab ID, so replies can be routed
+   * back to the tab that asked.
+   * @private
+   * @returns {string}
+   */
+  nextId() {
+    return `${this.idPrefix}.${++this.requestCounter}`;
+  }
+
+  /**
+   * Resolve the current JWT, calling the token provider if one is configured
+   * @private
+   * @returns {Promise<string>}
+   */
+  resolveToken() {
+    try {
+      const token = typeof this.jwt === 'function' ? this.jwt() : this.jwt;
+      return Promise.resolve(token).then((value) => {
+        if (!value) {
+          throw new Error('JWT token provider returned no token');
+        }
+        return value;
+      });
+    } catch (error) {
+      return Promise.reject(error);
+    }
+  }
+
+  /**
+   * Replace the JWT token and reconnect with it if a connection is open
+   * @param {string|Function} jwt - JWT token or token provider
+   * @returns {Promise<void>}
+   */
+  setAuth(jwt) {
+    if (!jwt) {
+      return Promise.reject(new Error('JWT token is required'));
+    }
+
+    this.jwt = jwt;
+    this.authRetried = false;
+
+    if (!this.isConnected && !this.isConnecting) {
+      return Promise.resolve();
+    }
+
+    this.clearReconnectTimer();
+    this.setState('reconnecting');
+    return this.restartConnect();
+  }
+
+  /**
+   * Drop the socket and connect again. A connect() still waiting for the
+   * dropped socket settles with the new attempt.
+   * @private
+   * @returns {Promise<void>}
+   */
+  restartConnect() {
+    const superseded = this.openAttempt;
+    this.openAttempt = null;
+    this.dropSocket();
+    const next = this.connect();
+    if (superseded) {
+      superseded.resolve(next);
+    }
+    return next;
+  }
+
+  /**
+   * Check whether a close code or server error code signals an auth failure
+   * @private
+   */
+  isAuthError(code) {
+    return code !== undefined && this.authErrorCodes.includes(code);
+  }
+
+  /**
+   * Refresh the token and retry once before surfacing an auth failure
+   * @private
+   * @param {number|string} code - Close code or server error code
+   * @param {string} message - Reason reported by the server
+   */
+  handleAuthError(code, message) {
+    if (!this.authRetried && typeof this.jwt === 'function' && this.autoReconnect) {
+      this.logger.warn('Authentication failed, reconnecting with a fresh token', { code });
+      this.authRetried = true;
+      this.clearReconnectTimer();
+      this.setState('reconnecting');
+      this.restartConnect().catch(() => {
+        // Token refresh failed, connect() reports it and schedules a retry
+      });
+      return;
+    }
+
+    this.emit('error', { type: 'auth_error', code, message });
+
+    if (this.autoReconnect && !this.isConnected) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Drop the current connection and reconnect immediately,
+   * skipping any pending reconnect delay. A connect() still waiting
+   * settles with the new attempt.
+   * @returns {Promise<void>}
+   */
+  reconnect() {
+    if (this.state === 'closing') {
+      return Promise.resolve();
+    }
+    this.clearReconnectTimer();
+    if (this.state !== 'idle' && this.state !== 'closed') {
+      this.setState('reconnecting');
+    }
+
+    this.reconnectAttempts++;
+    this.emit('reconnect_attempt', { attempt: this.reconnectAttempts });
+    this.instrumentPoint('reconnect', { attempt: this.reconnectAttempts });
+    return this.restartConnect();
+  }
+
+  /**
+   * Close the current socket without triggering reconnect handling.
+   * Callers move the client to its next state first.
+   * @private
+   */
+  dropSocket() {
+    this.abandonOpenAttempt('Connection attempt abandoned');
+    if (this.ws) {
+      // Detach handlers so the old socket does not schedule another retry
+      this.ws.onopen = null;
+      this.ws.onmessage = null;
+      this.ws.onerror = null;
+      this.ws.onclose = null;
+      this.ws.close();
+      this.ws = null;
+    }
+    if (this.endConnect) {
+      this.endConnect(new Error('Connection attempt abandoned'));
+    }
+    const wasConnected = this.connectedAt !== null;
+    this.recordDisconnect();
+    this.stopHeartbeat();
+    if (wasConnected) {
+      this.rpc.disconnected();
+    }
+  }
+
+  /**
+   * Reject the connect() still waiting for the socket being dropped
+   * @private
+   * @param {string} message - Error message
+   */
+  abandonOpenAttempt(message) {
+    const attempt = this.openAttempt;
+    if (attempt) {
+      this.openAttempt = null;
+      attempt.reject(disconnectedError(message));
+    }
+  }
+
+  /**
+   * Add the time since the socket opened to the connected time
+   * @private
+   */
+  recordDisconnect() {
+    if (this.connectedAt !== null) {
+      this.connectionStats.connectedTime += Date.now() - this.connectedAt;
+      this.connectedAt = null;
+    }
+  }
+
+  /**
+   * Start sending pings on the open socket
+   * @private
+   */
+  startHeartbeat() {
+    this.stopHeartbeat();
+    if (this.heartbeatInterval <= 0) {
+      return;
+    }
+
+    this.heartbeatTimer = setInterval(() => {
+      if (this.pendingPing) {
+        this.missedPongs++;
+      }
+
+      if (this.missedPongs >= this.maxMissedPongs) {
+        this.handleDeadConnection();
+        return;
+      }
+
+      this.pendingPing = { id: this.nextId(), sentAt: Date.now() };
+      this.writeFrame({ type: 'ping', id: this.pendingPing.id });
+    }, this.heartbeatInterval);
+  }
+
+  /**
+   * Stop the heartbeat and forget any outstanding ping
+   * @private
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    this.missedPongs = 0;
+    this.pendingPing = null;
+  }
+
+  /**
+   * Record the round-trip latency of the outstanding ping
+   * @private
+   */
+  handlePong(id) {
+    // Ignore pongs for pings that were already counted as missed
+    if (!this.pendingPing || (id !== undefined && id !== this.pendingPing.id)) {
+      return;
+    }
+
+    this.latency = Date.now() - this.pendingPing.sentAt;
+    this.pendingPing = null;
+    this.missedPongs = 0;
+    this.emit('heartbeat', { latency: this.latency });
+  }
+
+  /**
+   * Force-close a socket that stopped answering pings and enter the
+   * reconnect flow. A half-open socket may never fire onclose by itself.
+   * @private
+   */
+  handleDeadConnection() {
+    const missed = this.missedPongs;
+    this.logger.warn('No pong received, dropping the connection', { missed });
+    this.setState(this.autoReconnect ? 'reconnecting' : 'closed');
+    this.dropSocket();
+    if (this.shared) {
+      // The leader's socket is the one that stopped answering
+      this.shared.dropSocket();
+    }
+    this.emit('error', { type: 'heartbeat_timeout', message: `No pong received for ${missed} pings` });
+    this.emit('close', { type: 'close', code: 4000, reason: 'Heartbeat timeout', wasClean: false });
+
+    if (this.autoReconnect) {
+      this.scheduleReconnect();
+    }
+  }
+
+  /**
+   * Schedule the next reconnect attempt, or give up when the
+   * strategy is exhausted. Nothing is scheduled while offline or suspended,
+   * the client reconnects once the network is back or the page is visible.
+   * @private
+   */
+  scheduleReconnect() {
+    this.setState('reconnecting');
+    if (this.reconnectTimer || this.suspended) {
+      return;
+    }
+    if (!this.isOnline()) {
+      this.logger.info('Offline, waiting for the network before reconnecting');
+      return;
+    }
+
+    const attempt = this.reconnectAttempts + 1;
+    const delay = attempt <= this.maxReconnectAttempts ? this.getReconnectDelay(attempt) : null;
+
+    if (delay === null) {
+      this.logger.error('Giving up reconnecting', { attempts: this.reconnectAttempts });
+      this.setState('failed');
+      this.endChannels();
+      this.emit('reconnect_failed', { attempts: this.reconnectAttempts });
+      return;
+    }
+
+    this.reconnectAttempts = attempt;
+    this.logger.info('Reconnect scheduled', { attempt, delay });
+    this.emit('reconnecting', { attempt, delay });
+
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.emit('reconnect_attempt', { attempt });
+      this.instrumentPoint('reconnect', { attempt, delay });
+      this.connect().catch(() => {
+        // Reconnection failed, onclose schedules the next attempt
+      });
+    }, delay);
+  }
+
+  /**
+   * Move channels to their final status once the connection has ended for
+   * good: closed after a clean close, errored when the client failed
+   * @private
+   */
+  endChannels() {
+    const status = this.state === 'failed' ? 'errored' : 'closed';
+    for (const channel of this.channels.values()) {
+      if (channel.status !== 'closed') {
+        channel.setStatus(status);
+      }
+    }
+  }
+
+  /**
+   * Start following network and visibility changes. A page that is already
+   * hidden starts its background timer, no 'hidden' event will come.
+   * @private
+   */
+  watchConnectivity() {
+    if (!this.connectivity) {
+      return;
+    }
+    if (!this.unsubscribeConnectivity) {
+      this.unsubscribeConnectivity = this.connectivity.subscribe(event => this.handleConnectivity(event));
+    }
+    if (!this.connectivity.isVisible()) {
+      this.handleConnectivity('hidden');
+    }
+  }
+
+  /**
+   * Whether the network is up, as far as the connectivity source knows
+   * @private
+   */
+  isOnline() {
+    return !this.connectivity || this.connectivity.isOnline();
+  }
+
+  /**
+   * React to a network or visibility change
+   * @private
+   * @param {string} event - 'online', 'offline', 'visible' or 'hidden'
+   */
+  handleConnectivity(event) {
+    switch (event) {
+      case 'offline':
+        // Attempts made while offline would fail and use up the strategy
+        this.clearReconnectTimer();
+        this.logger.info('Network offline, reconnects paused');
+        this.emit('network', { online: false });
+        break;
+
+      case 'online':
+        this.emit('network', { online: true });
+        if (this.autoReconnect && !this.suspended && (this.state === 'reconnecting' || this.state === 'failed')) {
+          this.logger.info('Network online, reconnecting');
+          this.reconnectAttempts = 0;
+          this.reconnect().catch(() => {
+            // Reconnection failed, onclose schedules the next attempt
+          });
+        }
+        break;
+
+      case 'hidden':
+        if (this.backgroundTimeout > 0 && !this.backgroundTimer
+          && (this.isConnected || this.isConnecting || this.reconnectTimer)) {
+          this.backgroundTimer = setTimeout(() => this.suspend(), this.backgroundTimeout);
+        }
+        break;
+
+      case 'visible':
+        clearTimeout(this.backgroundTimer);
+        this.backgroundTimer = null;
+        if (this.suspended) {
+          this.suspended = false;
+          this.logger.info('Page visible, resuming the connection');
+          if (this.isOnline()) {
+            this.connect().catch(() => {
+              // Reconnection failed, onclose schedules the next attempt
+            });
+          }
+        }
+        break;
+    }
+  }
+
+  /**
+   * Disconnect a page that stayed in the background for config.backgroundTimeout.
+   * Rooms are kept and re-joined when the page is visible again.
+   * @private
+   */
+  suspend() {
+    this.backgroundTimer = null;
+    const wasConnected = this.isConnected;
+    this.clearReconnectTimer();
+    this.setState('reconnecting');
+    this.dropSocket();
+    this.suspended = true;
+
+    for (const channel of this.channels.values()) {
+      if (channel.status === 'joined') {
+        channel.setStatus('joining');
+      }
+    }
+
+    this.logger.info('Page hidden too long, disconnecting', { timeout: this.backgroundTimeout });
+    this.emit('suspended', { timeout: this.backgroundTimeout });
+    if (wasConnected) {
+      this.emit('close', { type: 'close', code: 1000, reason: 'Background timeout', wasClean: true });
+    }
+  }
+
+  /**
+   * Compute the delay before a reconnect attempt
+   * @private
+   * @param {number} attempt - Attempt number, starting at 1
+   * @returns {number|null} Delay in ms, or null to stop reconnecting
+   */
+  getReconnectDelay(attempt) {
+    if (typeof this.reconnectStrategy === 'function') {
+      const delay = this.reconnectStrategy(attempt, {
+        baseDelay: this.reconnectDelay,
+        maxDelay: this.maxReconnectDelay,
+      });
+      return typeof delay === 'number' && delay >= 0 ? delay : null;
+    }
+
+    let delay;
+    switch (this.reconnectStrategy) {
+      case 'exponential':
+        delay = this.reconnectDelay * Math.pow(2, attempt - 1);
+        break;
+      case 'fixed':
+        delay = this.reconnectDelay;
+        break;
+      default:
+        delay = this.reconnectDelay * attempt;
+    }
+
+    delay = Math.min(delay, this.maxReconnectDelay);
+
+    // Randomize the delay so many clients don't retry in lockstep
+    if (this.reconnectJitter > 0) {
+      delay -= delay * Math.min(this.reconnectJitter, 1) * Math.random();
+    }
+
+    return Math.round(delay);
+  }
+
+  /**
+   * Cancel a pending reconnect attempt
+   * @private
+   */
+  clearReconnectTimer() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  /**
+   * Decode an incoming frame and handle it
+   * @private
+   * @param {string|ArrayBuffer|Blob} data - Raw frame data
+   */
+  receiveFrame(data) {
+    if (typeof Blob !== 'undefined' && data instanceof Blob) {
+      data.arrayBuffer().then(buffer => this.receiveFrame(buffer));
+      return;
+    }
+
+    let message;
+    try {
+      message = this.codec.decode(data);
+    } catch (error) {
+      this.recordFrame('received', null, data);
+      this.emit('error', { type: 'parse_error', error, raw: data });
+      return;
+    }
+    this.recordFrame('received', message, data);
+
+    // Compressed and encrypted payloads and middleware are handled asynchronously,
+    // and every frame behind one waits for it so messages are still handled in order
+    const encryptedRoom = this.encryption !== null && this.encryption.isEncrypted(message && message.room);
+    if (this.pendingReads === 0 && !encryptedRoom && !isEncodedFrame(message) && !this.hasMiddleware('incoming')) {
+      this.dispatchFrame(message, data);
+      return;
+    }
+
+    this.processIncoming(message, data);
+  }
+
+  /**
+   * Decode payloads, run incoming middleware and handle a frame after the frames before it
+   * @private
+   * @param {Object} message - Decoded frame
+   * @param {any} data - Raw frame data, for error reports
+   * @param {number} start - Index of the first middleware to run
+   * @param {boolean} injected - Whether middleware injected the frame, its payloads are already plain
+   */
+  processIncoming(message, data, start = 0, injected = false) {
+    this.pendingReads++;
+    this.readChain = this.readChain
+      .then(() => (injected ? message : this.unwrapFrame(message)))
+      .then(
+        frame => frame && this.runMiddleware('incoming', frame, start),
+        error => {
+          this.emit('error', { type: 'decompress_error', error, raw: data });
+          return null;
+        }
+      )
+      .then(frame => {
+        if (frame) {
+          this.dispatchFrame(frame, data);
+        }
+      })
+      .then(() => {
+        this.pendingReads--;
+      });
+  }
+
+  /**
+   * Handle a decoded frame, reporting handler failures as parse errors
+   * @private
+   */
+  dispatchFrame(message, data) {
+    try {
+      this.handleMessage(message);
+    } catch (error) {
+      this.emit('error', { type: 'parse_error', error, raw: data });
+    }
+  }
+
+  /**
+   * Decrypt and decompress the payload of a frame and of any messages it carries
+   * @private
+   * @param {Object} message - Decoded frame
+   * @returns {Promise<Object|null>} Frame with plain payloads, or null if it was dropped
+   */
+  async unwrapFrame(message) {
+    if (Array.isArray(message.messages)) {
+      const messages = await Promise.all(message.messages.map(entry => this.unwrapPayload(entry, message.room)));
+      message = { ...message, messages: messages.filter(Boolean) };
+    }
+    return this.unwrapPayload(message, message.room);
+  }
+
+  /**
+   * Decrypt and decompress a single payload. Messages that cannot be decrypted,
+   * or arrive unencrypted in an encrypted room, are reported and dropped.
+   * @private
+   * @returns {Promise<Object|null>}
+   */
+  async unwrapPayload(message, room) {
+    if (!message || message.payload === undefined) {
+      return message;
+    }
+
+    if (message.encryption) {
+      try {
+        message = await this.decryptPayload(message, room);
+      } catch (error) {
+        this.emit('error', { type: 'decrypt_error', error, room, id: message.id, keyId: message.keyId });
+        return null;
+      }
+    } else if (this.encryption && this.encryption.isEncrypted(room)) {
+      const error = new Error(`Received an unencrypted message in encrypted room "${room}"`);
+      this.emit('error', { type: 'decrypt_error', error, room, id: message.id });
+      return null;
+    }
+
+    return message.compression ? this.inflatePayload(message) : message;
+  }
+
+  /**
+   * Decrypt a payload with the key named by the frame
+   * @private
+   */
+  async decryptPayload(message, room) {
+    const { encryption, keyId, payload, ...rest } = message;
+    if (encryption !== 'aes-gcm') {
+      throw new Error(`Unknown encryption: ${encryption}`);
+    }
+    if (!this.encryption) {
+      throw new Error('Received an encrypted message but no encryption keyProvider is configured');
+    }
+
+    const bytes = await this.encryption.decrypt(room, keyId, payloadBytes(payload));
+
+    // Compressed payloads were compressed before they were encrypted
+    return { ...rest, payload: rest.compression ? bytes : this.codec.decode(bytes) };
+  }
+
+  /**
+   * Decompress a payload marked with a compression format
+   * @private
+   */
+  async inflatePayload(message) {
+    const { compression, payload, ...rest } = message;
+    const compressor = this.compression && this.compression.name === compression
+      ? this.compression
+      : resolveCompression(compression);
+    const inflated = await compressor.decompress(payloadBytes(payload));
+
+    this.compressionStats.decompressed++;
+    return { ...rest, payload: this.codec.decode(toBytes(inflated)) };
+  }
+
+  /**
+   * Handle incoming WebSocket messages
+   * @private
+   */
+  handleMessage(message) {
+    const { type, room, message: errorMessage } = message;
+
+    if (type === 'error' && this.isAuthError(message.code)) {
+      this.handleAuthError(message.code, errorMessage);
+      return;
+    }
+
+    if (type !== 'error') {
+      // The server accepted this connection, allow another refresh on the next auth failure
+      this.authRetried = false;
+    }
+
+    switch (type) {
+      case 'joined': {
+        this.rooms.add(room);
+        this.resolveRequest(message.id, 'join', room, { success: true, room });
+        const channel = this.channels.get(room);
+        if (channel && channel.status === 'joining') {
+          channel.setStatus('joined');
+        }
+        this.emit('joined', { room });
+
+        // Messages missed while disconnected arrive with the join reply,
+        // so they are delivered before any live message
+        if (Array.isArray(message.messages)) {
+          message.messages.forEach(missed => this.deliverMessage({ ...missed, room }, true));
+        }
+        break;
+      }
+
+      case 'left': {
+        this.rooms.delete(room);
+        this.presence.delete(room);
+        this.lastSeen.delete(room);
+        this.resolveRequest(message.id, 'leave', room, { success: true, room });
+        const channel = this.channels.get(room);
+        if (channel && channel.status !== 'joining') {
+          channel.setStatus('closed');
+        }
+        this.emit('left', { room });
+        break;
+      }
+
+      case 'message':
+        this.deliverMessage(message, message.replayed === true);
+        break;
+
+      case 'history':
+        this.resolveRequest(message.id, 'history', room, {
+          room,
+          messages: (message.messages || [])
+            .flatMap(entry => unbatch({ ...entry, room }))
+            .filter(entry => !isRpcPayload(entry.payload))
+            .map(entry => this.toMessageEvent(entry, true))
+            .filter(data => this.acceptPayload('message', data)),
+          hasMore: message.hasMore === true,
+        });
+        break;
+
+      case 'broadcast':
+        for (const entry of unbatch(message)) {
+          const data = { payload: entry.payload, from: message.from };
+          if (this.acceptPayload('broadcast', data)) {
+            this.emit('broadcast', data);
+          }
+        }
+        break;
+
+      case 'presence_state':
+        this.handlePresenceChanges(room, this.getPresenceState(room).sync(message.presences));
+        break;
+
+      case 'presence_diff':
+        this.handlePresenceChanges(room, this.getPresenceState(room).apply(message));
+        break;
+
+      case 'ack':
+        this.ackDelivery(message.id);
+        break;
+
+      case 'pong':
+        this.handlePong(message.id);
+        break;
+
+      case 'error':
+        this.rejectRequests(message.id, room, new Error(errorMessage || 'Unknown error'));
+        if (message.id !== undefined) {
+          this.failDelivery(message.id, new Error(errorMessage || 'Unknown error'));
+        }
+        this.emit('error', { type: 'server_error', message: errorMessage, id: message.id, room });
+        break;
+
+      default:
+        this.emit('message', message);
+    }
+  }
+
+  /**
+   * Build the event data for a message frame
+   * @private
+   */
+  toMessageEvent(message, replayed) {
+    return {
+      room: message.room,
+      payload: message.payload,
+      from: message.from,
+      timestamp: message.timestamp,
+      id: message.id,
+      replayed,
+    };
+  }
+
+  /**
+   * Emit a room message, remembering it as the last one seen in its room
+   * @private
+   * @param {Object} message - Message frame
+   * @param {boolean} replayed - Whether the message was missed and is being replayed
+   */
+  deliverMessage(message, replayed) {
+    const { room, id, timestamp } = message;
+    const last = this.lastSeen.get(room);
+
+    // A replay may start with the last message we already have
+    if (replayed && last && id !== undefined && id === last.id) {
+      return;
+    }
+    if (id !== undefined || timestamp !== undefined) {
+      this.lastSeen.set(room, { id, timestamp });
+    }
+
+    // A batch shares one ID, and is delivered as one event per payload
+    for (const entry of unbatch(message)) {
+      if (isRpcPayload(entry.payload)) {
+        // Calls are answered live only, replayed ones are long settled
+        if (!replayed) {
+          this.rpc.receive(entry);
+        }
+        continue;
+      }
+
+      const data = this.toMessageEvent(entry, replayed);
+      if (!this.acceptPayload('message', data)) {
+        continue;
+      }
+
+      const channel = this.channels.get(room);
+      if (channel) {
+        channel.emit('message', data);
+      }
+      this.emit('message', data);
+    }
+  }
+
+  /**
+   * Validate a received payload. Invalid payloads are reported as a
+   * validation_error event instead of being emitted.
+   * @private
+   * @param {string} type - Frame type: 'message' or 'broadcast'
+   * @param {Object} data - Event data, its payload is replaced by the validated value
+   * @returns {boolean} Whether the payload is valid
+   */
+  acceptPayload(type, data) {
+    let result;
+    try {
+      result = this.checkPayload(type, data.room, data.payload);
+    } catch (error) {
+      result = { issues: [{ message: error.message }] };
+    }
+
+    if (result.issues) {
+      const event = { type, room: data.room, payload: data.payload, issues: result.issues, message: data };
+      const channel = data.room !== undefined ? this.channels.get(data.room) : null;
+      if (channel) {
+        channel.emit('validation_error', event);
+      }
+      this.emit('validation_error', event);
+      return false;
+    }
+
+    data.payload = result.value;
+    return true;
+  }
+
+  /**
+   * Run every validator registered for a room or frame type
+   * @private
+   * @returns {{value: any}|{issues: Array}}
+   */
+  checkPayload(type, room, payload) {
+    let value = payload;
+    for (const entry of this.validators) {
+      if ((entry.room !== undefined && entry.room !== room) || (entry.type !== undefined && entry.type !== type)) {
+        continue;
+      }
+      const result = runValidator(entry.validator, value);
+      if (result.issues) {
+        return result;
+      }
+      value = result.value;
+    }
+    return { value };
+  }
+
+  /**
+   * Validate a payload before it is sent
+   * @private
+   * @returns {any} The validated payload
+   */
+  assertValid(type, room, payload) {
+    const result = this.checkPayload(type, room, payload);
+    if (result.issues) {
+      const error = new Error(`Invalid payload${room !== undefined ? ` for room "${room}"` : ''}: ${result.issues.map(issue => issue.message).join(', ')}`);
+      error.code = 'validation_error';
+      error.issues = result.issues;
+      throw error;
+    }
+    return result.value;
+  }
+
+  /**
+   * Re-join all active rooms after a reconnect
+   * @private
+   */
+  rejoinRooms() {
+    for (const room of this.rooms) {
+      // A join sent before disconnect() is still queued, and settles the earlier rejoin
+      const pending = this.findRequest('join', room);
+      if (pending && this.queue.has(pending.frame)) {
+        continue;
+      }
+      // Channels of a connection that ended for good follow the rooms back
+      const channel = this.channels.get(room);
+      if (channel && (channel.status === 'closed' || channel.status === 'errored')) {
+        channel.setStatus('joining');
+      }
+      // Ask the server for the messages sent since the last one we saw
+      const since = this.resumeRooms ? this.lastSeen.get(room) : undefined;
+      this.sendRequest('join', room, {}, since ? { since } : {})
+        .then(() => {
+          // Publish our presence again, the server forgot it with the old socket
+          if (this.trackedPresence.has(room)) {
+            this.sendMessage({ type: 'presence_track', room, state: this.trackedPresence.get(room) });
+          }
+          this.emit('rejoined', { room });
+        })
+        .catch(error => {
+          const channel = this.channels.get(room);
+          if (channel) {
+            channel.setStatus('errored');
+          }
+          this.emit('error', { type: 'rejoin_error', room, error });
+        });
+    }
+  }
+
+  /**
+   * Get the presence list for a room, creating it on first use
+   * @private
+   */
+  getPresenceState(room) {
+    let state = this.presence.get(room);
+    if (!state) {
+      state = new PresenceState();
+      this.presence.set(room, state);
+    }
+    return state;
+  }
+
+  /**
+   * Emit presence events for the entries that changed in a room
+   * @private
+   */
+  handlePresenceChanges(room, { joins, leaves }) {
+    const channel = this.channels.get(room);
+    const emit = (event, data) => {
+      if (channel) {
+        channel.emit(event, data);
+      }
+      this.emit(event, data);
+    };
+
+    for (const { key, state, previous } of joins) {
+      emit('presence_join', { room, key, state, previous });
+    }
+    for (const { key, state } of leaves) {
+      emit('presence_leave', { room, key, state });
+    }
+    if (joins.length > 0 || leaves.length > 0) {
+      emit('presence_sync', { room, presences: this.getPresence(room) });
+    }
+  }
+
+  /**
+   * Send a request frame tagged with a request ID and wait for the
+   * server to echo it back
+   * @private
+   * @param {string} type - Frame type: 'join', 'leave' or 'history'
+   * @param {string} room - Room name
+   * @param {Object} options - Request options
+   * @param {number} options.timeout - Timeout in ms, 0 to wait forever
+   * @param {Object} fields - Extra frame fields
+   * @returns {Promise<Object>}
+   */
+  sendRequest(type, room, options = {}, fields = {}) {
+    const id = this.nextId();
+    const timeout = options.timeout !== undefined ? options.timeout : this.requestTimeout;
+    const frame = { ...fields, type, room, id };
+    const entry = { id, type, room, frame, timer: null };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    if (timeout > 0) {
+      entry.timer = setTimeout(() => {
+        this.requests.delete(id);
+        const error = new Error(`Timed out waiting for ${type} of room "${room}" after ${timeout}ms`);
+        error.code = 'timeout';
+        entry.reject(error);
+      }, timeout);
+    }
+
+    this.requests.set(id, entry);
+    if (type === 'join') {
+      this.trackJoin(room, entry.promise);
+      // Messages held back for the room go out once the join is answered
+      const flush = () => this.flushQueue();
+      entry.promise.then(flush, flush);
+    }
+
+    try {
+      this.sendMessage(frame);
+    } catch (error) {
+      this.takeRequest(id);
+      entry.reject(error);
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * Find the oldest pending request of a type for a room
+   * @private
+   */
+  findRequest(type, room) {
+    for (const entry of this.requests.values()) {
+      if (entry.type === type && entry.room === room) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Remove a pending request and cancel its timeout
+   * @private
+   */
+  takeRequest(id) {
+    const entry = this.requests.get(id);
+    if (entry) {
+      clearTimeout(entry.timer);
+      this.requests.delete(id);
+    }
+    return entry;
+  }
+
+  /**
+   * Resolve the request matching a server response. Responses without an ID
+   * (older servers) resolve the oldest request of that type for the room.
+   * @private
+   */
+  resolveRequest(id, type, room, value) {
+    const entry = id !== undefined ? this.requests.get(id) : this.findRequest(type, room);
+    if (entry) {
+      if (id !== undefined) {
+        this.echoesRequestIds = true;
+      }
+      this.takeRequest(entry.id);
+      entry.resolve(value);
+    }
+  }
+
+  /**
+   * Reject the requests a server error refers to: the request with the given
+   * ID, all requests for the given room, or every request when the error
+   * carries neither. Once the server has answered a request with its ID, an
+   * error without one is about a frame that had none, e.g. a message, and
+   * rejects nothing.
+   * @private
+   */
+  rejectRequests(id, room, error) {
+    if (id === undefined && this.echoesRequestIds) {
+      return;
+    }
+    for (const entry of Array.from(this.requests.values())) {
+      const matches = id !== undefined ? entry.id === id : !room || entry.room === room;
+      if (matches) {
+        this.takeRequest(entry.id);
+        entry.reject(error);
+      }
+    }
+  }
+
+  /**
+   * Send a message through the WebSocket
+   * @private
+   * @param {Object} message - Frame to send
+   * @param {Object} options - Queue options
+   * @param {number} options.ttl - Time-to-live while queued in ms (default: config.queueTTL)
+   */
+  sendMessage(message, options = {}) {
+    if (!this.isConnected && !this.autoReconnect) {
+      throw new Error('WebSocket is not connected. Call connect() first or enable autoReconnect.');
+    }
+
+    // Joins and other control frames go ahead of queued messages, which may wait for them
+    if (this.isConnected && !MESSAGE_TYPES.includes(message.type)) {
+      this.writeMessage(message);
+      return;
+    }
+
+    // Over the rate limit a frame waits in the queue, or is dropped or rejected.
+    // Dropping and rejecting also apply behind queued frames.
+    const refuses = this.rateLimiter !== null && this.rateLimiter.overflow !== 'queue';
+    const limited = this.isConnected && (this.queue.length === 0 || refuses) && !this.acquireRate(message);
+    if (limited && refuses) {
+      this.refuseMessage(message);
+      return;
+    }
+
+    // Queue behind frames that are still waiting so they go out in order
+    if (!this.isConnected || this.queue.length > 0 || limited) {
+      if (!this.isConnected) {
+        // Frames still being batched were sent first
+        this.flushBatches();
+      } else if (refuses) {
+        this.rateAcquired.add(message);
+      }
+      this.queue.push(message, {
+        ttl: options.ttl,
+        persist: message.type === 'message' || message.type === 'broadcast',
+      });
+      this.logger.debug('Frame queued', { type: message.type, room: message.room, depth: this.queue.length });
+
+      if (this.isConnected) {
+        this.flushQueue();
+      } else if (this.state !== 'closed') {
+        // After disconnect() frames wait until connect() is called
+        this.connect().catch(() => {
+          // connect() reports failures through the error event
+        });
+      }
+      return;
+    }
+
+    this.writeMessage(message);
+  }
+
+  /**
+   * Send queued frames in order. Waits for frames persisted by a previous
+   * session to be restored so they go out first, and paces rate-limited
+   * frames. Room messages wait until a pending join of their room is
+   * answered, which flushes the queue again.
+   * @private
+   */
+  flushQueue() {
+    if (!this.isConnected || !this.queue.ready || this.queue.length === 0) {
+      return;
+    }
+    this.logger.debug('Sending queued frames', { count: this.queue.length });
+
+    for (const message of this.queue.frames()) {
+      if (!this.isConnected) {
+        break;
+      }
+      if (message.type === 'message' && this.findRequest('join', message.room)) {
+        continue;
+      }
+      if (message.type === 'leave' && this.settleStaleLeave(message)) {
+        continue;
+      }
+      if (!this.rateAcquired.delete(message) && !this.acquireRate(message)) {
+        this.scheduleFlush(this.rateLimiter.waitTime(message.room));
+        break;
+      }
+      this.queue.remove(message);
+      this.writeMessage(message);
+    }
+  }
+
+  /**
+   * Resolve a leave queued while offline without sending it. A new socket is
+   * only in the rooms it joined, and leave() kept the room from being
+   * re-joined, so there is nothing to leave unless a join went out first.
+   * @private
+   * @returns {boolean} Whether the leave was settled
+   */
+  settleStaleLeave(message) {
+    const join = this.findRequest('join', message.room);
+    if (join && !this.queue.has(join.frame)) {
+      return false;
+    }
+
+    this.queue.remove(message);
+    const entry = this.requests.get(message.id);
+    if (entry && entry.frame === message) {
+      this.takeRequest(entry.id);
+      entry.resolve({ success: true, room: message.room });
+    }
+    return true;
+  }
+
+  /**
+   * Flush the queue again once the rate limit allows
+   * @private
+   */
+  scheduleFlush(delay) {
+    if (this.flushTimer) {
+      return;
+    }
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushQueue();
+    }, delay);
+  }
+
+  /**
+   * Take a rate limit token for a frame. Only messages and broadcasts are limited.
+   * @private
+   * @returns {boolean} Whether the frame may be sent now
+   */
+  acquireRate(message) {
+    return !this.rateLimiter
+      || !MESSAGE_TYPES.includes(message.type)
+      || this.rateLimiter.tryAcquire(message.room);
+  }
+
+  /**
+   * Drop or reject a frame over the rate limit
+   * @private
+   */
+  refuseMessage(message) {
+    const error = new Error(message.room !== undefined
+      ? `Rate limit exceeded for room "${message.room}"`
+      : 'Rate limit exceeded');
+    error.code = 'rate_limited';
+
+    if (this.rateLimiter.overflow === 'reject') {
+      throw error;
+    }
+
+    this.logger.warn('Frame dropped by the rate limiter', { type: message.type, room: message.room, id: message.id });
+    this.emit('rate_limited', { frame: message });
+    if (message.id !== undefined) {
+      this.failDelivery(message.id, error);
+    }
+  }
+
+  /**
+   * Write a message frame, coalescing unacknowledged messages and broadcasts
+   * sent within batchWindow of each other
+   * @private
+   */
+  writeMessage(message) {
+    if (this.batchWindow > 0 && MESSAGE_TYPES.includes(message.type) && message.id === undefined) {
+      this.addToBatch(message);
+      return;
+    }
+
+    // Frames being batched were sent first
+    this.flushBatches();
+    this.writeFrame(message);
+  }
+
+  /**
+   * @private
+   */
+  addToBatch(message) {
+    const key = message.type === 'message' ? `message:${message.room}` : 'broadcast';
+    let batch = this.batches.get(key);
+    if (!batch) {
+      batch = { type: message.type, room: message.room, payloads: [] };
+      this.batches.set(key, batch);
+    }
+    batch.payloads.push(message.payload);
+
+    if (batch.payloads.length >= this.maxBatchSize) {
+      this.flushBatches();
+    } else if (!this.batchTimer) {
+      this.batchTimer = setTimeout(() => {
+        this.batchTimer = null;
+        this.flushBatches();
+      }, this.batchWindow);
+    }
+  }
+
+  /**
+   * Send pending batches, one frame per room. A batch of one goes out as a
+   * plain frame. Batches left when the socket closed are queued again.
+   * @private
+   */
+  flushBatches() {
+    clearTimeout(this.batchTimer);
+    this.batchTimer = null;
+    if (this.batches.size === 0) {
+      return;
+    }
+
+    const batches = Array.from(this.batches.values());
+    this.batches.clear();
+
+    for (const { type, room, payloads } of batches) {
+      const target = room !== undefined ? { type, room } : { type };
+      if (!this.isConnected) {
+        payloads.forEach(payload => this.queue.push({ ...target, payload }, { persist: true }));
+      } else if (payloads.length === 1) {
+        this.writeFrame({ ...target, payload: payloads[0] });
+      } else {
+        this.writeFrame({ ...target, payload: payloads, batch: true });
+      }
+    }
+  }
+
+  /**
+   * Report a frame dropped from the outbound queue
+   * @private
+   */
+  handleQueueDrop(frame, reason) {
+    this.logger.warn('Queued frame dropped', { reason, type: frame.type, room: frame.room, id: frame.id });
+    this.emit('queue_drop', { frame, reason });
+
+    const entry = frame.id !== undefined ? this.outbox.get(frame.id) : null;
+    if (entry && entry.frame === frame) {
+      const error = new Error(reason === 'expired'
+        ? `Message "${frame.id}" expired before it could be sent`
+        : `Message "${frame.id}" was dropped because the outbound queue is full`);
+      error.code = reason === 'expired' ? 'expired' : 'queue_full';
+      this.failDelivery(frame.id, error);
+    }
+  }
+
+  /**
+   * Write a frame to the open socket
+   * @private
+   */
+  writeFrame(message, start = 0) {
+    const middleware = this.hasMiddleware('outgoing');
+    const bytes = middleware ? null : this.compressiblePayload(message);
+
+    // Frames behind a compressing, encrypting or intercepted one wait for it so they go out in order
+    if (!middleware && !bytes && !this.shouldEncrypt(message) && this.pendingWrites === 0) {
+      this.transmit(message, message);
+      return;
+    }
+
+    this.pendingWrites++;
+    this.writeChain = this.writeChain
+      .then(async () => {
+        if (!middleware) {
+          return this.prepareFrame(message, bytes);
+        }
+
+        const frame = await this.runMiddleware('outgoing', message, start);
+        if (!frame) {
+          this.handleMiddlewareDrop(message);
+          return null;
+        }
+        return this.prepareFrame(frame, this.compressiblePayload(frame));
+      })
+      .then(frame => {
+        if (!frame) {
+          return;
+        }
+        if (this.isConnected) {
+          this.transmit(frame, message);
+        } else if (this.autoReconnect && (message.type === 'message' || message.type === 'broadcast')) {
+          // The socket closed while the frame was prepared, keep the message for the next one
+          this.queue.push(message, { persist: true });
+        }
+      })
+      .catch(error => {
+        // Preparing and encoding the frame failed, not the connection
+        this.emit('error', { type: 'encode_error', error, frame: message, room: message.room, id: message.id });
+        this.rejectFrame(message, error);
+      })
+      .then(() => {
+        this.pendingWrites--;
+      });
+  }
+
+  /**
+   * Fail the request or acknowledged send waiting for a frame that could not be sent
+   * @private
+   */
+  rejectFrame(message, error) {
+    if (message.id === undefined) {
+      return;
+    }
+    const request = this.requests.get(message.id);
+    if (request && request.frame === message) {
+      this.takeRequest(message.id);
+      request.reject(error);
+      return;
+    }
+    const entry = this.outbox.get(message.id);
+    if (entry && entry.frame === message) {
+      this.failDelivery(message.id, error);
+    }
+  }
+
+  /**
+   * Whether any middleware hooks the given direction
+   * @private
+   */
+  hasMiddleware(direction) {
+    return this.middleware.some(middleware => typeof middleware[direction] === 'function');
+  }
+
+  /**
+   * Pass a frame through the middleware hooks of one direction
+   * @private
+   * @param {string} direction - 'outgoing' or 'incoming'
+   * @param {Object} frame - Frame to pass through
+   * @param {number} start - Index of the first middleware to run
+   * @returns {Promise<Object|null>} Resulting frame, or null if it was dropped
+   */
+  async runMiddleware(direction, frame, start = 0) {
+    const chain = this.middleware.slice(start);
+
+    for (const middleware of chain) {
+      const hook = middleware[direction];
+      if (typeof hook !== 'function') {
+        continue;
+      }
+
+      let result;
+      try {
+        result = await hook.call(middleware, frame, this.middlewareContext(middleware, direction));
+      } catch (error) {
+        this.emit('error', { type: 'middleware_error', direction, error, frame });
+        return null;
+      }
+
+      if (result === null || result === false) {
+        return null;
+      }
+      if (result !== undefined) {
+        frame = result;
+      }
+    }
+
+    return frame;
+  }
+
+  /**
+   * Context passed to middleware hooks. Frames injected in the same direction
+   * start at the next middleware, so a middleware never sees its own frames.
+   * @private
+   */
+  middlewareContext(middleware, direction) {
+    const after = () => this.middleware.indexOf(middleware) + 1;
+
+    return {
+      client: this,
+      direction,
+      send: (frame) => {
+        const start = direction === 'outgoing' ? after() : 0;
+        if (this.isConnected) {
+          this.writeFrame(frame, start);
+        } else {
+          this.sendMessage(frame);
+        }
+      },
+      receive: (frame) => {
+        this.processIncoming(frame, frame, direction === 'incoming' ? after() : 0, true);
+      },
+    };
+  }
+
+  /**
+   * Fail the acknowledged send of a frame dropped by middleware
+   * @private
+   */
+  handleMiddlewareDrop(message) {
+    const entry = message.id !== undefined ? this.outbox.get(message.id) : null;
+    if (entry && entry.frame === message) {
+      const error = new Error(`Message "${message.id}" was dropped by middleware`);
+      error.code = 'dropped';
+      this.failDelivery(message.id, error);
+    }
+  }
+
+  /**
+   * Compress and encrypt the payload of a frame as configured
+   * @private
+   * @param {Object} message - Frame to send
+   * @param {Uint8Array|null} bytes - Encoded payload if it should be compressed
+   * @returns {Promise<Object|null>} Frame to send, or null if encryption failed
+   */
+  async prepareFrame(message, bytes) {
+    let frame = bytes ? await this.deflateFrame(message, bytes) : message;
+
+    if (this.shouldEncrypt(message)) {
+      try {
+        frame = await this.encryptFrame(frame);
+      } catch (error) {
+        // Never fall back to sending the payload in plain text
+        this.emit('error', { type: 'encrypt_error', error, room: message.room, id: message.id });
+        if (message.id !== undefined) {
+          this.failDelivery(message.id, error);
+        }
+        return null;
+      }
+    }
+
+    return frame;
+  }
+
+  /**
+   * Whether a frame carries a payload for an encrypted room
+   * @private
+   */
+  shouldEncrypt(message) {
+    return this.encryption !== null && message.type === 'message' && this.encryption.isEncrypted(message.room);
+  }
+
+  /**
+   * Replace the payload of a frame with its ciphertext
+   * @private
+   */
+  async encryptFrame(frame) {
+    const bytes = frame.compression ? payloadBytes(frame.payload) : toBytes(this.codec.encode(frame.payload));
+    const { keyId, data } = await this.encryption.encrypt(frame.room, bytes);
+    return {
+      ...frame,
+      payload: this.codec.binaryType ? data : bytesToBase64(data),
+      encryption: 'aes-gcm',
+      keyId,
+    };
+  }
+
+  /**
+   * Encoded payload of a frame that is large enough to compress
+   * @private
+   * @returns {Uint8Array|null}
+   */
+  compressiblePayload(message) {
+    if (!this.compression || message.payload === undefined) {
+      return null;
+    }
+    if (message.type !== 'message' && message.type !== 'broadcast') {
+      return null;
+    }
+
+    const bytes = toBytes(this.codec.encode(message.payload));
+    return bytes.length >= this.compressionThreshold ? bytes : null;
+  }
+
+  /**
+   * Replace the payload of a frame with its compressed bytes. Falls back to
+   * the plain frame when compression fails or does not make it smaller.
+   * @private
+   */
+  async deflateFrame(message, bytes) {
+    let compressed;
+    try {
+      compressed = toBytes(await this.compression.compress(bytes));
+    } catch (error) {
+      this.emit('error', { type: 'compression_error', error });
+      return message;
+    }
+
+    if (compressed.length >= bytes.length) {
+      this.compressionStats.skipped++;
+      return message;
+    }
+
+    this.compressionStats.compressed++;
+    this.compressionStats.originalBytes += bytes.length;
+    this.compressionStats.compressedBytes += compressed.length;
+    return {
+      ...message,
+      payload: this.codec.binaryType ? compressed : bytesToBase64(compressed),
+      compression: this.compression.name,
+    };
+  }
+
+  /**
+   * Encode a frame and send it on the socket
+   * @private
+   * @param {Object} frame - Frame as it goes on the wire
+   * @param {Object} message - Frame as it was sent, used to track delivery
+   */
+  transmit(frame, message) {
+    const data = this.codec.encode(frame);
+    this.ws.send(data);
+    this.recordFrame('sent', frame, data);
+
+    const entry = message.id !== undefined ? this.outbox.get(message.id) : null;
+    if (entry && entry.frame === message && entry.status === 'pending') {
+      this.setDeliveryStatus(entry, 'sent');
+    }
+  }
+
+  /**
+   * Send a message frame tagged with a message ID and wait for the server ack
+   * @private
+   * @param {Object} message - Frame without an ID
+   * @param {Object} options - Delivery options
+   * @param {string} options.id - Message ID (default: generated)
+   * @param {number} options.timeout - Ack timeout in ms, 0 to wait forever
+   * @returns {Promise<{success: boolean, id: string, room?: string}>}
+   */
+  sendWithAck(message, options = {}) {
+    const id = options.id !== undefined ? String(options.id) : this.nextId();
+
+    // Sending the same ID twice must not deliver the message twice
+    const existing = this.outbox.get(id);
+    if (existing) {
+      return existing.promise;
+    }
+
+    const timeout = options.timeout !== undefined ? options.timeout : this.ackTimeout;
+    const entry = { id, frame: { ...message, id }, status: null, timer: null };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    if (timeout > 0) {
+      entry.timer = setTimeout(() => {
+        const error = new Error(`Timed out waiting for ack of message "${id}" after ${timeout}ms`);
+        error.code = 'timeout';
+        this.failDelivery(id, error);
+      }, timeout);
+    }
+
+    this.outbox.set(id, entry);
+    this.setDeliveryStatus(entry, 'pending');
+
+    try {
+      this.sendMessage(entry.frame, options);
+    } catch (error) {
+      this.failDelivery(id, error);
+    }
+
+    return entry.promise;
+  }
+
+  /**
+   * Update the delivery status of an outgoing message
+   * @private
+   */
+  setDeliveryStatus(entry, status, error) {
+    entry.status = status;
+    this.emit('delivery', { id: entry.id, room: entry.frame.room, status, error });
+  }
+
+  /**
+   * Resolve an outgoing message when the server acks it. Duplicate acks are ignored.
+   * @private
+   */
+  ackDelivery(id) {
+    const entry = this.outbox.get(id);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.outbox.delete(id);
+    this.setDeliveryStatus(entry, 'acked');
+    entry.resolve({ success: true, id, room: entry.frame.room });
+  }
+
+  /**
+   * Reject an outgoing message and drop it from the pending queue
+   * @private
+   */
+  failDelivery(id, error) {
+    const entry = this.outbox.get(id);
+    if (!entry) {
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.outbox.delete(id);
+    this.queue.remove(entry.frame);
+    this.setDeliveryStatus(entry, 'failed', error);
+    entry.reject(error);
+  }
+
+  /**
+   * Re-send messages that went out on a previous socket without an ack.
+   * They keep their ID so the server can drop duplicates.
+   * @private
+   */
+  resendUnacked() {
+    for (const entry of this.outbox.values()) {
+      if (entry.status === 'sent') {
+        this.writeFrame(entry.frame);
+      }
+    }
+  }
+
+  /**
+   * Join a room. Joining a room that is already joined resolves immediately,
+   * and concurrent joins of the same room share one request.
+   * @param {string} room - Room name to join
+   * @param {Object} options - Join options
+   * @param {number} options.timeout - Timeout in ms (default: config.requestTimeout)
+   * @returns {Promise<{success: boolean, room: string}>}
+   */
+  join(room, options = {}) {
+    if (!room) {
+      return Promise.reject(new Error('Room name is required'));
+    }
+
+    const pending = this.findRequest('join', room);
+    if (pending) {
+      return pending.promise;
+    }
+    if (this.rooms.has(room)) {
+      return Promise.resolve({ success: true, room });
+    }
+
+    return this.sendRequest('join', room, options);
+  }
+
+  /**
+   * Leave a room. Concurrent leaves of the same room share one request.
+   * @param {string} room - Room name to leave
+   * @param {Object} options - Leave options
+   * @param {number} options.timeout - Timeout in ms (default: config.requestTimeout)
+   * @returns {Promise<{success: boolean, room: string}>}
+   */
+  leave(room, options = {}) {
+    if (!room) {
+      return Promise.reject(new Error('Room name is required'));
+    }
+
+    // Forget the room right away so a reconnect does not re-join it
+    this.rooms.delete(room);
+    this.trackedPresence.delete(room);
+    this.presence.delete(room);
+    this.lastSeen.delete(room);
+
+    const pending = this.findRequest('leave', room);
+    if (pending) {
+      return pending.promise;
+    }
+
+    return this.sendRequest('leave', room, options);
+  }
+
+  /**
+   * Fetch a page of older messages from a room
+   * @param {string} room - Room name
+   * @param {Object} options - History options
+   * @param {string|number} options.before - Only return messages older than this message ID or timestamp
+   * @param {number} options.limit - Maximum number of messages (default: server default)
+   * @param {number} options.timeout - Timeout in ms (default: config.requestTimeout)
+   * @returns {Promise<{room: string, messages: Array, hasMore: boolean}>}
+   */
+  history(room, options = {}) {
+    if (!room) {
+      return Promise.reject(new Error('Room name is required'));
+    }
+
+    const fields = {};
+    if (options.before !== undefined) {
+      fields.before = options.before;
+    }
+    if (options.limit !== undefined) {
+      fields.limit = options.limit;
+    }
+
+    return this.sendRequest('history', room, options, fields);
+  }
+
+  /**
+   * Publish this client's presence state in a room. The state is sent
+   * again automatically after a reconnect.
+   * @param {string} room - Room name
+   * @param {Object} state - Presence metadata, e.g. user name, status or cursor
+   */
+  track(room, state) {
+    if (!room) {
+      throw new Error('Room name is required');
+    }
+    if (state === undefined || state === null) {
+      throw new Error('Presence state is required');
+    }
+
+    this.trackedPresence.set(room, state);
+    this.sendMessage({ type: 'presence_track', room, state });
+  }
+
+  /**
+   * Stop publishing this client's presence state in a room
+   * @param {string} room - Room name
+   */
+  untrack(room) {
+    if (!room) {
+      throw new Error('Room name is required');
+    }
+
+    if (this.trackedPresence.delete(room)) {
+      this.sendMessage({ type: 'presence_untrack', room });
+    }
+  }
+
+  /**
+   * Get the presence list of a room
+   * @param {string} room - Room name
+   * @returns {Object} Map of presence key to state
+   */
+  getPresence(room) {
+    const state = this.presence.get(room);
+    return state ? state.list() : {};
+  }
+
+  /**
+   * Get the channel for a room, creating it on first use
+   * @param {string} room - Room name
+   * @returns {Channel}
+   */
+  channel(room) {
+    if (!room) {
+      throw new Error('Room name is required');
+    }
+
+    let channel = this.channels.get(room);
+    if (!channel) {
+      channel = new Channel(this, room);
+      this.channels.set(room, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * Remove a channel, leaving its room if it is subscribed
+   * @param {Channel} channel - Channel to remove
+   * @returns {Promise<void>}
+   */
+  removeChannel(channel) {
+    if (this.channels.get(channel.room) !== channel) {
+      return Promise.resolve();
+    }
+
+    this.channels.delete(channel.room);
+    if (channel.status === 'closed') {
+      return Promise.resolve();
+    }
+    return channel.unsubscribe().then(() => {}, () => {
+      // The channel reports leave failures through its error event
+    });
+  }
+
+  /**
+   * Send a message to a room. Binary payloads (ArrayBuffer, typed arrays, Blob)
+   * need a binary codec; a Blob is read first, so send() returns a promise for it.
+   * @param {string} room - Room name
+   * @param {any} payload - Message payload
+   * @param {Object} options - Delivery options
+   * @param {number} options.ttl - Time-to-live while queued offline in ms (default: config.queueTTL)
+   * @param {string} options.id - Message ID when ackMessages is enabled (default: generated)
+   * @param {number} options.timeout - Ack timeout in ms (default: config.ackTimeout)
+   * @returns {void|Promise<{success: boolean, id: string, room: string}>} A promise for the server ack
+   *   when ackMessages is enabled
+   */
+  send(room, payload, options) {
+    if (!room) {
+      throw new Error('Room name is required');
+    }
+    this.assertPayload(payload);
+
+    if (isBlob(payload)) {
+      return payload.arrayBuffer().then(buffer => this.send(room, new Uint8Array(buffer), options));
+    }
+
+    const message = { type: 'message', room, payload: this.assertValid('message', room, payload) };
+    if (this.ackMessages) {
+      return this.sendWithAck(message, options);
+    }
+
+    this.sendMessage(message, options);
+  }
+
+  /**
+   * Broadcast a message to all clients. Binary payloads work as in send().
+   * @param {any} payload - Message payload
+   * @param {Object} options - Delivery options
+   * @param {number} options.ttl - Time-to-live while queued offline in ms (default: config.queueTTL)
+   * @param {string} options.id - Message ID when ackMessages is enabled (default: generated)
+   * @param {number} options.timeout - Ack timeout in ms (default: config.ackTimeout)
+   * @returns {void|Promise<{success: boolean, id: string}>} A promise for the server ack
+   *   when ackMessages is enabled
+   */
+  broadcast(payload, options) {
+    this.assertPayload(payload);
+
+    if (isBlob(payload)) {
+      return payload.arrayBuffer().then(buffer => this.broadcast(new Uint8Array(buffer), options));
+    }
+
+    const message = { type: 'broadcast', payload: this.assertValid('broadcast', undefined, payload) };
+    if (this.ackMessages) {
+      return this.sendWithAck(message, options);
+    }
+
+    this.sendMessage(message, options);
+  }
+
+  /**
+   * Call a method on the clients of a room and wait for the first response.
+   * The call is rejected when it times out, when the connection drops before
+   * a response arrives, or with the error thrown by the remote handler.
+   * @param {string} room - Room name
+   * @param {string} method - Method name
+   * @param {any} params - Parameters passed to the handler
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Timeout in ms, 0 to wait until the connection drops
+   *   (default: config.requestTimeout)
+   * @returns {Promise<any>} The handler's result
+   */
+  request(room, method, params, options) {
+    if (!room) {
+      throw new Error('Room name is required');
+    }
+    if (!method) {
+      throw new Error('Method name is required');
+    }
+    return this.rpc.call(room, method, params, options);
+  }
+
+  /**
+   * Answer calls to a method in a room. The handler receives the parameters
+   * and `{ room, method, from, signal }`; the signal aborts when the caller
+   * gives up or the connection drops. The client must have joined the room.
+   * @param {string} room - Room name
+   * @param {string} method - Method name
+   * @param {Function} handler - Returns the result, or a promise for it
+   * @returns {Function} Removes the handler
+   */
+  handle(room, method, handler) {
+    if (!room) {
+      throw new Error('Room name is required');
+    }
+    if (!method) {
+      throw new Error('Method name is required');
+    }
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+    return this.rpc.handle(room, method, handler);
+  }
+
+  /**
+   * Check that a payload is present and can be encoded by the codec
+   * @private
+   */
+  assertPayload(payload) {
+    if (payload === undefined || payload === null) {
+      throw new Error('Payload is required');
+    }
+    if ((isBinary(payload) || isBlob(payload)) && !this.codec.binaryType) {
+      throw new Error(`Binary payloads require a binary codec, the ${this.codec.name || 'current'} codec only sends text`);
+    }
   }
 
   /**
-   * Connect to the WebSocket server
-   * @returns {Promise<void>}
+   * Register a payload validator. Outgoing payloads that fail validation make
+   * send() and broadcast() throw, and incoming ones are emitted as a
+   * 'validation_error' event instead of 'message' or 'broadcast'.
+   * @param {string|Object} target - Room name, or `{ room, type }` where type is the frame type
+   *   ('message' or 'broadcast'). Both must match when both are given.
+   * @param {Function|Object} validator - `(payload) => boolean`, which may also throw, or a
+   *   Standard Schema object. Schemas that transform their input replace the payload with their output.
+   * @returns {Function} Function that removes the validator
    */
-  connect() {
-    if (this.isConnecting || this.isConnected) {
-      return Promise.resolve();
+  validate(target, validator) {
+    const { room, type } = typeof target === 'string' ? { room: target } : (target || {});
+    if (room === undefined && type === undefined) {
+      throw new Error('Validator target must be a room name or an object with a room or type');
     }
+    assertValidator(validator);
 
-    return new Promise((resolve, reject) => {
-      this.isConnecting = true;
-      const wsUrl = `${this.url}/ws/${this.hash}?jwt=${encodeURIComponent(this.jwt)}`;
-      
-      try {
-        this.ws = new WebSocket(wsUrl);
+    const entry = { room, type, validator };
+    this.validators.push(entry);
 
-        this.ws.onopen = (event) => {
-          this.isConnecting = false;
-          this.isConnected = true;
-          this.reconnectAttempts = 0;
-          this.emit('open', event);
-          
-          // Send any pending messages
-          while (this.pendingMessages.length > 0) {
-            const msg = this.pendingMessages.shift();
-            this.ws.send(JSON.stringify(msg));
-          }
-          
-          resolve();
-        };
+    return () => {
+      const index = this.validators.indexOf(entry);
+      if (index > -1) {
+        this.validators.splice(index, 1);
+      }
+    };
+  }
 
-        this.ws.onmessage = (event) => {
-          try {
-            const message = JSON.parse(event.data);
-            this.handleMessage(message);
-          } catch (error) {
-            this.emit('error', { type: 'parse_error', error, raw: event.data });
-          }
-        };
+  /**
+   * Add middleware that sees every frame before it is sent and every received
+   * frame before it is handled. Hooks may be async and return a replacement
+   * frame, null to drop the frame, or nothing to keep it. Middleware runs in
+   * the order it was added, and frames keep their order while hooks are pending.
+   * @param {Object} middleware - Middleware
+   * @param {Function} middleware.outgoing - `(frame, context) => frame`, called before the frame is
+   *   compressed, encrypted and sent
+   * @param {Function} middleware.incoming - `(frame, context) => frame`, called after the frame is
+   *   decoded, decrypted and decompressed
+   * @returns {Function} Function that removes the middleware
+   */
+  use(middleware) {
+    if (!middleware || (typeof middleware.outgoing !== 'function' && typeof middleware.incoming !== 'function')) {
+      throw new Error('Middleware must have an outgoing or incoming function');
+    }
+    this.middleware.push(middleware);
 
-        this.ws.onerror = (error) => {
-          this.isConnecting = false;
-          this.emit('error', { type: 'connection_error', error });
-          reject(error);
-        };
+    return () => {
+      const index = this.middleware.indexOf(middleware);
+      if (index > -1) {
+        this.middleware.splice(index, 1);
+      }
+    };
+  }
 
-        this.ws.onclose = (event) => {
-          this.isConnecting = false;
-          this.isConnected = false;
-          this.emit('close', event);
+  /**
+   * Attach instrumentation, such as openTelemetryInstrumentation(). Every hook is
+   * optional. `connect` and `join` may return a function, called with `{ error }`
+   * or `{ latency }` once the attempt ends.
+   * @param {Object} hooks - Instrumentation hooks
+   * @param {Function} hooks.connect - `({ transport, attempt }) => end`, a connection attempt starts
+   * @param {Function} hooks.reconnect - `({ attempt, delay }) => void`, a reconnect attempt starts
+   * @param {Function} hooks.join - `({ room }) => end`, a join request is sent
+   * @param {Function} hooks.send - `({ type, room, bytes, frame }) => void`, a frame was sent
+   * @param {Function} hooks.receive - `({ type, room, bytes, frame }) => void`, a frame was received
+   * @param {Function} hooks.error - `(error) => void`, an 'error' event is emitted
+   * @returns {Function} Function that removes the instrumentation
+   */
+  instrument(hooks) {
+    if (!hooks || typeof hooks !== 'object') {
+      throw new Error('Instrumentation must be an object of hooks');
+    }
+    this.instrumentation.push(hooks);
 
-          // Auto-reconnect if enabled
-          if (this.autoReconnect && this.reconnectAttempts < this.maxReconnectAttempts) {
-            this.reconnectAttempts++;
-            setTimeout(() => {
-              this.connect().catch(() => {
-                // Reconnection failed, will retry on next attempt
-              });
-            }, this.reconnectDelay * this.reconnectAttempts);
-          }
-        };
-      } catch (error) {
-        this.isConnecting = false;
-        reject(error);
+    return () => {
+      const index = this.instrumentation.indexOf(hooks);
+      if (index > -1) {
+        this.instrumentation.splice(index, 1);
       }
-    });
+    };
   }
 
   /**
-   * Handle incoming WebSocket messages
+   * Call a hook of every attached instrumentation
    * @private
+   * @param {string} name - Hook name
+   * @param {Object} data - Hook argument
+   * @returns {Function|null} Calls the functions the hooks returned, null when there are none
    */
-  handleMessage(message) {
-    const { type, room, payload, message: errorMessage } = message;
+  instrumentPoint(name, data) {
+    if (this.instrumentation.length === 0) {
+      return null;
+    }
 
-    switch (type) {
-      case 'joined':
-        this.resolvePromise(this.joinPromises, room, { success: true, room });
-        this.emit('joined', { room });
-        break;
+    const ends = [];
+    for (const hooks of this.instrumentation.slice()) {
+      if (typeof hooks[name] !== 'function') {
+        continue;
+      }
+      try {
+        const end = hooks[name](data);
+        if (typeof end === 'function') {
+          ends.push(end);
+        }
+      } catch (error) {
+        this.handleInstrumentationError(name, error);
+      }
+    }
 
-      case 'left':
-        this.resolvePromise(this.leavePromises, room, { success: true, room });
-        this.emit('left', { room });
-        break;
+    if (ends.length === 0) {
+      return null;
+    }
+    return (result) => {
+      for (const end of ends) {
+        try {
+          end(result);
+        } catch (error) {
+          this.handleInstrumentationError(name, error);
+        }
+      }
+    };
+  }
 
-      case 'message':
-        this.emit('message', { room, payload, from: message.from, timestamp: message.timestamp });
-        break;
+  /**
+   * Report an error thrown by an instrumentation hook
+   * @private
+   */
+  handleInstrumentationError(hook, error) {
+    // Errors thrown by error hooks cannot be reported through the error event
+    if (hook !== 'error') {
+      this.emit('error', { type: 'instrumentation_error', hook, error });
+    } else {
+      this.logger.error('Error in instrumentation hook', { hook, error });
+    }
+  }
 
-      case 'broadcast':
-        this.emit('broadcast', { payload, from: message.from });
-        break;
+  /**
+   * Count a frame in the client and room statistics
+   * @private
+   * @param {string} direction - 'sent' or 'received'
+   * @param {Object|null} frame - Decoded frame, null when it could not be decoded
+   * @param {any} data - Encoded frame
+   */
+  recordFrame(direction, frame, data) {
+    const bytes = byteLength(data);
+    const room = frame && typeof frame.room === 'string' ? frame.room : undefined;
+    const sent = direction === 'sent';
 
-      case 'error':
-        // Resolve any pending promises with error
-        this.rejectAllPromises(this.joinPromises, new Error(errorMessage || 'Unknown error'));
-        this.rejectAllPromises(this.leavePromises, new Error(errorMessage || 'Unknown error'));
-        this.emit('error', { type: 'server_error', message: errorMessage });
-        break;
+    const stats = this.connectionStats;
+    stats[sent ? 'framesSent' : 'framesReceived']++;
+    stats[sent ? 'bytesSent' : 'bytesReceived'] += bytes;
 
-      default:
-        this.emit('message', message);
+    if (room !== undefined) {
+      const roomStats = this.getRoomStats(room);
+      roomStats[sent ? 'framesSent' : 'framesReceived']++;
+      roomStats[sent ? 'bytesSent' : 'bytesReceived'] += bytes;
+    }
+
+    if (this.logger.enabled('debug')) {
+      this.logger.debug(sent ? 'Frame sent' : 'Frame received', { frame: frame ? this.logger.frame(frame) : null, bytes });
+    }
+    if (this.instrumentation.length > 0) {
+      this.instrumentPoint(sent ? 'send' : 'receive', { type: frame ? frame.type : undefined, room, bytes, frame });
     }
   }
 
   /**
-   * Resolve a promise from a map
+   * Measure the latency of a join request
    * @private
    */
-  resolvePromise(promiseMap, key, value) {
-    const promise = promiseMap.get(key);
-    if (promise) {
-      promise.resolve(value);
-      promiseMap.delete(key);
-    }
+  trackJoin(room, promise) {
+    const startedAt = Date.now();
+    const end = this.instrumentPoint('join', { room });
+
+    promise.then(() => {
+      const latency = Date.now() - startedAt;
+      this.connectionStats.joins++;
+      this.connectionStats.joinLatencyTotal += latency;
+      this.connectionStats.lastJoinLatency = latency;
+      this.getRoomStats(room).joinLatency = latency;
+      if (end) {
+        end({ latency });
+      }
+    }, (error) => {
+      if (end) {
+        end({ error });
+      }
+    });
   }
 
   /**
-   * Reject all promises in a map
    * @private
    */
-  rejectAllPromises(promiseMap, error) {
-    for (const [key, promise] of promiseMap.entries()) {
-      promise.reject(error);
-      promiseMap.delete(key);
+  getRoomStats(room) {
+    if (!this.roomStats.has(room)) {
+      this.roomStats.set(room, { framesSent: 0, framesReceived: 0, bytesSent: 0, bytesReceived: 0, joinLatency: null });
     }
+    return this.roomStats.get(room);
   }
 
   /**
-   * Send a message through the WebSocket
-   * @private
+   * Subscribe to events. The callback receives the event data and the event name.
+   * @param {string} event - Event name: 'open', 'close', 'error', 'message', 'joined', 'left', 'rejoined', 'broadcast',
+   *   'reconnecting', 'reconnect_attempt', 'reconnect_failed', 'delivery', 'heartbeat', 'queue_drop',
+   *   'presence_sync', 'presence_join', 'presence_leave', 'validation_error', 'transport_fallback', 'leader',
+   *   'network', 'suspended', 'rate_limited', 'statechange'.
+   *   '*' matches every event, and a name ending in '*' such as 'presence_*' every event starting with it.
+   * @param {Function} callback - Callback function
+   * @param {Object} options - Listener options
+   * @param {string} options.room - Only call the callback for events of this room
+   * @param {boolean} options.once - Remove the listener after its first call
+   * @returns {Function} Unsubscribe function
    */
-  sendMessage(message) {
-    if (!this.isConnected) {
-      if (this.autoReconnect) {
-        this.pendingMessages.push(message);
-        this.connect();
-        return;
-      }
-      throw new Error('WebSocket is not connected. Call connect() first or enable autoReconnect.');
+  on(event, callback, options = {}) {
+    if (typeof callback !== 'function') {
+      throw new Error('Listener callback must be a function');
+    }
+
+    const listener = { callback, room: options.room, once: options.once === true };
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
     }
+    this.listeners.get(event).push(listener);
 
-    this.ws.send(JSON.stringify(message));
+    // Return unsubscribe function
+    return () => this.removeListener(event, listener);
   }
 
   /**
-   * Join a room
-   * @param {string} room - Room name to join
-   * @returns {Promise<{success: boolean, room: string}>}
+   * Subscribe to the next occurrence of an event. Without a callback, returns
+   * a promise for the event data instead.
+   * @param {string} event - Event name or pattern, see on()
+   * @param {Function} callback - Callback function (optional)
+   * @param {Object} options - Listener options
+   * @param {string} options.room - Only match events of this room
+   * @param {AbortSignal} options.signal - Rejects the promise when aborted (promise form only)
+   * @returns {Function|Promise<any>} Unsubscribe function, or a promise for the event data
    */
-  join(room) {
-    if (!room) {
-      return Promise.reject(new Error('Room name is required'));
+  once(event, callback, options = {}) {
+    if (typeof callback === 'function') {
+      return this.on(event, callback, { ...options, once: true });
     }
 
+    options = callback || {};
+    const { signal } = options;
     return new Promise((resolve, reject) => {
-      this.joinPromises.set(room, { resolve, reject });
-      this.sendMessage({ type: 'join', room });
+      if (signal && signal.aborted) {
+        reject(signal.reason);
+        return;
+      }
+
+      const onAbort = () => {
+        unsubscribe();
+        reject(signal.reason);
+      };
+      const unsubscribe = this.on(event, (data) => {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        resolve(data);
+      }, { room: options.room, once: true });
+
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
     });
   }
 
   /**
-   * Leave a room
-   * @param {string} room - Room name to leave
-   * @returns {Promise<{success: boolean, room: string}>}
+   * Unsubscribe from events
+   * @param {string} event - Event name or pattern as passed to on(). Omit to remove every listener.
+   * @param {Function} callback - Callback to remove. Omit to remove every listener of the event.
    */
-  leave(room) {
-    if (!room) {
-      return Promise.reject(new Error('Room name is required'));
+  off(event, callback) {
+    if (event === undefined) {
+      this.listeners.clear();
+      return;
+    }
+    if (callback === undefined) {
+      this.listeners.delete(event);
+      return;
     }
 
-    return new Promise((resolve, reject) => {
-      this.leavePromises.set(room, { resolve, reject });
-      this.sendMessage({ type: 'leave', room });
-    });
+    const listeners = this.listeners.get(event);
+    const listener = listeners && listeners.find(entry => entry.callback === callback);
+    if (listener) {
+      this.removeListener(event, listener);
+    }
   }
 
   /**
-   * Send a message to a room
+   * Iterate over the messages of a room. Messages that arrive faster than
+   * they are consumed are buffered up to bufferSize.
    * @param {string} room - Room name
-   * @param {any} payload - Message payload
-   * @returns {void}
+   * @param {Object} options - Iterator options
+   * @param {AbortSignal} options.signal - Stops the iteration with the abort reason when aborted
+   * @param {number} options.bufferSize - Maximum number of buffered messages (default: 100)
+   * @param {string} options.overflow - What to do when the buffer is full: 'drop-oldest', 'drop-newest'
+   *   or 'reject' (default: 'drop-oldest')
+   * @returns {AsyncIterableIterator<Object>} Message events, as emitted by the 'message' event
    */
-  send(room, payload) {
+  messages(room, options = {}) {
     if (!room) {
       throw new Error('Room name is required');
     }
-    if (payload === undefined || payload === null) {
-      throw new Error('Payload is required');
-    }
 
-    this.sendMessage({ type: 'message', room, payload });
+    let unsubscribe = null;
+    const iterator = new EventIterator({
+      ...options,
+      onClose: () => {
+        if (unsubscribe) {
+          unsubscribe();
+        }
+        this.iterators.delete(iterator);
+      },
+    });
+
+    // An already aborted signal finishes the iterator right away
+    if (!iterator.error) {
+      unsubscribe = this.on('message', data => iterator.push(data), { room });
+      this.iterators.add(iterator);
+    }
+    return iterator;
   }
 
   /**
-   * Broadcast a message to all clients
-   * @param {any} payload - Message payload
-   * @returns {void}
+   * Remove a registered listener
+   * @private
    */
-  broadcast(payload) {
-    if (payload === undefined || payload === null) {
-      throw new Error('Payload is required');
+  removeListener(event, listener) {
+    const listeners = this.listeners.get(event);
+    if (!listeners) {
+      return;
     }
 
-    this.sendMessage({ type: 'broadcast', payload });
+    const index = listeners.indexOf(listener);
+    if (index > -1) {
+      listeners.splice(index, 1);
+    }
+    if (listeners.length === 0) {
+      this.listeners.delete(event);
+    }
   }
 
   /**
-   * Subscribe to events
-   * @param {string} event - Event name: 'open', 'close', 'error', 'message', 'joined', 'left', 'broadcast'
-   * @param {Function} callback - Callback function
-   * @returns {Function} Unsubscribe function
+   * Emit an event to all listeners
+   * @private
    */
-  on(event, callback) {
-    if (!this.listeners.has(event)) {
-      this.listeners.set(event, []);
+  emit(event, data) {
+    if (event === 'error') {
+      this.logError(data);
+      this.instrumentPoint('error', data);
     }
-    this.listeners.get(event).push(callback);
 
-    // Return unsubscribe function
-    return () => {
-      const callbacks = this.listeners.get(event);
-      if (callbacks) {
-        const index = callbacks.indexOf(callback);
-        if (index > -1) {
-          callbacks.splice(index, 1);
+    for (const [pattern, listeners] of Array.from(this.listeners)) {
+      if (!matchesEvent(pattern, event)) {
+        continue;
+      }
+
+      for (const listener of listeners.slice()) {
+        if (listener.room !== undefined && (!data || data.room !== listener.room)) {
+          continue;
+        }
+        if (listener.once) {
+          this.removeListener(pattern, listener);
+        }
+
+        try {
+          listener.callback(data, event);
+        } catch (error) {
+          this.handleListenerError(event, error);
         }
       }
-    };
+    }
   }
 
   /**
-   * Emit an event to all listeners
+   * Log an error event. Only descriptive fields are logged, raw frames and
+   * payloads are left out.
    * @private
    */
-  emit(event, data) {
-    const callbacks = this.listeners.get(event);
-    if (callbacks) {
-      callbacks.forEach(callback => {
-        try {
-          callback(data);
-        } catch (error) {
-          console.error(`Error in event listener for ${event}:`, error);
-        }
-      });
+  logError(data) {
+    if (!this.logger.enabled('error') || !data) {
+      return;
+    }
+    const fields = {};
+    for (const key of ['type', 'code', 'message', 'room', 'id', 'keyId', 'direction', 'event', 'hook', 'error']) {
+      if (data[key] !== undefined) {
+        fields[key] = data[key];
+      }
+    }
+    this.logger.error(`Client error: ${data.type}`, fields);
+  }
+
+  /**
+   * Report an error thrown by an event listener
+   * @private
+   */
+  handleListenerError(event, error) {
+    // Errors thrown by error listeners cannot be reported through the error event
+    const hasErrorListener = Array.from(this.listeners.keys()).some(pattern => matchesEvent(pattern, 'error'));
+    if (event !== 'error' && hasErrorListener) {
+      this.emit('error', { type: 'listener_error', event, error });
+    } else {
+      this.logger.error('Error in event listener', { event, error });
+    }
+  }
+
+  /**
+   * Drop the connection but keep listeners, rooms, channels and queued
+   * messages. A later connect() re-joins the rooms and sends the queue.
+   */
+  disconnect() {
+    if (this.state === 'idle' || this.state === 'closing' || this.state === 'closed') {
+      return;
+    }
+
+    this.logger.info('Disconnecting');
+    // Messages still being batched go out before the socket closes
+    this.flushBatches();
+    const wasConnected = this.isConnected;
+    this.clearReconnectTimer();
+    clearTimeout(this.backgroundTimer);
+    this.backgroundTimer = null;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.suspended = false;
+    this.setState('closing');
+    this.dropSocket();
+    this.reconnectAttempts = 0;
+
+    // Requests already sent on the dropped socket are sent again by the next connect()
+    for (const entry of this.requests.values()) {
+      if (!this.queue.has(entry.frame)) {
+        this.queue.push(entry.frame);
+      }
+    }
+
+    for (const channel of this.channels.values()) {
+      if (channel.status === 'joined') {
+        channel.setStatus('joining');
+      }
+    }
+
+    this.setState('closed');
+    if (wasConnected) {
+      this.emit('close', { type: 'close', code: 1000, reason: 'Client disconnected', wasClean: true });
     }
   }
 
@@ -274,17 +2790,64 @@ class SocketBaseClient {
    * Close the WebSocket connection
    */
   close() {
+    this.logger.info('Closing the client');
+    // Messages still being batched go out before the socket closes
+    this.flushBatches();
+    this.setState('closing');
     this.autoReconnect = false;
+    this.transportIndex = 0;
+    this.clearReconnectTimer();
+    if (this.unsubscribeConnectivity) {
+      this.unsubscribeConnectivity();
+      this.unsubscribeConnectivity = null;
+    }
+    clearTimeout(this.backgroundTimer);
+    this.backgroundTimer = null;
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    this.suspended = false;
+    this.stopHeartbeat();
+    this.abandonOpenAttempt('Client closed before the connection opened');
     if (this.ws) {
       this.ws.close();
       this.ws = null;
     }
-    this.isConnected = false;
-    this.isConnecting = false;
+    if (this.shared) {
+      this.shared.stop();
+    }
+    if (this.endConnect) {
+      this.endConnect(new Error('Client closed'));
+    }
+    this.recordDisconnect();
+    this.setState('closed');
     this.listeners.clear();
-    this.joinPromises.clear();
-    this.leavePromises.clear();
-    this.pendingMessages = [];
+    for (const iterator of this.iterators) {
+      iterator.end();
+    }
+    // Closing the socket leaves every room, other requests can no longer be answered
+    const error = disconnectedError('Client closed before a response was received');
+    for (const entry of Array.from(this.requests.values())) {
+      this.takeRequest(entry.id);
+      if (entry.type === 'leave') {
+        entry.resolve({ success: true, room: entry.room });
+      } else {
+        entry.reject(error);
+      }
+    }
+    this.rpc.close();
+    for (const entry of this.outbox.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.outbox.clear();
+    this.rooms.clear();
+    this.presence.clear();
+    this.trackedPresence.clear();
+    this.lastSeen.clear();
+    for (const channel of this.channels.values()) {
+      channel.setStatus('closed');
+    }
+    this.channels.clear();
+    this.queue.reset();
   }
 
   /**
@@ -294,6 +2857,183 @@ class SocketBaseClient {
   getConnectionStatus() {
     return this.isConnected;
   }
+
+  /**
+   * Get the connection state
+   * @returns {string} 'idle', 'connecting', 'open', 'reconnecting', 'closing', 'closed' or 'failed'
+   */
+  getState() {
+    return this.state;
+  }
+
+  /**
+   * Get the name of the transport in use, or the last one used
+   * @returns {string} 'websocket' or 'polling'
+   */
+  getTransport() {
+    return this.transports[this.transportIndex];
+  }
+
+  /**
+   * Whether this tab holds the connection. Always true unless shared mode is on.
+   * @returns {boolean}
+   */
+  isLeader() {
+    return !this.shared || this.shared.isLeader();
+  }
+
+  /**
+   * Get the round-trip latency measured by the last heartbeat
+   * @returns {number|null} Latency in ms, or null before the first pong
+   */
+  getLatency() {
+    return this.latency;
+  }
+
+  /**
+   * Get the rooms this client is currently a member of
+   * @returns {string[]}
+   */
+  getRooms() {
+    return Array.from(this.rooms);
+  }
+
+  /**
+   * Get client statistics. Counters accumulate over the lifetime of the client,
+   * across reconnects.
+   * @returns {Object} Frame and byte counts, connections, time connected in ms, join latency in ms,
+   *   queue depth, per-room counts and compression counters. Compression `ratio` is compressed bytes
+   *   divided by original bytes over all compressed payloads, null before the first one.
+   */
+  getStats() {
+    const stats = this.connectionStats;
+    const { compressed, skipped, decompressed, originalBytes, compressedBytes } = this.compressionStats;
+
+    const rooms = {};
+    for (const [room, roomStats] of this.roomStats) {
+      rooms[room] = {
+        frames: { sent: roomStats.framesSent, received: roomStats.framesReceived },
+        bytes: { sent: roomStats.bytesSent, received: roomStats.bytesReceived },
+        joinLatency: roomStats.joinLatency,
+      };
+    }
+
+    return {
+      frames: { sent: stats.framesSent, received: stats.framesReceived },
+      bytes: { sent: stats.bytesSent, received: stats.bytesReceived },
+      connects: stats.connects,
+      reconnects: Math.max(stats.connects - 1, 0),
+      connectedTime: stats.connectedTime + (this.connectedAt !== null ? Date.now() - this.connectedAt : 0),
+      joinLatency: {
+        last: stats.lastJoinLatency,
+        average: stats.joins > 0 ? stats.joinLatencyTotal / stats.joins : null,
+        count: stats.joins,
+      },
+      queueDepth: this.queue.length,
+      pendingAcks: this.outbox.size,
+      rooms,
+      compression: {
+        compressed,
+        skipped,
+        decompressed,
+        originalBytes,
+        compressedBytes,
+        ratio: originalBytes > 0 ? compressedBytes / originalBytes : null,
+      },
+    };
+  }
+}
+
+/**
+ * Whether a value is a Blob
+ * @private
+ */
+function isBlob(value) {
+  return typeof Blob !== 'undefined' && value instanceof Blob;
+}
+
+/**
+ * Whether an event name matches a listener pattern: an exact name, '*' for
+ * every event, or a prefix ending in '*'
+ * @private
+ */
+function matchesEvent(pattern, event) {
+  if (pattern === event || pattern === '*') {
+    return true;
+  }
+  return pattern.endsWith('*') && event.startsWith(pattern.slice(0, -1));
+}
+
+/**
+ * Whether a frame carries a compressed or encrypted payload, directly or in a message list
+ * @private
+ */
+function isEncodedFrame(message) {
+  if (!message || typeof message !== 'object') {
+    return false;
+  }
+  if (message.compression || message.encryption) {
+    return true;
+  }
+  return Array.isArray(message.messages)
+    && message.messages.some(entry => entry && (entry.compression || entry.encryption));
+}
+
+/**
+ * Bytes of a compressed or encrypted payload, which text codecs carry as base64
+ * @private
+ */
+function payloadBytes(payload) {
+  return typeof payload === 'string' ? base64ToBytes(payload) : toBytes(payload);
+}
+
+/**
+ * Size of an encoded frame in bytes, UTF-8 for text frames
+ * @private
+ */
+function byteLength(data) {
+  if (typeof data !== 'string') {
+    return data.byteLength !== undefined ? data.byteLength : data.size || 0;
+  }
+
+  let bytes = 0;
+  for (let i = 0; i < data.length; i++) {
+    const code = data.charCodeAt(i);
+    if (code < 0x80) {
+      bytes += 1;
+    } else if (code < 0x800) {
+      bytes += 2;
+    } else if (code >= 0xd800 && code < 0xdc00 && i + 1 < data.length) {
+      // Surrogate pair, one 4-byte character
+      bytes += 4;
+      i++;
+    } else {
+      bytes += 3;
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Error for work abandoned because the connection was dropped
+ * @private
+ */
+function disconnectedError(message) {
+  const error = new Error(message);
+  error.code = 'disconnected';
+  return error;
+}
+
+/**
+ * Split a batched message or broadcast into one frame per payload
+ * @private
+ */
+function unbatch(message) {
+  if (message.batch !== true || !Array.isArray(message.payload)) {
+    return [message];
+  }
+  const { batch, payload, ...rest } = message;
+  return payload.map(entry => ({ ...rest, payload: entry }));
 }
 
 /**
@@ -301,10 +3041,65 @@ class SocketBaseClient {
  * @param {Object} config - Client configuration
  * @param {string} config.url - WebSocket server URL (default: 'wss://api.socket-base.com')
  * @param {string} config.hash - Project hash (required)
- * @param {string} config.jwt - JWT token (required)
+ * @param {string|Function} config.jwt - JWT token or a (possibly async) function returning one,
+ *   called before each connect (required)
+ * @param {Array<number|string>} config.authErrorCodes - Close codes and server error codes treated as
+ *   auth failures (default: [1008, 4001, 4003])
+ * @param {string|Object} config.codec - Wire codec: 'json', 'msgpack', 'cbor' or a custom codec (default: 'json')
+ * @param {boolean|string|Object} config.compression - Compress large payloads: true for deflate, a
+ *   CompressionStream format ('deflate', 'deflate-raw', 'gzip') or a custom compressor (default: false).
+ *   Without CompressionStream, the built-in formats throw and a custom compressor is required
+ * @param {number} config.compressionThreshold - Minimum encoded payload size in bytes to compress
+ *   (default: 1024)
+ * @param {Object} config.encryption - End-to-end encryption of room payloads (default: none)
+ * @param {string[]|Function} config.encryption.rooms - Encrypted rooms, or a function `(room) => boolean`
+ * @param {Function} config.encryption.keyProvider - `(room, keyId) => ({ id, key })`, possibly async,
+ *   returning the current key when keyId is undefined
+ * @param {Function} config.WebSocket - WebSocket constructor, e.g. from the ws package
+ *   (default: globalThis.WebSocket)
+ * @param {Object} config.headers - Headers sent when connecting. Only WebSocket implementations that
+ *   accept options, such as ws, and the polling transport send them (default: none)
+ * @param {string|string[]} config.protocols - WebSocket subprotocols (default: none)
+ * @param {string[]} config.transports - Transports to try in order: 'websocket', 'polling'. The client
+ *   switches to the next one when a connection fails before opening (default: ['websocket'])
+ * @param {Function} config.fetch - fetch implementation for the polling transport (default: globalThis.fetch)
+ * @param {boolean|Object} config.shared - Share one connection between tabs: true, or { name, BroadcastChannel, locks } (default: false)
  * @param {boolean} config.autoReconnect - Enable auto-reconnect (default: true)
- * @param {number} config.maxReconnectAttempts - Maximum reconnect attempts (default: 5)
- * @param {number} config.reconnectDelay - Reconnect delay in ms (default: 1000)
+ * @param {Object} config.logger - Object with debug, info, warn and error methods taking (message, fields),
+ *   such as console or consoleLogger(), pinoLogger() and winstonLogger() (default: none, silent)
+ * @param {string} config.logLevel - Minimum level logged: 'debug', 'info', 'warn' or 'error' (default: 'info')
+ * @param {boolean|Function} config.logRedact - Replace payloads in logged frames, or a function
+ *   (frame) => frame returning what to log (default: true)
+ * @param {Object|Object[]} config.instrumentation - Instrumentation hooks, see client.instrument()
+ * @param {Object|false} config.connectivity - Network and visibility source, false to ignore both
+ *   (default: browser events when available)
+ * @param {number} config.backgroundTimeout - Disconnect after the page is hidden this long in ms, 0 to stay connected (default: 0)
+ * @param {number} config.requestTimeout - Timeout for join/leave requests and RPC calls in ms, 0 to disable (default: 10000)
+ * @param {boolean} config.resumeRooms - Ask for missed messages when re-joining rooms after a reconnect
+ *   (default: true)
+ * @param {boolean} config.ackMessages - Tag messages with IDs and make send()/broadcast() return
+ *   a promise for the server ack (default: false)
+ * @param {number} config.ackTimeout - Timeout for message acks in ms, 0 to disable (default: 10000)
+ * @param {number} config.maxQueueSize - Maximum number of frames queued while offline (default: 1000)
+ * @param {string} config.queueOverflow - What to do when the queue is full: 'drop-oldest', 'drop-newest'
+ *   or 'reject' (default: 'drop-oldest')
+ * @param {number} config.queueTTL - Time-to-live of queued frames in ms, 0 for none (default: 0)
+ * @param {Object} config.queueStorage - Storage adapter that persists queued messages across restarts
+ *   (default: none)
+ * @param {string} config.queueKey - Storage key for the queue (default: 'socket-base:<hash>:queue')
+ * @param {Object} config.rateLimit - Token-bucket limit on sent messages and broadcasts (default: none):
+ *   `{ rate, interval, burst, perRoom: { rate, interval, burst }, overflow }`, overflow is 'queue', 'drop' or 'reject'
+ * @param {number} config.batchWindow - Coalesce unacknowledged messages sent within this many ms into one
+ *   frame per room, 0 to disable (default: 0)
+ * @param {number} config.maxBatchSize - Messages per batch before it is sent early (default: 50)
+ * @param {number} config.heartbeatInterval - Interval between pings in ms, 0 to disable (default: 0)
+ * @param {number} config.maxMissedPongs - Missed pongs before the connection is considered dead (default: 2)
+ * @param {number} config.maxReconnectAttempts - Maximum reconnect attempts, Infinity for unlimited (default: 5)
+ * @param {number} config.reconnectDelay - Base reconnect delay in ms (default: 1000)
+ * @param {number} config.maxReconnectDelay - Maximum reconnect delay in ms (default: 30000)
+ * @param {string|Function} config.reconnectStrategy - 'linear', 'exponential', 'fixed' or a function
+ *   `(attempt, { baseDelay, maxDelay }) => delay` returning null to stop (default: 'linear')
+ * @param {number} config.reconnectJitter - Random fraction (0-1) subtracted from each delay (default: 0)
  * @returns {SocketBaseClient}
  */
 export function createClient(config) {
@@ -320,13 +3115,22 @@ export function createClient(config) {
   // Auto-connect by default
   if (config.autoConnect !== false) {
     client.connect().catch(error => {
-      console.error('Failed to connect:', error);
+      // Failures are reported through the error event and the logger
+      client.logger.debug('Auto-connect failed', { error });
     });
   }
 
   return client;
 }
 
+export { MemoryStorage, WebStorage, IndexedDBStorage } from './lib/storage.js';
+export { jsonCodec, msgpackCodec, cborCodec } from './lib/codecs.js';
+export { BrowserConnectivity, ManualConnectivity } from './lib/connectivity.js';
+export { openTelemetryInstrumentation } from './lib/opentelemetry.js';
+export { consoleLogger, pinoLogger, winstonLogger } from './lib/logger.js';
+
+export { Channel };
+
 // Default export
 export default { createClient };
 
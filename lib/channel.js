@@ -0,0 +1,191 @@
+/**
+ * Channel - a room handle returned by client.channel(room)
+ */
+
+export class Channel {
+  /**
+   * @param {SocketBaseClient} client - Client that owns the channel
+   * @param {string} room - Room name
+   */
+  constructor(client, room) {
+    this.client = client;
+    this.room = room;
+    this.status = 'closed';
+    this.listeners = new Map();
+  }
+
+  /**
+   * Join the room
+   * @param {Object} options - Join options
+   * @param {number} options.timeout - Timeout in ms (default: config.requestTimeout)
+   * @returns {Promise<Channel>}
+   */
+  subscribe(options) {
+    if (this.status === 'joined') {
+      return Promise.resolve(this);
+    }
+
+    this.setStatus('joining');
+    return this.client.join(this.room, options).then(
+      () => {
+        this.setStatus('joined');
+        return this;
+      },
+      (error) => {
+        this.setStatus('errored');
+        this.emit('error', { type: 'join_error', room: this.room, error });
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Leave the room. Listeners stay registered, so the channel can be
+   * subscribed again later.
+   * @param {Object} options - Leave options
+   * @param {number} options.timeout - Timeout in ms (default: config.requestTimeout)
+   * @returns {Promise<Channel>}
+   */
+  unsubscribe(options) {
+    if (this.status === 'closed') {
+      return Promise.resolve(this);
+    }
+
+    this.setStatus('leaving');
+    return this.client.leave(this.room, options).then(
+      () => {
+        this.setStatus('closed');
+        return this;
+      },
+      (error) => {
+        this.setStatus('errored');
+        this.emit('error', { type: 'leave_error', room: this.room, error });
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Send a message to the room
+   * @param {any} payload - Message payload
+   * @param {Object} options - Delivery options, see client.send()
+   * @returns {void|Promise<{success: boolean, id: string, room: string}>}
+   */
+  send(payload, options) {
+    return this.client.send(this.room, payload, options);
+  }
+
+  /**
+   * Call a method on the clients of the room
+   * @param {string} method - Method name
+   * @param {any} params - Parameters passed to the handler
+   * @param {Object} options - Call options, see client.request()
+   * @returns {Promise<any>}
+   */
+  request(method, params, options) {
+    return this.client.request(this.room, method, params, options);
+  }
+
+  /**
+   * Answer calls to a method in the room
+   * @param {string} method - Method name
+   * @param {Function} handler - `(params, { room, method, from, signal })`, see client.handle()
+   * @returns {Function} Removes the handler
+   */
+  handle(method, handler) {
+    return this.client.handle(this.room, method, handler);
+  }
+
+  /**
+   * Publish this client's presence state in the room
+   * @param {Object} state - Presence metadata, e.g. user name, status or cursor
+   */
+  track(state) {
+    this.client.track(this.room, state);
+  }
+
+  /**
+   * Stop publishing this client's presence state in the room
+   */
+  untrack() {
+    this.client.untrack(this.room);
+  }
+
+  /**
+   * Get the presence list of the room
+   * @returns {Object} Map of presence key to state
+   */
+  presenceState() {
+    return this.client.getPresence(this.room);
+  }
+
+  /**
+   * Validate the payloads sent and received in the room, see client.validate()
+   * @param {Function|Object} validator - Function or Standard Schema object
+   * @returns {Function} Function that removes the validator
+   */
+  validate(validator) {
+    return this.client.validate(this.room, validator);
+  }
+
+  /**
+   * Subscribe to channel events. The channel is removed from the client,
+   * leaving the room, once its last listener is removed.
+   * @param {string} event - Event name: 'message', 'status', 'error', 'presence_sync', 'presence_join',
+   *   'presence_leave', 'validation_error'
+   * @param {Function} callback - Callback function
+   * @returns {Function} Unsubscribe function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+
+    // Return unsubscribe function
+    return () => {
+      const callbacks = this.listeners.get(event);
+      if (callbacks) {
+        const index = callbacks.indexOf(callback);
+        if (index > -1) {
+          callbacks.splice(index, 1);
+        }
+        if (callbacks.length === 0) {
+          this.listeners.delete(event);
+        }
+        if (index > -1 && this.listeners.size === 0) {
+          this.client.removeChannel(this);
+        }
+      }
+    };
+  }
+
+  /**
+   * Emit an event to all listeners
+   * @private
+   */
+  emit(event, data) {
+    const callbacks = this.listeners.get(event);
+    if (callbacks) {
+      callbacks.slice().forEach(callback => {
+        try {
+          callback(data, event);
+        } catch (error) {
+          this.client.logger.error('Error in channel listener', { room: this.room, event, error });
+        }
+      });
+    }
+  }
+
+  /**
+   * Update the channel status and notify listeners
+   * @private
+   */
+  setStatus(status) {
+    if (this.status === status) {
+      return;
+    }
+    this.status = status;
+    this.emit('status', { room: this.room, status });
+  }
+}
@@ -0,0 +1,664 @@
+/**
+ * Wire codecs for encoding frames
+ *
+ * A codec is an object with:
+ * - name: identifies the codec to the server ('json', 'msgpack', 'cbor', ...)
+ * - binaryType: 'arraybuffer' for binary codecs, omitted for text codecs
+ * - encode(frame): returns a string, ArrayBuffer or Uint8Array
+ * - decode(data): takes a string or Uint8Array and returns the frame
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder('utf-8', { fatal: true });
+
+export const jsonCodec = {
+  name: 'json',
+  encode(frame) {
+    return JSON.stringify(frame);
+  },
+  decode(data) {
+    return JSON.parse(typeof data === 'string' ? data : textDecoder.decode(data));
+  },
+};
+
+export const msgpackCodec = {
+  name: 'msgpack',
+  binaryType: 'arraybuffer',
+  encode(frame) {
+    const writer = new ByteWriter();
+    encodeMsgpack(writer, frame);
+    return writer.toBytes();
+  },
+  decode(data) {
+    const reader = new ByteReader(toBytes(data));
+    const value = decodeMsgpack(reader);
+    reader.assertDone();
+    return value;
+  },
+};
+
+export const cborCodec = {
+  name: 'cbor',
+  binaryType: 'arraybuffer',
+  encode(frame) {
+    const writer = new ByteWriter();
+    encodeCbor(writer, frame);
+    return writer.toBytes();
+  },
+  decode(data) {
+    const reader = new ByteReader(toBytes(data));
+    const value = decodeCbor(reader);
+    reader.assertDone();
+    return value;
+  },
+};
+
+const BUILT_IN_CODECS = { json: jsonCodec, msgpack: msgpackCodec, cbor: cborCodec };
+
+/**
+ * Resolve a codec option to a codec object
+ * @param {string|Object} codec - Built-in codec name or a custom codec (default: 'json')
+ * @returns {Object}
+ */
+export function resolveCodec(codec = 'json') {
+  if (typeof codec === 'string') {
+    if (!BUILT_IN_CODECS[codec]) {
+      throw new Error(`Unknown codec: ${codec}`);
+    }
+    return BUILT_IN_CODECS[codec];
+  }
+  if (!codec || typeof codec.encode !== 'function' || typeof codec.decode !== 'function') {
+    throw new Error('Codec must have encode() and decode() methods');
+  }
+  return codec;
+}
+
+/**
+ * Convert binary frame data to a Uint8Array
+ * @private
+ */
+function toBytes(data) {
+  if (data instanceof Uint8Array) {
+    return data;
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  if (typeof data === 'string') {
+    throw new Error('Expected a binary frame but received text');
+  }
+  throw new Error('Unsupported frame data');
+}
+
+/**
+ * Whether a value is binary data that should be encoded as raw bytes
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+export function isBinary(value) {
+  return value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+}
+
+/**
+ * Growable byte buffer
+ * @private
+ */
+class ByteWriter {
+  constructor() {
+    this.bytes = new Uint8Array(256);
+    this.view = new DataView(this.bytes.buffer);
+    this.length = 0;
+  }
+
+  ensure(size) {
+    if (this.length + size <= this.bytes.length) {
+      return;
+    }
+    let capacity = this.bytes.length * 2;
+    while (capacity < this.length + size) {
+      capacity *= 2;
+    }
+    const bytes = new Uint8Array(capacity);
+    bytes.set(this.bytes.subarray(0, this.length));
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer);
+  }
+
+  uint8(value) {
+    this.ensure(1);
+    this.bytes[this.length++] = value;
+  }
+
+  uint16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.length, value);
+    this.length += 2;
+  }
+
+  uint32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.length, value);
+    this.length += 4;
+  }
+
+  uint64(value) {
+    this.ensure(8);
+    this.view.setBigUint64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  int64(value) {
+    this.ensure(8);
+    this.view.setBigInt64(this.length, BigInt(value));
+    this.length += 8;
+  }
+
+  float64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.length, value);
+    this.length += 8;
+  }
+
+  raw(bytes) {
+    this.ensure(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  toBytes() {
+    return this.bytes.slice(0, this.length);
+  }
+}
+
+/**
+ * Sequential reader over a byte array
+ * @private
+ */
+class ByteReader {
+  constructor(bytes) {
+    this.bytes = bytes;
+    this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    this.offset = 0;
+  }
+
+  need(size) {
+    if (this.offset + size > this.bytes.length) {
+      throw new Error('Unexpected end of frame');
+    }
+  }
+
+  uint8() {
+    this.need(1);
+    return this.bytes[this.offset++];
+  }
+
+  uint16() {
+    this.need(2);
+    const value = this.view.getUint16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  uint32() {
+    this.need(4);
+    const value = this.view.getUint32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  uint64() {
+    this.need(8);
+    const value = this.view.getBigUint64(this.offset);
+    this.offset += 8;
+    return Number(value);
+  }
+
+  int8() {
+    this.need(1);
+    return this.view.getInt8(this.offset++);
+  }
+
+  int16() {
+    this.need(2);
+    const value = this.view.getInt16(this.offset);
+    this.offset += 2;
+    return value;
+  }
+
+  int32() {
+    this.need(4);
+    const value = this.view.getInt32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  int64() {
+    this.need(8);
+    const value = this.view.getBigInt64(this.offset);
+    this.offset += 8;
+    return Number(value);
+  }
+
+  float16() {
+    const half = this.uint16();
+    const exponent = (half >> 10) & 0x1f;
+    const mantissa = half & 0x3ff;
+    const sign = half & 0x8000 ? -1 : 1;
+    if (exponent === 0) {
+      return sign * Math.pow(2, -14) * (mantissa / 1024);
+    }
+    if (exponent === 0x1f) {
+      return mantissa ? NaN : sign * Infinity;
+    }
+    return sign * Math.pow(2, exponent - 15) * (1 + mantissa / 1024);
+  }
+
+  float32() {
+    this.need(4);
+    const value = this.view.getFloat32(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  float64() {
+    this.need(8);
+    const value = this.view.getFloat64(this.offset);
+    this.offset += 8;
+    return value;
+  }
+
+  raw(length) {
+    this.need(length);
+    const bytes = this.bytes.slice(this.offset, this.offset + length);
+    this.offset += length;
+    return bytes;
+  }
+
+  text(length) {
+    this.need(length);
+    const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+    this.offset += length;
+    return value;
+  }
+
+  assertDone() {
+    if (this.offset !== this.bytes.length) {
+      throw new Error('Unexpected data after end of frame');
+    }
+  }
+}
+
+/**
+ * Call toJSON() the way JSON.stringify would, so dates and similar
+ * values encode the same in every codec
+ * @private
+ */
+function normalize(value) {
+  if (value && typeof value.toJSON === 'function') {
+    return value.toJSON();
+  }
+  return value;
+}
+
+/**
+ * Object entries that JSON.stringify would keep
+ * @private
+ */
+function objectEntries(value) {
+  return Object.entries(value).filter(([, field]) => field !== undefined && typeof field !== 'function');
+}
+
+/**
+ * @private
+ */
+function encodeMsgpack(writer, input) {
+  const value = normalize(input);
+
+  if (value === null || value === undefined || typeof value === 'function') {
+    writer.uint8(0xc0);
+  } else if (value === false) {
+    writer.uint8(0xc2);
+  } else if (value === true) {
+    writer.uint8(0xc3);
+  } else if (typeof value === 'number') {
+    encodeMsgpackNumber(writer, value);
+  } else if (typeof value === 'bigint') {
+    if (value >= 0n) {
+      writer.uint8(0xcf);
+      writer.uint64(value);
+    } else {
+      writer.uint8(0xd3);
+      writer.int64(value);
+    }
+  } else if (typeof value === 'string') {
+    const bytes = textEncoder.encode(value);
+    if (bytes.length < 32) {
+      writer.uint8(0xa0 | bytes.length);
+    } else if (bytes.length < 0x100) {
+      writer.uint8(0xd9);
+      writer.uint8(bytes.length);
+    } else if (bytes.length < 0x10000) {
+      writer.uint8(0xda);
+      writer.uint16(bytes.length);
+    } else {
+      writer.uint8(0xdb);
+      writer.uint32(bytes.length);
+    }
+    writer.raw(bytes);
+  } else if (isBinary(value)) {
+    const bytes = toBytes(value);
+    if (bytes.length < 0x100) {
+      writer.uint8(0xc4);
+      writer.uint8(bytes.length);
+    } else if (bytes.length < 0x10000) {
+      writer.uint8(0xc5);
+      writer.uint16(bytes.length);
+    } else {
+      writer.uint8(0xc6);
+      writer.uint32(bytes.length);
+    }
+    writer.raw(bytes);
+  } else if (Array.isArray(value)) {
+    if (value.length < 16) {
+      writer.uint8(0x90 | value.length);
+    } else if (value.length < 0x10000) {
+      writer.uint8(0xdc);
+      writer.uint16(value.length);
+    } else {
+      writer.uint8(0xdd);
+      writer.uint32(value.length);
+    }
+    value.forEach(item => encodeMsgpack(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = objectEntries(value);
+    if (entries.length < 16) {
+      writer.uint8(0x80 | entries.length);
+    } else if (entries.length < 0x10000) {
+      writer.uint8(0xde);
+      writer.uint16(entries.length);
+    } else {
+      writer.uint8(0xdf);
+      writer.uint32(entries.length);
+    }
+    for (const [key, field] of entries) {
+      encodeMsgpack(writer, key);
+      encodeMsgpack(writer, field);
+    }
+  } else {
+    throw new Error(`Cannot encode value of type ${typeof value}`);
+  }
+}
+
+/**
+ * @private
+ */
+function encodeMsgpackNumber(writer, value) {
+  if (!Number.isSafeInteger(value)) {
+    writer.uint8(0xcb);
+    writer.float64(value);
+  } else if (value >= 0) {
+    if (value < 0x80) {
+      writer.uint8(value);
+    } else if (value < 0x100) {
+      writer.uint8(0xcc);
+      writer.uint8(value);
+    } else if (value < 0x10000) {
+      writer.uint8(0xcd);
+      writer.uint16(value);
+    } else if (value < 0x100000000) {
+      writer.uint8(0xce);
+      writer.uint32(value);
+    } else {
+      writer.uint8(0xcf);
+      writer.uint64(value);
+    }
+  } else if (value >= -32) {
+    writer.uint8(value & 0xff);
+  } else if (value >= -0x80) {
+    writer.uint8(0xd0);
+    writer.uint8(value & 0xff);
+  } else if (value >= -0x8000) {
+    writer.uint8(0xd1);
+    writer.uint16(value & 0xffff);
+  } else if (value >= -0x80000000) {
+    writer.uint8(0xd2);
+    writer.uint32(value >>> 0);
+  } else {
+    writer.uint8(0xd3);
+    writer.int64(value);
+  }
+}
+
+/**
+ * @private
+ */
+function decodeMsgpack(reader) {
+  const byte = reader.uint8();
+
+  if (byte < 0x80) {
+    return byte;
+  }
+  if (byte < 0x90) {
+    return decodeMsgpackMap(reader, byte & 0x0f);
+  }
+  if (byte < 0xa0) {
+    return decodeMsgpackArray(reader, byte & 0x0f);
+  }
+  if (byte < 0xc0) {
+    return reader.text(byte & 0x1f);
+  }
+  if (byte >= 0xe0) {
+    return byte - 0x100;
+  }
+
+  switch (byte) {
+    case 0xc0: return null;
+    case 0xc2: return false;
+    case 0xc3: return true;
+    case 0xc4: return reader.raw(reader.uint8());
+    case 0xc5: return reader.raw(reader.uint16());
+    case 0xc6: return reader.raw(reader.uint32());
+    case 0xca: return reader.float32();
+    case 0xcb: return reader.float64();
+    case 0xcc: return reader.uint8();
+    case 0xcd: return reader.uint16();
+    case 0xce: return reader.uint32();
+    case 0xcf: return reader.uint64();
+    case 0xd0: return reader.int8();
+    case 0xd1: return reader.int16();
+    case 0xd2: return reader.int32();
+    case 0xd3: return reader.int64();
+    case 0xd9: return reader.text(reader.uint8());
+    case 0xda: return reader.text(reader.uint16());
+    case 0xdb: return reader.text(reader.uint32());
+    case 0xdc: return decodeMsgpackArray(reader, reader.uint16());
+    case 0xdd: return decodeMsgpackArray(reader, reader.uint32());
+    case 0xde: return decodeMsgpackMap(reader, reader.uint16());
+    case 0xdf: return decodeMsgpackMap(reader, reader.uint32());
+    default:
+      throw new Error(`Unsupported MessagePack type 0x${byte.toString(16)}`);
+  }
+}
+
+/**
+ * @private
+ */
+function decodeMsgpackArray(reader, length) {
+  const value = [];
+  for (let i = 0; i < length; i++) {
+    value.push(decodeMsgpack(reader));
+  }
+  return value;
+}
+
+/**
+ * @private
+ */
+function decodeMsgpackMap(reader, length) {
+  const value = {};
+  for (let i = 0; i < length; i++) {
+    setField(value, decodeMsgpack(reader), decodeMsgpack(reader));
+  }
+  return value;
+}
+
+/**
+ * Set a decoded map field as an own property, so a '__proto__' key cannot
+ * replace the object's prototype
+ * @private
+ */
+function setField(object, key, value) {
+  Object.defineProperty(object, String(key), {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true,
+  });
+}
+
+/**
+ * Write a CBOR type header with its argument
+ * @private
+ */
+function writeCborHead(writer, major, argument) {
+  const type = major << 5;
+  if (argument < 24) {
+    writer.uint8(type | argument);
+  } else if (argument < 0x100) {
+    writer.uint8(type | 24);
+    writer.uint8(argument);
+  } else if (argument < 0x10000) {
+    writer.uint8(type | 25);
+    writer.uint16(argument);
+  } else if (argument < 0x100000000) {
+    writer.uint8(type | 26);
+    writer.uint32(argument);
+  } else {
+    writer.uint8(type | 27);
+    writer.uint64(argument);
+  }
+}
+
+/**
+ * @private
+ */
+function encodeCbor(writer, input) {
+  const value = normalize(input);
+
+  if (value === null || value === undefined || typeof value === 'function') {
+    writer.uint8(0xf6);
+  } else if (value === false) {
+    writer.uint8(0xf4);
+  } else if (value === true) {
+    writer.uint8(0xf5);
+  } else if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) {
+      if (value >= 0) {
+        writeCborHead(writer, 0, value);
+      } else {
+        writeCborHead(writer, 1, -1 - value);
+      }
+    } else {
+      writer.uint8(0xfb);
+      writer.float64(value);
+    }
+  } else if (typeof value === 'bigint') {
+    const major = value >= 0n ? 0 : 1;
+    const argument = value >= 0n ? value : -1n - value;
+    writeCborHead(writer, major, argument < 0x100000000n ? Number(argument) : argument);
+  } else if (typeof value === 'string') {
+    const bytes = textEncoder.encode(value);
+    writeCborHead(writer, 3, bytes.length);
+    writer.raw(bytes);
+  } else if (isBinary(value)) {
+    const bytes = toBytes(value);
+    writeCborHead(writer, 2, bytes.length);
+    writer.raw(bytes);
+  } else if (Array.isArray(value)) {
+    writeCborHead(writer, 4, value.length);
+    value.forEach(item => encodeCbor(writer, item));
+  } else if (typeof value === 'object') {
+    const entries = objectEntries(value);
+    writeCborHead(writer, 5, entries.length);
+    for (const [key, field] of entries) {
+      encodeCbor(writer, key);
+      encodeCbor(writer, field);
+    }
+  } else {
+    throw new Error(`Cannot encode value of type ${typeof value}`);
+  }
+}
+
+/**
+ * Read the argument that follows a CBOR type header
+ * @private
+ */
+function readCborArgument(reader, info) {
+  if (info < 24) {
+    return info;
+  }
+  switch (info) {
+    case 24: return reader.uint8();
+    case 25: return reader.uint16();
+    case 26: return reader.uint32();
+    case 27: return reader.uint64();
+    default:
+      throw new Error('Indefinite-length CBOR items are not supported');
+  }
+}
+
+/**
+ * @private
+ */
+function decodeCbor(reader) {
+  const byte = reader.uint8();
+  const major = byte >> 5;
+  const info = byte & 0x1f;
+
+  if (major === 7) {
+    switch (info) {
+      case 20: return false;
+      case 21: return true;
+      case 22: return null;
+      case 23: return undefined;
+      case 25: return reader.float16();
+      case 26: return reader.float32();
+      case 27: return reader.float64();
+      default:
+        throw new Error(`Unsupported CBOR simple value ${info}`);
+    }
+  }
+
+  const argument = readCborArgument(reader, info);
+
+  switch (major) {
+    case 0:
+      return argument;
+    case 1:
+      return -1 - argument;
+    case 2:
+      return reader.raw(argument);
+    case 3:
+      return reader.text(argument);
+    case 4: {
+      const value = [];
+      for (let i = 0; i < argument; i++) {
+        value.push(decodeCbor(reader));
+      }
+      return value;
+    }
+    case 5: {
+      const value = {};
+      for (let i = 0; i < argument; i++) {
+        setField(value, decodeCbor(reader), decodeCbor(reader));
+      }
+      return value;
+    }
+    default:
+      // Tags (major type 6) only annotate the item that follows
+      return decodeCbor(reader);
+  }
+}
@@ -0,0 +1,127 @@
+/**
+ * Payload compression for large messages
+ *
+ * A compressor is an object with:
+ * - name: marker written to compressed frames ('deflate', 'gzip', ...)
+ * - compress(bytes): returns a promise for the compressed bytes
+ * - decompress(bytes): returns a promise for the original bytes
+ */
+
+const STREAM_FORMATS = ['deflate', 'deflate-raw', 'gzip'];
+
+/**
+ * Resolve a compression option to a compressor
+ * @param {boolean|string|Object} compression - true for deflate, a CompressionStream format,
+ *   or a custom compressor
+ * @returns {Object|null} Compressor, or null when compression is off
+ */
+export function resolveCompression(compression) {
+  if (!compression) {
+    return null;
+  }
+  if (compression === true) {
+    return streamCompressor('deflate');
+  }
+  if (typeof compression === 'string') {
+    if (!STREAM_FORMATS.includes(compression)) {
+      throw new Error(`Unknown compression format: ${compression}`);
+    }
+    return streamCompressor(compression);
+  }
+  if (!compression.name || typeof compression.compress !== 'function' || typeof compression.decompress !== 'function') {
+    throw new Error('Compression must have a name and compress() and decompress() methods');
+  }
+  return compression;
+}
+
+/**
+ * Compressor backed by CompressionStream / DecompressionStream
+ * @param {string} format - 'deflate', 'deflate-raw' or 'gzip'
+ * @returns {Object}
+ */
+export function streamCompressor(format) {
+  if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') {
+    throw new Error('CompressionStream is not available in this environment, pass a custom compressor instead');
+  }
+
+  return {
+    name: format,
+    compress: bytes => pipeBytes(bytes, new CompressionStream(format)),
+    decompress: bytes => pipeBytes(bytes, new DecompressionStream(format)),
+  };
+}
+
+/**
+ * Run bytes through a transform stream
+ * @private
+ */
+async function pipeBytes(bytes, transform) {
+  const writer = transform.writable.getWriter();
+  // Errors also surface on the readable side, where they are thrown
+  writer.write(bytes).then(() => writer.close()).catch(() => {});
+
+  const chunks = [];
+  let length = 0;
+  const reader = transform.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    length += value.length;
+  }
+
+  const result = new Uint8Array(length);
+  let offset = 0;
+  for (const chunk of chunks) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return result;
+}
+
+/**
+ * Encode bytes as base64, for compressed payloads in text frames
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string}
+ */
+export function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array}
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Normalize encoded data to bytes
+ * @param {string|ArrayBuffer|Uint8Array} data - Output of a codec or compressor
+ * @returns {Uint8Array}
+ */
+export function toBytes(data) {
+  if (typeof data === 'string') {
+    return new TextEncoder().encode(data);
+  }
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  }
+  if (ArrayBuffer.isView(data) && !(data instanceof Uint8Array)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return data;
+}
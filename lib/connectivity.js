@@ -0,0 +1,124 @@
+/**
+ * Connectivity sources, telling the client whether the network is up and
+ * whether the page is visible
+ *
+ * A source is any object with isOnline(), isVisible() and subscribe(listener)
+ * methods. The listener is called with 'online', 'offline', 'visible' or
+ * 'hidden', and subscribe() returns a function that removes it.
+ */
+
+/**
+ * Follows the browser's online/offline and visibilitychange events
+ */
+export class BrowserConnectivity {
+  /**
+   * @param {Object} options - Browser objects, for testing
+   * @param {EventTarget} options.window - Receives online/offline events (default: globalThis.window)
+   * @param {Document} options.document - Receives visibilitychange events (default: globalThis.document)
+   * @param {Navigator} options.navigator - Provides onLine (default: globalThis.navigator)
+   */
+  constructor(options = {}) {
+    this.window = options.window || globalThis.window;
+    this.document = options.document || globalThis.document;
+    this.navigator = options.navigator || globalThis.navigator;
+
+    if (!this.window || typeof this.window.addEventListener !== 'function') {
+      throw new Error('Browser events are not available in this environment');
+    }
+  }
+
+  /**
+   * Whether the browser APIs this source relies on exist
+   * @returns {boolean}
+   */
+  static isAvailable() {
+    return typeof globalThis.window !== 'undefined' && typeof globalThis.window.addEventListener === 'function';
+  }
+
+  isOnline() {
+    return !this.navigator || this.navigator.onLine !== false;
+  }
+
+  isVisible() {
+    return !this.document || this.document.visibilityState !== 'hidden';
+  }
+
+  subscribe(listener) {
+    const online = () => listener('online');
+    const offline = () => listener('offline');
+    const visibility = () => listener(this.isVisible() ? 'visible' : 'hidden');
+
+    this.window.addEventListener('online', online);
+    this.window.addEventListener('offline', offline);
+    if (this.document) {
+      this.document.addEventListener('visibilitychange', visibility);
+    }
+
+    return () => {
+      this.window.removeEventListener('online', online);
+      this.window.removeEventListener('offline', offline);
+      if (this.document) {
+        this.document.removeEventListener('visibilitychange', visibility);
+      }
+    };
+  }
+}
+
+/**
+ * Driven by the application, for Node.js or any environment without browser
+ * events, e.g. from an OS network monitor
+ */
+export class ManualConnectivity {
+  /**
+   * @param {Object} options - Initial state
+   * @param {boolean} options.online - Whether the network is up (default: true)
+   * @param {boolean} options.visible - Whether the app is in the foreground (default: true)
+   */
+  constructor(options = {}) {
+    this.online = options.online !== false;
+    this.visible = options.visible !== false;
+    this.listeners = new Set();
+  }
+
+  isOnline() {
+    return this.online;
+  }
+
+  isVisible() {
+    return this.visible;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @param {boolean} online - Whether the network is up
+   */
+  setOnline(online) {
+    if (online !== this.online) {
+      this.online = online;
+      this.notify(online ? 'online' : 'offline');
+    }
+  }
+
+  /**
+   * @param {boolean} visible - Whether the app is in the foreground
+   */
+  setVisible(visible) {
+    if (visible !== this.visible) {
+      this.visible = visible;
+      this.notify(visible ? 'visible' : 'hidden');
+    }
+  }
+
+  /**
+   * @private
+   */
+  notify(event) {
+    for (const listener of Array.from(this.listeners)) {
+      listener(event);
+    }
+  }
+}
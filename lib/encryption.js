@@ -0,0 +1,115 @@
+/**
+ * End-to-end encryption of room payloads with AES-GCM
+ *
+ * Encrypted payloads are the 12 byte IV followed by the ciphertext. The room
+ * name is authenticated too, so a relay cannot move a message to another room.
+ */
+
+const IV_LENGTH = 12;
+
+export class RoomEncryption {
+  /**
+   * @param {Object} options - Encryption options
+   * @param {string[]|Function} options.rooms - Encrypted rooms, or a function `(room) => boolean` (required)
+   * @param {Function} options.keyProvider - `(room, keyId) => ({ id, key })`, possibly async. Called
+   *   without a key ID for the current key, and with one to decrypt (required)
+   * @param {Object} options.crypto - WebCrypto implementation (default: globalThis.crypto)
+   */
+  constructor(options) {
+    if (!options.rooms || typeof options.keyProvider !== 'function') {
+      throw new Error('Encryption requires rooms and a keyProvider function');
+    }
+    this.rooms = options.rooms;
+    this.keyProvider = options.keyProvider;
+    this.crypto = options.crypto || globalThis.crypto;
+    this.importedKeys = new WeakMap();
+  }
+
+  /**
+   * Whether payloads in a room are encrypted
+   * @param {string} room - Room name
+   * @returns {boolean}
+   */
+  isEncrypted(room) {
+    if (room === undefined) {
+      return false;
+    }
+    return typeof this.rooms === 'function' ? this.rooms(room) === true : this.rooms.includes(room);
+  }
+
+  /**
+   * Encrypt a payload with the current key of a room
+   * @param {string} room - Room name
+   * @param {Uint8Array} bytes - Encoded payload
+   * @returns {Promise<{keyId: string, data: Uint8Array}>}
+   */
+  async encrypt(room, bytes) {
+    const { id, key } = await this.getKey(room);
+    const iv = this.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    const ciphertext = await this.crypto.subtle.encrypt(
+      { name: 'AES-GCM', iv, additionalData: new TextEncoder().encode(room) },
+      key,
+      bytes
+    );
+
+    const data = new Uint8Array(IV_LENGTH + ciphertext.byteLength);
+    data.set(iv);
+    data.set(new Uint8Array(ciphertext), IV_LENGTH);
+    return { keyId: id, data };
+  }
+
+  /**
+   * Decrypt a payload
+   * @param {string} room - Room name
+   * @param {string} keyId - ID of the key it was encrypted with
+   * @param {Uint8Array} data - IV followed by the ciphertext
+   * @returns {Promise<Uint8Array>} Encoded payload
+   */
+  async decrypt(room, keyId, data) {
+    if (keyId === undefined || keyId === null) {
+      throw new Error('Encrypted payload has no key ID');
+    }
+    if (data.length <= IV_LENGTH) {
+      throw new Error('Encrypted payload is too short');
+    }
+
+    const { key } = await this.getKey(room, keyId);
+    const plaintext = await this.crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: data.subarray(0, IV_LENGTH), additionalData: new TextEncoder().encode(room) },
+      key,
+      data.subarray(IV_LENGTH)
+    );
+    return new Uint8Array(plaintext);
+  }
+
+  /**
+   * Ask the key provider for a key and import raw key bytes
+   * @private
+   */
+  async getKey(room, keyId) {
+    const result = await this.keyProvider(room, keyId);
+    if (!result || !result.key || result.id === undefined || result.id === null) {
+      throw new Error(keyId === undefined
+        ? `No encryption key for room "${room}"`
+        : `Unknown key "${keyId}" for room "${room}"`);
+    }
+    if (keyId !== undefined && String(result.id) !== String(keyId)) {
+      throw new Error(`Key provider returned key "${result.id}" instead of "${keyId}"`);
+    }
+    return { id: String(result.id), key: await this.importKey(result.key) };
+  }
+
+  /**
+   * Import raw AES key bytes once, CryptoKeys are used as is
+   * @private
+   */
+  async importKey(key) {
+    if (!(key instanceof ArrayBuffer) && !ArrayBuffer.isView(key)) {
+      return key;
+    }
+    if (!this.importedKeys.has(key)) {
+      this.importedKeys.set(key, this.crypto.subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']));
+    }
+    return this.importedKeys.get(key);
+  }
+}
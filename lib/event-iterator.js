@@ -0,0 +1,159 @@
+/**
+ * Async iterator over events, returned by client.messages()
+ *
+ * Events that arrive while the consumer is busy are buffered. Once the buffer
+ * is full the overflow policy decides what happens, so a slow consumer can
+ * never grow memory without bound.
+ */
+
+export class EventIterator {
+  /**
+   * @param {Object} options - Iterator options
+   * @param {number} options.bufferSize - Maximum number of buffered events (default: 100)
+   * @param {string} options.overflow - 'drop-oldest', 'drop-newest' or 'reject' (default: 'drop-oldest')
+   * @param {AbortSignal} options.signal - Stops the iterator when aborted
+   * @param {Function} options.onClose - Called once when the iterator finishes
+   */
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize || 100;
+    this.overflow = options.overflow || 'drop-oldest';
+    this.signal = options.signal;
+    this.onClose = options.onClose;
+    this.buffer = [];
+    this.pending = null;
+    this.error = null;
+    this.done = false;
+    this.dropped = 0;
+
+    if (!['drop-oldest', 'drop-newest', 'reject'].includes(this.overflow)) {
+      throw new Error(`Unknown overflow policy: ${this.overflow}`);
+    }
+
+    if (this.signal) {
+      this.abortHandler = () => this.fail(this.signal.reason);
+      if (this.signal.aborted) {
+        this.abortHandler();
+      } else {
+        this.signal.addEventListener('abort', this.abortHandler, { once: true });
+      }
+    }
+  }
+
+  /**
+   * Hand an event to a waiting consumer, or buffer it
+   * @param {any} value - Event data
+   */
+  push(value) {
+    if (this.done || this.error) {
+      return;
+    }
+
+    if (this.pending) {
+      const { resolve } = this.pending;
+      this.pending = null;
+      resolve({ value, done: false });
+      return;
+    }
+
+    if (this.buffer.length >= this.bufferSize) {
+      this.dropped++;
+      if (this.overflow === 'drop-newest') {
+        return;
+      }
+      if (this.overflow === 'reject') {
+        const error = new Error(`Iterator buffer is full (${this.bufferSize} events), the consumer is too slow`);
+        error.code = 'buffer_full';
+        this.fail(error, true);
+        return;
+      }
+      this.buffer.shift();
+    }
+    this.buffer.push(value);
+  }
+
+  /**
+   * Finish the iterator once buffered events are consumed
+   */
+  end() {
+    if (this.done) {
+      return;
+    }
+    this.done = true;
+    this.cleanup();
+
+    if (this.pending) {
+      this.pending.resolve({ value: undefined, done: true });
+      this.pending = null;
+    }
+  }
+
+  /**
+   * Finish the iterator with an error
+   * @private
+   * @param {Error} error - Error thrown by the next read
+   * @param {boolean} keepBuffer - Deliver buffered events before the error
+   */
+  fail(error, keepBuffer = false) {
+    if (this.done || this.error) {
+      return;
+    }
+    this.error = error;
+    if (!keepBuffer) {
+      this.buffer = [];
+    }
+    this.cleanup();
+
+    if (this.pending) {
+      this.pending.reject(error);
+      this.pending = null;
+    }
+  }
+
+  next() {
+    if (this.buffer.length > 0) {
+      return Promise.resolve({ value: this.buffer.shift(), done: false });
+    }
+    if (this.error) {
+      const error = this.error;
+      this.done = true;
+      this.error = null;
+      return Promise.reject(error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pending = { resolve, reject };
+    });
+  }
+
+  /**
+   * Called when a for await loop exits early
+   */
+  return() {
+    this.buffer = [];
+    this.end();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+
+  /**
+   * Detach from the signal and the event source
+   * @private
+   */
+  cleanup() {
+    if (this.signal && this.abortHandler) {
+      this.signal.removeEventListener('abort', this.abortHandler);
+      this.abortHandler = null;
+    }
+    if (this.onClose) {
+      const onClose = this.onClose;
+      this.onClose = null;
+      onClose();
+    }
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * File system storage adapter for Node.js
+ *
+ * Kept out of the main entry point so browser bundles never import node:fs.
+ */
+
+import { mkdir, readFile, rename, unlink, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+/**
+ * Stores each key as a JSON file in a directory
+ */
+export class FileStorage {
+  /**
+   * @param {Object} options - File storage options
+   * @param {string} options.directory - Directory for the queue files (required)
+   */
+  constructor(options = {}) {
+    if (!options.directory) {
+      throw new Error('Storage directory is required');
+    }
+    this.directory = options.directory;
+  }
+
+  async getItem(key) {
+    try {
+      return JSON.parse(await readFile(this.filePath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async setItem(key, value) {
+    await mkdir(this.directory, { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a truncated queue
+    const file = this.filePath(key);
+    await writeFile(`${file}.tmp`, JSON.stringify(value));
+    await rename(`${file}.tmp`, file);
+  }
+
+  async removeItem(key) {
+    try {
+      await unlink(this.filePath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Map a storage key to a safe file name
+   * @private
+   */
+  filePath(key) {
+    return join(this.directory, `${encodeURIComponent(key)}.json`);
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Leveled logging
+ *
+ * The client logs through any object with debug, info, warn and error methods
+ * taking `(message, fields)`, such as console. Adapters below map that call
+ * to the conventions of pino and winston. Without a logger nothing is logged.
+ */
+
+export const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+/**
+ * Logger used by the client. Messages below the level are dropped, and callers
+ * check enabled() before building expensive fields.
+ */
+export class Logger {
+  /**
+   * @param {Object} target - Object with debug, info, warn and error methods (default: none, silent)
+   * @param {Object} options - Logger options
+   * @param {string} options.level - Minimum level: 'debug', 'info', 'warn' or 'error' (default: 'info')
+   * @param {boolean|Function} options.redact - Replace payloads in logged frames (default: true), or a
+   *   function `(frame) => frame` returning what to log
+   */
+  constructor(target, options = {}) {
+    const level = options.level || 'info';
+    if (!LOG_LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    if (target && LOG_LEVELS.some(name => typeof target[name] !== 'function')) {
+      throw new Error('Logger must have debug, info, warn and error methods');
+    }
+
+    this.target = target || null;
+    this.threshold = LOG_LEVELS.indexOf(level);
+    this.redact = options.redact !== undefined ? options.redact : true;
+  }
+
+  /**
+   * Whether messages of a level are logged
+   * @param {string} level - Log level
+   * @returns {boolean}
+   */
+  enabled(level) {
+    return this.target !== null && LOG_LEVELS.indexOf(level) >= this.threshold;
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * @private
+   */
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    try {
+      this.target[level](message, fields);
+    } catch (error) {
+      // A failing logger must not break the client
+    }
+  }
+
+  /**
+   * Prepare a frame for logging
+   * @param {Object} frame - Decoded frame
+   * @returns {Object} The frame with its payloads redacted
+   */
+  frame(frame) {
+    if (this.redact === false) {
+      return frame;
+    }
+    if (typeof this.redact === 'function') {
+      return this.redact(frame);
+    }
+    return redactFrame(frame);
+  }
+}
+
+/**
+ * Replace payloads and presence state, including those of replayed messages
+ * @private
+ */
+function redactFrame(frame) {
+  if (!frame || typeof frame !== 'object') {
+    return frame;
+  }
+
+  const copy = { ...frame };
+  for (const key of ['payload', 'state', 'presences']) {
+    if (copy[key] !== undefined) {
+      copy[key] = '[redacted]';
+    }
+  }
+  if (Array.isArray(copy.messages)) {
+    copy.messages = copy.messages.map(redactFrame);
+  }
+  return copy;
+}
+
+/**
+ * Log to the console, or any object with the same methods
+ * @param {Object} target - Console (default: globalThis.console)
+ * @param {Object} options - Adapter options
+ * @param {string} options.prefix - Prepended to every message (default: '[socket-base]')
+ * @returns {Object} Logger
+ */
+export function consoleLogger(target = globalThis.console, options = {}) {
+  const prefix = options.prefix !== undefined ? options.prefix : '[socket-base]';
+  const logger = {};
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields) => target[level](prefix ? `${prefix} ${message}` : message, fields);
+  }
+  return logger;
+}
+
+/**
+ * Log to pino, which takes the fields first and serializes errors under `err`
+ * @param {Object} pino - pino logger, or a child logger
+ * @returns {Object} Logger
+ */
+export function pinoLogger(pino) {
+  const logger = {};
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields) => {
+      const { error, ...rest } = fields;
+      pino[level](error !== undefined ? { ...rest, err: error } : rest, message);
+    };
+  }
+  return logger;
+}
+
+/**
+ * Log to winston, with the fields as metadata
+ * @param {Object} winston - winston logger
+ * @returns {Object} Logger
+ */
+export function winstonLogger(winston) {
+  const logger = {};
+  for (const level of LOG_LEVELS) {
+    logger[level] = (message, fields) => winston.log(level, message, fields);
+  }
+  return logger;
+}
@@ -0,0 +1,122 @@
+/**
+ * OpenTelemetry instrumentation
+ *
+ * Turns the client's instrumentation hooks into spans and metrics. The tracer
+ * and meter come from @opentelemetry/api (or anything with the same shape), so
+ * this works with both the Node.js and the browser SDKs and adds no dependency.
+ *
+ * Spans: 'socket_base.connect', 'socket_base.join'
+ * Metrics:
+ * - socket_base.frames.sent / socket_base.frames.received (counters, by frame type)
+ * - socket_base.bytes.sent / socket_base.bytes.received (counters, by frame type)
+ * - socket_base.reconnects (counter)
+ * - socket_base.errors (counter, by error type)
+ * - socket_base.join.duration (histogram, ms)
+ *
+ * Rooms are recorded on spans only, metric attributes stay low-cardinality.
+ */
+
+// SpanStatusCode from @opentelemetry/api
+const STATUS_OK = 1;
+const STATUS_ERROR = 2;
+
+/**
+ * Create instrumentation hooks that report to OpenTelemetry
+ * @param {Object} options - Instrumentation options
+ * @param {Object} options.tracer - Tracer, e.g. trace.getTracer('socket-base') (default: no spans)
+ * @param {Object} options.meter - Meter, e.g. metrics.getMeter('socket-base') (default: no metrics)
+ * @param {string} options.prefix - Span and metric name prefix (default: 'socket_base')
+ * @returns {Object} Hooks for client.instrument() or config.instrumentation
+ */
+export function openTelemetryInstrumentation(options = {}) {
+  const { tracer, meter } = options;
+  const prefix = options.prefix || 'socket_base';
+
+  const counter = (name, description, unit) => meter
+    ? meter.createCounter(`${prefix}.${name}`, { description, unit })
+    : null;
+  const framesSent = counter('frames.sent', 'Frames sent', '{frame}');
+  const framesReceived = counter('frames.received', 'Frames received', '{frame}');
+  const bytesSent = counter('bytes.sent', 'Bytes sent', 'By');
+  const bytesReceived = counter('bytes.received', 'Bytes received', 'By');
+  const reconnects = counter('reconnects', 'Reconnect attempts', '{attempt}');
+  const errors = counter('errors', 'Errors emitted by the client', '{error}');
+  const joinDuration = meter
+    ? meter.createHistogram(`${prefix}.join.duration`, { description: 'Time from join request to reply', unit: 'ms' })
+    : null;
+
+  // Start a span, and return the function that ends it
+  const span = (name, attributes) => {
+    if (!tracer) {
+      return null;
+    }
+    const current = tracer.startSpan(`${prefix}.${name}`, { attributes });
+    return ({ error }) => {
+      if (error) {
+        const exception = toError(error);
+        current.recordException(exception);
+        current.setStatus({ code: STATUS_ERROR, message: exception.message });
+      } else {
+        current.setStatus({ code: STATUS_OK });
+      }
+      current.end();
+    };
+  };
+
+  return {
+    connect({ transport, attempt }) {
+      return span('connect', { 'socket_base.transport': transport, 'socket_base.attempt': attempt });
+    },
+
+    reconnect() {
+      if (reconnects) {
+        reconnects.add(1);
+      }
+    },
+
+    join({ room }) {
+      const end = span('join', { 'socket_base.room': room });
+      return (result) => {
+        if (joinDuration && result.latency !== undefined) {
+          joinDuration.record(result.latency);
+        }
+        if (end) {
+          end(result);
+        }
+      };
+    },
+
+    send({ type, bytes }) {
+      if (framesSent) {
+        framesSent.add(1, { 'socket_base.frame_type': type });
+        bytesSent.add(bytes, { 'socket_base.frame_type': type });
+      }
+    },
+
+    receive({ type, bytes }) {
+      if (framesReceived) {
+        framesReceived.add(1, { 'socket_base.frame_type': type });
+        bytesReceived.add(bytes, { 'socket_base.frame_type': type });
+      }
+    },
+
+    error({ type }) {
+      if (errors) {
+        errors.add(1, { 'socket_base.error_type': type });
+      }
+    },
+  };
+}
+
+/**
+ * Errors reach hooks as Error objects, socket events or close events
+ * @private
+ */
+function toError(error) {
+  if (error instanceof Error) {
+    return error;
+  }
+  const reason = error && (error.reason || error.message);
+  const code = error && error.code !== undefined ? ` (code ${error.code})` : '';
+  return new Error(`${reason || 'Connection failed'}${code}`);
+}
@@ -0,0 +1,273 @@
+/**
+ * HTTP long-polling transport, used where WebSocket upgrades are blocked
+ *
+ * Exposes the same interface as a WebSocket (readyState, send, close and the
+ * onopen/onmessage/onerror/onclose handlers), so the client can use it in
+ * place of one. Frames are text-encoded, and a session works like this:
+ * - POST {url} opens a session and returns `{ "sid": "..." }`
+ * - GET {url}/{sid} waits for frames and returns a JSON array of frames, or 204 when there are none
+ * - POST {url}/{sid} sends a JSON array of frames
+ * - DELETE {url}/{sid} ends the session
+ */
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// HTTP statuses reported as close codes the client treats as auth failures
+const AUTH_CLOSE_CODES = { 401: 4001, 403: 4003 };
+
+// A 204 faster than this did not wait for frames, the next poll backs off
+const MIN_POLL_TIME = 1000;
+const EMPTY_POLL_DELAY = 100;
+const MAX_EMPTY_POLL_DELAY = 5000;
+
+export class PollingTransport {
+  /**
+   * @param {string} url - Session base URL, e.g. 'https://api.socket-base.com/poll/<hash>'
+   * @param {Object} options - Transport options
+   * @param {string} options.query - Query string appended to every request, including the '?'
+   * @param {Object} options.headers - Headers sent with every request
+   * @param {Function} options.fetch - fetch implementation (default: globalThis.fetch)
+   */
+  constructor(url, options = {}) {
+    this.url = url;
+    this.query = options.query || '';
+    this.headers = options.headers || {};
+    this.fetch = options.fetch || globalThis.fetch;
+    this.readyState = CONNECTING;
+    this.sid = null;
+    this.outbox = [];
+    this.flushing = false;
+    this.controller = new AbortController();
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    if (typeof this.fetch !== 'function') {
+      throw new Error('fetch is not available in this environment, pass one as config.fetch');
+    }
+
+    // Open on the next tick so handlers can be attached first, like a WebSocket
+    Promise.resolve().then(() => this.open());
+  }
+
+  /**
+   * Queue a frame. Frames queued in the same tick are sent in one request.
+   * @param {string} data - Encoded frame
+   */
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error('Polling transport is not open');
+    }
+    if (typeof data !== 'string') {
+      throw new Error('Polling transport only sends text frames');
+    }
+
+    this.outbox.push(data);
+    if (!this.flushing) {
+      this.flushing = true;
+      Promise.resolve().then(() => this.flush());
+    }
+  }
+
+  /**
+   * End the session
+   * @param {number} code - Close code (default: 1000)
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+
+    const sid = this.readyState === OPEN ? this.sid : null;
+    this.readyState = CLOSED;
+    this.controller.abort();
+
+    if (sid) {
+      this.endSession(sid);
+    }
+    if (this.onclose) {
+      this.onclose({ type: 'close', code, reason });
+    }
+  }
+
+  /**
+   * Create the session and start polling
+   * @private
+   */
+  async open() {
+    if (this.readyState !== CONNECTING) {
+      return;
+    }
+
+    try {
+      // Not aborted by close(), so a session created meanwhile can still be ended
+      const response = await this.fetch(`${this.url}${this.query}`, { method: 'POST', headers: this.headers });
+      if (!response.ok) {
+        this.fail(response.status);
+        return;
+      }
+
+      const { sid } = await response.json();
+      if (this.readyState !== CONNECTING) {
+        // close() was called while the session was being created
+        if (sid) {
+          this.endSession(sid);
+        }
+        return;
+      }
+      this.sid = sid;
+      this.readyState = OPEN;
+      if (this.onopen) {
+        this.onopen({ type: 'open' });
+      }
+      this.poll();
+    } catch (error) {
+      this.error(error);
+    }
+  }
+
+  /**
+   * Keep one request waiting for frames while the session is open
+   * @private
+   */
+  async poll() {
+    let emptyPolls = 0;
+    while (this.readyState === OPEN) {
+      let frames;
+      try {
+        const startedAt = Date.now();
+        const response = await this.request('GET', this.sessionUrl());
+        if (this.readyState !== OPEN) {
+          return;
+        }
+        if (response.status === 204) {
+          // A server or proxy answering right away would otherwise keep this loop busy
+          if (Date.now() - startedAt < MIN_POLL_TIME) {
+            emptyPolls++;
+            await this.wait(Math.min(EMPTY_POLL_DELAY * 2 ** (emptyPolls - 1), MAX_EMPTY_POLL_DELAY));
+          } else {
+            emptyPolls = 0;
+          }
+          continue;
+        }
+        emptyPolls = 0;
+        if (!response.ok) {
+          this.fail(response.status);
+          return;
+        }
+        frames = await response.json();
+        if (!Array.isArray(frames)) {
+          throw new Error('Polling response is not an array of frames');
+        }
+      } catch (error) {
+        this.error(error);
+        return;
+      }
+
+      for (const data of frames) {
+        if (this.readyState !== OPEN) {
+          return;
+        }
+        if (this.onmessage) {
+          this.onmessage({ data });
+        }
+      }
+    }
+  }
+
+  /**
+   * Send queued frames in order, one request at a time
+   * @private
+   */
+  async flush() {
+    while (this.readyState === OPEN && this.outbox.length > 0) {
+      const batch = this.outbox.splice(0);
+      try {
+        const response = await this.request('POST', this.sessionUrl(), JSON.stringify(batch));
+        if (!response.ok) {
+          this.fail(response.status);
+          break;
+        }
+      } catch (error) {
+        this.error(error);
+        break;
+      }
+    }
+    this.flushing = false;
+  }
+
+  /**
+   * @private
+   */
+  request(method, url, body) {
+    const headers = body === undefined ? this.headers : { ...this.headers, 'Content-Type': 'application/json' };
+    return this.fetch(url, { method, headers, body, signal: this.controller.signal });
+  }
+
+  /**
+   * @private
+   */
+  sessionUrl(sid = this.sid) {
+    return `${this.url}/${encodeURIComponent(sid)}${this.query}`;
+  }
+
+  /**
+   * @private
+   */
+  endSession(sid) {
+    this.fetch(this.sessionUrl(sid), { method: 'DELETE', headers: this.headers }).catch(() => {
+      // The server expires abandoned sessions
+    });
+  }
+
+  /**
+   * Wait before the next poll, or until close()
+   * @private
+   */
+  wait(delay) {
+    const { signal } = this.controller;
+    return new Promise((resolve) => {
+      const done = () => {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', done);
+        resolve();
+      };
+      const timer = setTimeout(done, delay);
+      signal.addEventListener('abort', done);
+    });
+  }
+
+  /**
+   * Close after an unexpected HTTP status
+   * @private
+   */
+  fail(status) {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    const error = new Error(`Polling request failed with HTTP ${status}`);
+    error.status = status;
+    if (this.onerror) {
+      this.onerror({ type: 'error', error });
+    }
+    this.close(AUTH_CLOSE_CODES[status] || 1006, error.message);
+  }
+
+  /**
+   * Close after a network error. Errors caused by close() itself are ignored.
+   * @private
+   */
+  error(error) {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    if (this.onerror) {
+      this.onerror({ type: 'error', error });
+    }
+    this.close(1006, error.message);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * Presence list for a single room
+ */
+
+export class PresenceState {
+  constructor() {
+    this.presences = new Map();
+  }
+
+  /**
+   * Replace the whole list with a snapshot from the server
+   * @param {Object} presences - Map of presence key to state
+   * @returns {{joins: Array, leaves: Array}} Entries that actually changed
+   */
+  sync(presences) {
+    const next = presences || {};
+    const leaves = [];
+
+    for (const [key, state] of this.presences) {
+      if (!Object.prototype.hasOwnProperty.call(next, key)) {
+        leaves.push({ key, state });
+      }
+    }
+
+    const { joins } = this.apply({ joins: next, leaves: {} });
+    for (const { key } of leaves) {
+      this.presences.delete(key);
+    }
+
+    return { joins, leaves };
+  }
+
+  /**
+   * Apply an incremental update from the server
+   * @param {Object} diff - Presence diff
+   * @param {Object} diff.joins - Map of presence key to new state
+   * @param {Object} diff.leaves - Map of presence key to removed state
+   * @returns {{joins: Array, leaves: Array}} Entries that actually changed
+   */
+  apply(diff) {
+    const joins = [];
+    const leaves = [];
+
+    for (const [key, state] of Object.entries(diff.joins || {})) {
+      const previous = this.presences.get(key);
+      if (previous === undefined || !isEqual(previous, state)) {
+        this.presences.set(key, state);
+        joins.push({ key, state, previous });
+      }
+    }
+
+    for (const [key, state] of Object.entries(diff.leaves || {})) {
+      if (this.presences.has(key)) {
+        this.presences.delete(key);
+        leaves.push({ key, state });
+      }
+    }
+
+    return { joins, leaves };
+  }
+
+  /**
+   * Get the current list as a plain object
+   * @returns {Object} Map of presence key to state
+   */
+  list() {
+    return Object.fromEntries(this.presences);
+  }
+}
+
+/**
+ * Compare two JSON-compatible values
+ * @private
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,181 @@
+/**
+ * Outbound queue for frames sent while the socket is not open
+ */
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'reject'];
+
+export class OutboundQueue {
+  /**
+   * @param {Object} options - Queue options
+   * @param {number} options.maxSize - Maximum number of queued frames (default: Infinity)
+   * @param {string} options.overflow - 'drop-oldest', 'drop-newest' or 'reject' (default: 'drop-oldest')
+   * @param {number} options.ttl - Default time-to-live of a queued frame in ms, 0 for none (default: 0)
+   * @param {Object} options.storage - Storage adapter used to persist frames (default: none)
+   * @param {string} options.key - Storage key
+   * @param {Function} options.onDrop - Called with (frame, reason) when a frame is dropped
+   * @param {Function} options.onError - Called with an error when the storage adapter fails
+   */
+  constructor(options = {}) {
+    if (options.overflow && !OVERFLOW_POLICIES.includes(options.overflow)) {
+      throw new Error(`Unknown queue overflow policy: ${options.overflow}`);
+    }
+
+    this.maxSize = options.maxSize || Infinity;
+    this.overflow = options.overflow || 'drop-oldest';
+    this.ttl = options.ttl || 0;
+    this.storage = options.storage || null;
+    this.key = options.key;
+    this.onDrop = options.onDrop || (() => {});
+    this.onError = options.onError || (() => {});
+    this.entries = [];
+    this.ready = !this.storage;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Number of queued frames, including ones that may have expired
+   * @returns {number}
+   */
+  get length() {
+    return this.entries.length;
+  }
+
+  /**
+   * Load frames persisted by a previous session. They are older than
+   * anything queued since, so they go to the front of the queue.
+   * @returns {Promise<void>}
+   */
+  restore() {
+    if (!this.storage) {
+      this.ready = true;
+      return Promise.resolve();
+    }
+
+    return Promise.resolve()
+      .then(() => this.storage.getItem(this.key))
+      .then((stored) => {
+        const restored = Array.isArray(stored) ? stored : [];
+        this.entries = restored.map(entry => ({ ...entry, persist: true })).concat(this.entries);
+        this.trim();
+      })
+      .catch((error) => {
+        this.onError(error);
+      })
+      .then(() => {
+        this.ready = true;
+        this.persist();
+      });
+  }
+
+  /**
+   * Add a frame to the end of the queue
+   * @param {Object} frame - Frame to queue
+   * @param {Object} options - Entry options
+   * @param {number} options.ttl - Time-to-live in ms (default: queue ttl)
+   * @param {boolean} options.persist - Write the frame to storage (default: false)
+   * @returns {boolean} False if the frame was dropped by the overflow policy
+   */
+  push(frame, options = {}) {
+    if (this.entries.length >= this.maxSize) {
+      if (this.overflow === 'reject') {
+        const error = new Error(`Outbound queue is full (${this.maxSize} messages)`);
+        error.code = 'queue_full';
+        throw error;
+      }
+      if (this.overflow === 'drop-newest') {
+        this.onDrop(frame, 'overflow');
+        return false;
+      }
+    }
+
+    const ttl = options.ttl !== undefined ? options.ttl : this.ttl;
+    this.entries.push({
+      frame,
+      expiresAt: ttl > 0 ? Date.now() + ttl : null,
+      persist: options.persist === true,
+    });
+    this.trim();
+    this.persist();
+    return true;
+  }
+
+  /**
+   * Return the frames that have not expired, oldest first, without removing them
+   * @returns {Array<Object>}
+   */
+  frames() {
+    const now = Date.now();
+    const live = this.entries.filter(entry => entry.expiresAt === null || entry.expiresAt > now);
+
+    if (live.length !== this.entries.length) {
+      const expired = this.entries.filter(entry => !live.includes(entry));
+      this.entries = live;
+      expired.forEach(entry => this.onDrop(entry.frame, 'expired'));
+      this.persist();
+    }
+    return live.map(entry => entry.frame);
+  }
+
+  /**
+   * Whether a frame is still queued
+   * @param {Object} frame - Frame passed to push()
+   * @returns {boolean}
+   */
+  has(frame) {
+    return this.entries.some(entry => entry.frame === frame);
+  }
+
+  /**
+   * Remove a frame from the queue
+   * @param {Object} frame - Frame to remove
+   */
+  remove(frame) {
+    const index = this.entries.findIndex(entry => entry.frame === frame);
+    if (index > -1) {
+      this.entries.splice(index, 1);
+      this.persist();
+    }
+  }
+
+  /**
+   * Drop all frames from memory without touching storage, so persisted
+   * frames are still delivered by the next session
+   */
+  reset() {
+    this.entries = [];
+  }
+
+  /**
+   * Drop frames from the front of the queue until it fits maxSize
+   * @private
+   */
+  trim() {
+    while (this.entries.length > this.maxSize) {
+      const entry = this.entries.shift();
+      this.onDrop(entry.frame, 'overflow');
+    }
+  }
+
+  /**
+   * Write persistable frames to storage. Writes are serialized so an older
+   * snapshot never overwrites a newer one.
+   * @private
+   */
+  persist() {
+    if (!this.storage || !this.ready) {
+      return;
+    }
+
+    const snapshot = this.entries
+      .filter(entry => entry.persist)
+      .map(({ frame, expiresAt }) => ({ frame, expiresAt }));
+
+    this.writing = this.writing
+      .then(() => (snapshot.length > 0
+        ? this.storage.setItem(this.key, snapshot)
+        : this.storage.removeItem(this.key)))
+      .catch((error) => {
+        this.onError(error);
+      });
+  }
+}
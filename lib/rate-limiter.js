@@ -0,0 +1,165 @@
+/**
+ * Token bucket rate limiting for outgoing messages
+ *
+ * A bucket holds up to `burst` tokens and refills at `rate` tokens per
+ * `interval`. Sending a message takes one token from the client bucket and
+ * one from the bucket of its room.
+ */
+
+const OVERFLOW_POLICIES = ['queue', 'drop', 'reject'];
+
+// Room buckets kept before full ones are forgotten
+const MAX_ROOM_BUCKETS = 1000;
+
+export class TokenBucket {
+  /**
+   * @param {Object} options - Bucket options
+   * @param {number} options.rate - Tokens added per interval
+   * @param {number} options.interval - Refill interval in ms (default: 1000)
+   * @param {number} options.burst - Bucket size (default: rate)
+   */
+  constructor(options) {
+    if (!(options.rate > 0)) {
+      throw new Error('Rate limit rate must be a positive number');
+    }
+
+    this.capacity = options.burst || options.rate;
+    this.refillRate = options.rate / (options.interval || 1000);
+    this.tokens = this.capacity;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * @private
+   */
+  refill(now) {
+    // The wall clock can step back, which must not take tokens away
+    if (now > this.updatedAt) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillRate);
+      this.updatedAt = now;
+    }
+  }
+
+  /**
+   * Whether a token is available
+   * @param {number} now - Current time in ms
+   * @returns {boolean}
+   */
+  hasToken(now) {
+    this.refill(now);
+    return this.tokens >= 1;
+  }
+
+  /**
+   * Take a token. Call hasToken() first.
+   */
+  take() {
+    this.tokens -= 1;
+  }
+
+  /**
+   * Whether the bucket is full, so forgetting it changes nothing
+   * @param {number} now - Current time in ms
+   * @returns {boolean}
+   */
+  isFull(now) {
+    this.refill(now);
+    return this.tokens >= this.capacity;
+  }
+
+  /**
+   * Time until a token is available
+   * @param {number} now - Current time in ms
+   * @returns {number} Delay in ms
+   */
+  waitTime(now) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillRate);
+  }
+}
+
+export class RateLimiter {
+  /**
+   * @param {Object} options - Rate limit options
+   * @param {number} options.rate - Messages per interval for the whole client (default: unlimited)
+   * @param {number} options.interval - Interval in ms (default: 1000)
+   * @param {number} options.burst - Messages that can be sent at once (default: rate)
+   * @param {Object} options.perRoom - `{ rate, interval, burst }` applied to each room (default: unlimited)
+   * @param {string} options.overflow - 'queue', 'drop' or 'reject' (default: 'queue')
+   */
+  constructor(options) {
+    this.overflow = options.overflow || 'queue';
+    if (!OVERFLOW_POLICIES.includes(this.overflow)) {
+      throw new Error(`Unknown rate limit overflow policy: ${this.overflow}`);
+    }
+    if (options.rate === undefined && !options.perRoom) {
+      throw new Error('Rate limit needs a rate, a perRoom rate or both');
+    }
+
+    this.bucket = options.rate !== undefined ? new TokenBucket(options) : null;
+    this.roomOptions = options.perRoom || null;
+    this.rooms = new Map();
+    if (this.roomOptions) {
+      // Fail on invalid room options now rather than on the first send
+      new TokenBucket(this.roomOptions);
+    }
+  }
+
+  /**
+   * Take a token for a message if both its buckets have one
+   * @param {string} room - Room of the message, undefined for broadcasts
+   * @returns {boolean} Whether the message may be sent now
+   */
+  tryAcquire(room) {
+    const now = Date.now();
+    const buckets = this.buckets(room);
+    if (!buckets.every(bucket => bucket.hasToken(now))) {
+      return false;
+    }
+    buckets.forEach(bucket => bucket.take());
+    return true;
+  }
+
+  /**
+   * Time until a message for a room may be sent
+   * @param {string} room - Room of the message, undefined for broadcasts
+   * @returns {number} Delay in ms
+   */
+  waitTime(room) {
+    const now = Date.now();
+    return Math.max(0, ...this.buckets(room).map(bucket => bucket.waitTime(now)));
+  }
+
+  /**
+   * @private
+   */
+  buckets(room) {
+    const buckets = this.bucket ? [this.bucket] : [];
+    if (this.roomOptions && room !== undefined) {
+      let bucket = this.rooms.get(room);
+      if (!bucket) {
+        this.prune();
+        bucket = new TokenBucket(this.roomOptions);
+        this.rooms.set(room, bucket);
+      }
+      buckets.push(bucket);
+    }
+    return buckets;
+  }
+
+  /**
+   * Forget full room buckets once there are many, a new bucket starts full anyway
+   * @private
+   */
+  prune() {
+    if (this.rooms.size < MAX_ROOM_BUCKETS) {
+      return;
+    }
+    const now = Date.now();
+    for (const [room, bucket] of this.rooms) {
+      if (bucket.isFull(now)) {
+        this.rooms.delete(room);
+      }
+    }
+  }
+}
@@ -0,0 +1,259 @@
+/**
+ * Request/response calls between the clients of a room
+ *
+ * Calls travel as room messages whose payload is an envelope the server
+ * relays like any other message:
+ * - `{ $rpc: 'request', id, method, params }`
+ * - `{ $rpc: 'response', id, result }` or `{ $rpc: 'response', id, error: { message, code, data } }`
+ * - `{ $rpc: 'cancel', id }`, sent when the caller stops waiting
+ *
+ * Every member of the room sees every envelope. A client answers requests
+ * for the methods it handles and ignores responses to calls it did not make.
+ * The first response settles a call, later ones are ignored.
+ */
+
+const RPC_KEY = '$rpc';
+
+/**
+ * Whether a message payload is an RPC envelope
+ * @param {any} payload - Message payload
+ * @returns {boolean}
+ */
+export function isRpcPayload(payload) {
+  return payload !== null && typeof payload === 'object' && typeof payload[RPC_KEY] === 'string';
+}
+
+export class Rpc {
+  /**
+   * @param {SocketBaseClient} client - Client that sends and receives the envelopes
+   */
+  constructor(client) {
+    this.client = client;
+    this.calls = new Map();
+    this.handlers = new Map();
+    this.running = new Map();
+  }
+
+  /**
+   * Call a method handled by another client in the room
+   * @param {string} room - Room name
+   * @param {string} method - Method name
+   * @param {any} params - Parameters
+   * @param {Object} options - Call options
+   * @param {number} options.timeout - Timeout in ms, 0 to wait until the connection drops
+   * @returns {Promise<any>} The result
+   */
+  call(room, method, params, options = {}) {
+    // Client IDs carry the tab ID on shared connections
+    const id = this.client.nextId();
+    const timeout = options.timeout !== undefined ? options.timeout : this.client.requestTimeout;
+    const frame = { type: 'message', room, payload: { [RPC_KEY]: 'request', id, method, params } };
+    const entry = { id, room, method, frame, timer: null };
+
+    const promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    if (timeout > 0) {
+      entry.timer = setTimeout(() => {
+        const error = new Error(`Timed out waiting for "${method}" in room "${room}" after ${timeout}ms`);
+        error.code = 'timeout';
+        this.settle(id, error);
+        this.notifyCancel(entry);
+      }, timeout);
+    }
+
+    this.calls.set(id, entry);
+    try {
+      this.client.sendMessage(frame);
+    } catch (error) {
+      this.settle(id, error);
+    }
+    return promise;
+  }
+
+  /**
+   * Answer requests for a method in a room
+   * @param {string} room - Room name
+   * @param {string} method - Method name
+   * @param {Function} handler - `(params, { room, method, from, signal })` returning the result or a promise
+   * @returns {Function} Removes the handler
+   */
+  handle(room, method, handler) {
+    const key = handlerKey(room, method);
+    if (this.handlers.has(key)) {
+      throw new Error(`A handler for "${method}" in room "${room}" is already registered`);
+    }
+
+    this.handlers.set(key, handler);
+    return () => {
+      if (this.handlers.get(key) === handler) {
+        this.handlers.delete(key);
+      }
+    };
+  }
+
+  /**
+   * Handle a received envelope
+   * @param {Object} message - Message frame with an RPC payload
+   */
+  receive(message) {
+    const { payload } = message;
+
+    switch (payload[RPC_KEY]) {
+      case 'request':
+        this.answer(message);
+        break;
+
+      case 'response':
+        if (!this.calls.has(payload.id)) {
+          // Another client's call, or one that was already answered
+          return;
+        }
+        this.settle(payload.id, payload.error ? toError(payload.error) : null, payload.result);
+        break;
+
+      case 'cancel': {
+        const controller = this.running.get(payload.id);
+        if (controller) {
+          controller.abort(new Error('Cancelled by the caller'));
+        }
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Reject pending calls and cancel running handlers after the connection dropped
+   */
+  disconnected() {
+    const error = new Error('Connection lost before a response was received');
+    error.code = 'disconnected';
+
+    for (const entry of Array.from(this.calls.values())) {
+      this.client.queue.remove(entry.frame);
+      this.settle(entry.id, error);
+    }
+    for (const controller of this.running.values()) {
+      controller.abort(error);
+    }
+    this.running.clear();
+  }
+
+  /**
+   * Reject pending calls and remove all handlers
+   */
+  close() {
+    this.disconnected();
+    this.handlers.clear();
+  }
+
+  /**
+   * Run the handler for a request and send its response
+   * @private
+   */
+  answer(message) {
+    const { room, from } = message;
+    const { id, method, params } = message.payload;
+    const handler = this.handlers.get(handlerKey(room, method));
+    if (!handler || this.running.has(id)) {
+      return;
+    }
+
+    const controller = new AbortController();
+    this.running.set(id, controller);
+
+    new Promise(resolve => resolve(handler(params, { room, method, from, signal: controller.signal })))
+      .then(
+        result => ({ [RPC_KEY]: 'response', id, result }),
+        error => ({ [RPC_KEY]: 'response', id, error: fromError(error) })
+      )
+      .then((response) => {
+        if (this.running.get(id) !== controller) {
+          return;
+        }
+        this.running.delete(id);
+        // Nobody is waiting after a cancel or a disconnect
+        if (controller.signal.aborted || !this.client.isConnected) {
+          return;
+        }
+        this.client.sendMessage({ type: 'message', room, payload: response });
+      })
+      .catch((error) => {
+        this.client.emit('error', { type: 'rpc_error', room, method, error });
+      });
+  }
+
+  /**
+   * Resolve or reject a pending call
+   * @private
+   */
+  settle(id, error, result) {
+    const entry = this.calls.get(id);
+    if (!entry) {
+      return;
+    }
+    clearTimeout(entry.timer);
+    this.calls.delete(id);
+    if (error) {
+      entry.reject(error);
+    } else {
+      entry.resolve(result);
+    }
+  }
+
+  /**
+   * Tell handlers that a timed-out call is no longer awaited
+   * @private
+   */
+  notifyCancel(entry) {
+    this.client.queue.remove(entry.frame);
+    if (!this.client.isConnected) {
+      return;
+    }
+    try {
+      this.client.sendMessage({ type: 'message', room: entry.room, payload: { [RPC_KEY]: 'cancel', id: entry.id } });
+    } catch (error) {
+      // Best effort, handlers stop on their own when their response is ignored
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function handlerKey(room, method) {
+  return `${room}\u0000${method}`;
+}
+
+/**
+ * Errors cross the wire as plain objects
+ * @private
+ */
+function fromError(error) {
+  const message = error && error.message !== undefined ? String(error.message) : String(error);
+  const result = { message };
+  if (error && error.code !== undefined) {
+    result.code = error.code;
+  }
+  if (error && error.data !== undefined) {
+    result.data = error.data;
+  }
+  return result;
+}
+
+/**
+ * @private
+ */
+function toError(remote) {
+  const error = new Error(remote.message || 'Remote handler failed');
+  error.code = remote.code !== undefined ? remote.code : 'remote_error';
+  if (remote.data !== undefined) {
+    error.data = remote.data;
+  }
+  return error;
+}
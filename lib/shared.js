@@ -0,0 +1,788 @@
+/**
+ * Shared connection across browser tabs
+ *
+ * Tabs of the same origin elect a leader with a Web Lock. The leader holds
+ * the only real socket, every tab (the leader included) talks to it through a
+ * SharedTransport over a BroadcastChannel. When the leader tab closes, its lock
+ * is released, the next tab in line takes over and the others reconnect to it.
+ *
+ * Messages on the channel:
+ * - { kind: 'leader', leader }: a tab became leader, or answers 'whois'
+ * - { kind: 'whois' }: a new tab asks who the leader is
+ * - { kind: 'connect' | 'frame' | 'disconnect', tab, session, data? }: tab to leader
+ * - { kind: 'open' | 'frame' | 'error' | 'close', to, session, ... }: leader to tab
+ */
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSED = 3;
+
+// Server replies that answer one tab's request, routed by their ID
+const REPLY_TYPES = ['joined', 'left', 'history', 'ack', 'pong', 'error'];
+
+/**
+ * Whether the current environment can share a connection
+ * @param {Object} options - Shared mode options
+ * @returns {boolean}
+ */
+export function isSharingSupported(options = {}) {
+  const BroadcastChannelImpl = options.BroadcastChannel || globalThis.BroadcastChannel;
+  const locks = options.locks || (globalThis.navigator && globalThis.navigator.locks);
+  return typeof BroadcastChannelImpl === 'function' && !!locks && typeof locks.request === 'function';
+}
+
+export class SharedConnection {
+  /**
+   * @param {Object} options - Shared mode options
+   * @param {string} options.name - Channel and lock name (default: 'socket-base')
+   * @param {Function} options.BroadcastChannel - BroadcastChannel implementation (default: globalThis.BroadcastChannel)
+   * @param {Object} options.locks - LockManager (default: navigator.locks)
+   * @param {Object} hooks - Client hooks
+   * @param {Object} hooks.codec - Codec used to read frames routed through the leader
+   * @param {Function} hooks.openSocket - Returns a promise for the real socket, called on the leader
+   * @param {Function} hooks.onLeader - Called when this tab becomes the leader
+   */
+  constructor(options, hooks) {
+    this.name = options.name || 'socket-base';
+    this.BroadcastChannel = options.BroadcastChannel || globalThis.BroadcastChannel;
+    this.locks = options.locks || globalThis.navigator.locks;
+    this.codec = hooks.codec;
+    this.openSocket = hooks.openSocket;
+    this.onLeader = hooks.onLeader;
+    this.tabId = randomId();
+    this.channel = null;
+    this.leaderId = null;
+    this.router = null;
+    this.transport = null;
+    this.release = null;
+    this.abort = null;
+  }
+
+  /**
+   * Join the channel and queue up for leadership
+   * @private
+   */
+  start() {
+    if (this.channel) {
+      return;
+    }
+
+    this.channel = new this.BroadcastChannel(this.name);
+    this.channel.onmessage = (event) => this.handleMessage(event.data);
+    this.abort = new AbortController();
+    const held = new Promise(resolve => { this.release = resolve; });
+    const { signal } = this.abort;
+
+    // Held for the lifetime of this tab, so the leader notices when it goes away
+    this.locks.request(`${this.name}:tab:${this.tabId}`, { signal }, () => held).catch(() => {});
+
+    this.locks.request(`${this.name}:leader`, { signal }, () => {
+      if (signal.aborted) {
+        return undefined;
+      }
+      this.becomeLeader();
+      return held;
+    }).catch(() => {
+      // Aborted by stop() while waiting for the lock
+    });
+
+    this.post({ kind: 'whois' });
+  }
+
+  /**
+   * Leave the channel, handing leadership to the next tab
+   */
+  stop() {
+    if (!this.channel) {
+      return;
+    }
+
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+    if (this.router) {
+      this.router.close();
+      this.router = null;
+    }
+    this.abort.abort();
+    this.release();
+    this.channel.close();
+    this.channel = null;
+    this.leaderId = null;
+  }
+
+  /**
+   * Close the real socket when this tab holds it, every tab then reconnects
+   */
+  dropSocket() {
+    if (this.router) {
+      this.router.dropSocket();
+    }
+  }
+
+  /**
+   * Whether this tab holds the real socket
+   * @returns {boolean}
+   */
+  isLeader() {
+    return this.router !== null;
+  }
+
+  /**
+   * Create a transport connected to the leader, wherever it is
+   * @returns {SharedTransport}
+   */
+  createTransport() {
+    this.start();
+    this.transport = new SharedTransport(this);
+    return this.transport;
+  }
+
+  /**
+   * @private
+   */
+  becomeLeader() {
+    this.router = new SharedRouter(this);
+    this.leaderId = this.tabId;
+    this.post({ kind: 'leader', leader: this.tabId });
+    if (this.onLeader) {
+      this.onLeader();
+    }
+    if (this.transport) {
+      this.transport.leaderChanged(this.tabId);
+    }
+  }
+
+  /**
+   * @private
+   */
+  handleMessage(message) {
+    if (!message || typeof message !== 'object') {
+      return;
+    }
+
+    if (message.kind === 'leader') {
+      this.leaderId = message.leader;
+      if (this.transport) {
+        this.transport.leaderChanged(message.leader);
+      }
+      return;
+    }
+
+    if (message.to !== undefined) {
+      if (message.to === this.tabId) {
+        this.deliver(message);
+      }
+      return;
+    }
+
+    if (this.router) {
+      if (message.kind === 'whois') {
+        this.post({ kind: 'leader', leader: this.tabId });
+      } else {
+        this.router.receive(message);
+      }
+    }
+  }
+
+  /**
+   * Send a message to the leader, directly when this tab is the leader
+   * @private
+   */
+  toLeader(message) {
+    if (this.router) {
+      const router = this.router;
+      Promise.resolve().then(() => router.receive(message));
+    } else {
+      this.post(message);
+    }
+  }
+
+  /**
+   * Send a message from the leader to a tab
+   * @private
+   */
+  toTab(tab, message) {
+    if (tab === this.tabId) {
+      Promise.resolve().then(() => this.deliver(message));
+    } else {
+      this.post({ ...message, to: tab });
+    }
+  }
+
+  /**
+   * @private
+   */
+  deliver(message) {
+    if (this.transport && this.transport.session === message.session) {
+      this.transport.receive(message);
+    }
+  }
+
+  /**
+   * @private
+   */
+  post(message) {
+    if (this.channel) {
+      this.channel.postMessage(message);
+    }
+  }
+}
+
+/**
+ * WebSocket-like connection to the leader tab
+ */
+export class SharedTransport {
+  constructor(shared) {
+    this.shared = shared;
+    this.session = randomId();
+    this.leader = null;
+    this.readyState = CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+
+    // Connect on the next tick so handlers can be attached first, like a WebSocket
+    Promise.resolve().then(() => this.connect());
+  }
+
+  /**
+   * @param {string|ArrayBuffer|Uint8Array} data - Encoded frame
+   */
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error('Shared connection is not open');
+    }
+    this.shared.toLeader({ kind: 'frame', tab: this.shared.tabId, session: this.session, data });
+  }
+
+  /**
+   * @param {number} code - Close code (default: 1000)
+   * @param {string} reason - Close reason
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+    this.shared.toLeader({ kind: 'disconnect', tab: this.shared.tabId, session: this.session });
+    this.finish(code, reason);
+  }
+
+  /**
+   * Ask the leader for a connection. Unanswered when there is no leader yet,
+   * it is sent again once one announces itself.
+   * @private
+   */
+  connect() {
+    if (this.readyState === CONNECTING) {
+      this.shared.toLeader({ kind: 'connect', tab: this.shared.tabId, session: this.session });
+    }
+  }
+
+  /**
+   * @private
+   */
+  leaderChanged(leader) {
+    if (this.readyState === CONNECTING) {
+      this.connect();
+    } else if (this.readyState === OPEN && leader !== this.leader) {
+      // The previous leader is gone, along with its socket
+      this.finish(1012, 'Shared connection leader changed');
+    }
+  }
+
+  /**
+   * @private
+   */
+  receive(message) {
+    if (this.readyState === CLOSED) {
+      return;
+    }
+
+    switch (message.kind) {
+      case 'open':
+        if (this.readyState === CONNECTING) {
+          this.leader = message.leader;
+          this.readyState = OPEN;
+          if (this.onopen) {
+            this.onopen({ type: 'open' });
+          }
+        }
+        break;
+
+      case 'frame':
+        if (this.readyState === OPEN && this.onmessage) {
+          this.onmessage({ data: message.data });
+        }
+        break;
+
+      case 'error':
+        if (this.onerror) {
+          this.onerror({ type: 'error', message: message.message });
+        }
+        break;
+
+      case 'close':
+        this.finish(message.code, message.reason);
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  finish(code, reason) {
+    this.readyState = CLOSED;
+    if (this.shared.transport === this) {
+      this.shared.transport = null;
+    }
+    if (this.onclose) {
+      this.onclose({ type: 'close', code, reason });
+    }
+  }
+}
+
+/**
+ * Runs on the leader: holds the real socket and routes frames between it and
+ * the tabs. The server sees a single connection, so room membership is counted
+ * per tab: a room is joined on the first tab's join and left on the last tab's
+ * leave, other joins and leaves are answered by the router. The server does not
+ * echo a connection's messages back to it, so the router hands them to the other
+ * tabs itself, and it keeps each tab's presence until the last tab untracks.
+ * @private
+ */
+class SharedRouter {
+  constructor(shared) {
+    this.shared = shared;
+    this.codec = shared.codec;
+    this.socket = null;
+    this.open = false;
+    this.closed = false;
+    this.tabs = new Map();
+    this.roomTabs = new Map();
+    this.pendingJoins = new Map();
+    this.presenceTabs = new Map();
+    this.owners = new Map();
+    this.watched = new Set();
+    this.abort = new AbortController();
+  }
+
+  /**
+   * Handle a message from a tab
+   */
+  receive(message) {
+    if (this.closed) {
+      return;
+    }
+
+    const { tab, session } = message;
+    switch (message.kind) {
+      case 'connect':
+        this.addTab(tab, session);
+        break;
+
+      case 'frame':
+        if (this.open && this.tabs.has(tab) && this.tabs.get(tab).session === session) {
+          this.handleOutgoing(tab, message.data);
+        }
+        break;
+
+      case 'disconnect':
+        if (this.tabs.has(tab) && this.tabs.get(tab).session === session) {
+          this.removeTab(tab);
+        }
+        break;
+    }
+  }
+
+  /**
+   * @private
+   */
+  addTab(tab, session) {
+    const current = this.tabs.get(tab);
+    if (current && current.session === session) {
+      return;
+    }
+    if (current) {
+      this.removeTab(tab);
+    }
+    this.tabs.set(tab, { session, rooms: new Set() });
+    this.watchTab(tab);
+
+    if (this.open) {
+      this.shared.toTab(tab, { kind: 'open', session, leader: this.shared.tabId });
+    } else {
+      this.connectSocket();
+    }
+  }
+
+  /**
+   * Clean up after a tab that closes without saying so. Its lock is
+   * released by the browser, which grants the leader's request for it.
+   * @private
+   */
+  watchTab(tab) {
+    if (tab === this.shared.tabId || this.watched.has(tab)) {
+      return;
+    }
+    this.watched.add(tab);
+    this.shared.locks.request(`${this.shared.name}:tab:${tab}`, { signal: this.abort.signal }, () => {
+      this.watched.delete(tab);
+      if (!this.closed && this.tabs.has(tab)) {
+        this.removeTab(tab);
+      }
+    }).catch(() => {
+      // Aborted when the router closes
+    });
+  }
+
+  /**
+   * Leave the rooms only this tab was in
+   * @private
+   */
+  removeTab(tab) {
+    const entry = this.tabs.get(tab);
+    this.tabs.delete(tab);
+
+    for (const [room, waiters] of this.pendingJoins) {
+      this.pendingJoins.set(room, waiters.filter(waiter => waiter.tab !== tab));
+    }
+    for (const [id, owner] of this.owners) {
+      if (owner === tab) {
+        this.owners.delete(id);
+      }
+    }
+    for (const room of entry.rooms) {
+      this.untrackTab(tab, room);
+      const tabs = this.roomTabs.get(room);
+      tabs.delete(tab);
+      if (tabs.size === 0) {
+        this.roomTabs.delete(room);
+        this.sendToServer(this.codec.encode({ type: 'leave', room }));
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  connectSocket() {
+    if (this.socket) {
+      return;
+    }
+
+    this.socket = {};
+    this.shared.openSocket().then((socket) => {
+      if (this.closed) {
+        socket.close();
+        return;
+      }
+      this.socket = socket;
+      if (this.codec.binaryType) {
+        socket.binaryType = this.codec.binaryType;
+      }
+      socket.onopen = () => {
+        this.open = true;
+        for (const [tab, { session }] of this.tabs) {
+          this.shared.toTab(tab, { kind: 'open', session, leader: this.shared.tabId });
+        }
+      };
+      socket.onmessage = (event) => this.handleIncoming(event.data);
+      socket.onerror = (event) => {
+        const message = event && event.message;
+        for (const [tab, { session }] of this.tabs) {
+          this.shared.toTab(tab, { kind: 'error', session, message });
+        }
+      };
+      socket.onclose = (event) => this.socketClosed(event.code, event.reason);
+    }, (error) => {
+      this.socketClosed(1006, error.message);
+    });
+  }
+
+  /**
+   * The server forgot this connection's rooms, every tab reconnects and re-joins
+   * @private
+   */
+  socketClosed(code, reason) {
+    this.socket = null;
+    this.open = false;
+    this.roomTabs.clear();
+    this.pendingJoins.clear();
+    this.presenceTabs.clear();
+    this.owners.clear();
+
+    const tabs = Array.from(this.tabs);
+    this.tabs.clear();
+    for (const [tab, { session }] of tabs) {
+      this.shared.toTab(tab, { kind: 'close', session, code, reason });
+    }
+  }
+
+  /**
+   * Forward a tab's frame to the server, answering joins and leaves of rooms
+   * other tabs share and copying messages to the other tabs
+   * @private
+   */
+  handleOutgoing(tab, data) {
+    let frame;
+    try {
+      frame = this.codec.decode(data);
+    } catch (error) {
+      this.sendToServer(data);
+      return;
+    }
+
+    const { type, room, id } = frame;
+    if (id !== undefined) {
+      this.owners.set(String(id), tab);
+    }
+
+    if (type === 'join') {
+      if (this.roomTabs.has(room)) {
+        this.addToRoom(tab, room);
+        this.reply(tab, { type: 'joined', room, id });
+        return;
+      }
+      const waiters = this.pendingJoins.get(room);
+      if (waiters && waiters.length > 0) {
+        waiters.push({ tab, id });
+        return;
+      }
+      this.pendingJoins.set(room, [{ tab, id }]);
+    }
+
+    if (type === 'presence_track') {
+      // The latest state is the one the server shows
+      const states = this.presenceTabs.get(room) || new Map();
+      states.delete(tab);
+      states.set(tab, frame.state);
+      this.presenceTabs.set(room, states);
+    }
+
+    if (type === 'presence_untrack') {
+      this.untrackTab(tab, room);
+      return;
+    }
+
+    if (type === 'message' || type === 'broadcast') {
+      this.copyToTabs(tab, frame);
+    }
+
+    if (type === 'leave' && this.roomTabs.has(room)) {
+      this.untrackTab(tab, room);
+      const tabs = this.roomTabs.get(room);
+      tabs.delete(tab);
+      this.tabs.get(tab).rooms.delete(room);
+      if (tabs.size > 0) {
+        this.reply(tab, { type: 'left', room, id });
+        return;
+      }
+      this.roomTabs.delete(room);
+    }
+
+    this.sendToServer(data);
+  }
+
+  /**
+   * Route a server frame to the tabs it concerns
+   * @private
+   */
+  handleIncoming(data) {
+    let frame;
+    try {
+      frame = this.codec.decode(data);
+    } catch (error) {
+      // Every tab reports the parse error
+      this.forward(this.tabs.keys(), data);
+      return;
+    }
+
+    const { type, room } = frame;
+    const id = frame.id !== undefined ? String(frame.id) : undefined;
+    const waiters = this.pendingJoins.get(room) || [];
+    const isJoinReply = waiters.length > 0 && (id === undefined || waiters.some(waiter => String(waiter.id) === id));
+
+    if (type === 'joined' && isJoinReply) {
+      this.pendingJoins.delete(room);
+      for (const waiter of waiters) {
+        this.addToRoom(waiter.tab, room);
+        this.reply(waiter.tab, { ...frame, id: waiter.id });
+      }
+      return;
+    }
+
+    if (type === 'error' && isJoinReply) {
+      this.pendingJoins.delete(room);
+      for (const waiter of waiters) {
+        this.reply(waiter.tab, { ...frame, id: waiter.id });
+      }
+      return;
+    }
+
+    if (REPLY_TYPES.includes(type) && id !== undefined && this.owners.has(id)) {
+      const tab = this.owners.get(id);
+      this.owners.delete(id);
+      this.forward([tab], data);
+      return;
+    }
+
+    if (room !== undefined) {
+      const tabs = this.roomTabs.get(room);
+      if (type === 'left') {
+        // Removed from the room by the server
+        this.roomTabs.delete(room);
+        for (const tab of tabs || []) {
+          this.tabs.get(tab).rooms.delete(room);
+        }
+      }
+      this.forward(tabs || [], data);
+      return;
+    }
+
+    this.forward(this.tabs.keys(), data);
+  }
+
+  /**
+   * @private
+   */
+  addToRoom(tab, room) {
+    const entry = this.tabs.get(tab);
+    if (!entry) {
+      return;
+    }
+    if (!this.roomTabs.has(room)) {
+      this.roomTabs.set(room, new Set());
+    }
+    this.roomTabs.get(room).add(tab);
+    entry.rooms.add(room);
+  }
+
+  /**
+   * Deliver a tab's message to the other tabs in its room, or every other
+   * tab for a broadcast, the way the server delivers it to other connections
+   * @private
+   */
+  copyToTabs(sender, frame) {
+    const tabs = frame.type === 'message' ? this.roomTabs.get(frame.room) || [] : this.tabs.keys();
+    const targets = Array.from(tabs).filter(tab => tab !== sender);
+    if (targets.length === 0) {
+      return;
+    }
+
+    // The ID only identifies the sender's ack
+    const { id, ...fields } = frame;
+    this.forward(targets, this.codec.encode({ ...fields, timestamp: Date.now() }));
+  }
+
+  /**
+   * Remove a tab's presence in a room. The server keeps one presence per
+   * connection, which shows another tab's state until the last one untracks.
+   * @private
+   */
+  untrackTab(tab, room) {
+    const states = this.presenceTabs.get(room);
+    if (!states || !states.delete(tab)) {
+      return;
+    }
+
+    if (states.size === 0) {
+      this.presenceTabs.delete(room);
+      this.sendToServer(this.codec.encode({ type: 'presence_untrack', room }));
+      return;
+    }
+    const state = Array.from(states.values()).pop();
+    this.sendToServer(this.codec.encode({ type: 'presence_track', room, state }));
+  }
+
+  /**
+   * Answer a tab's request without involving the server
+   * @private
+   */
+  reply(tab, frame) {
+    if (frame.id !== undefined) {
+      this.owners.delete(String(frame.id));
+    } else {
+      delete frame.id;
+    }
+    this.forward([tab], this.codec.encode(frame));
+  }
+
+  /**
+   * @private
+   */
+  forward(tabs, data) {
+    for (const tab of Array.from(tabs)) {
+      const entry = this.tabs.get(tab);
+      if (entry) {
+        this.shared.toTab(tab, { kind: 'frame', session: entry.session, data });
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  sendToServer(data) {
+    if (this.open) {
+      this.socket.send(data);
+    }
+  }
+
+  /**
+   * Close a socket that stopped answering
+   */
+  dropSocket() {
+    const socket = this.socket;
+    if (socket && typeof socket.close === 'function') {
+      this.detach(socket);
+      socket.close();
+      this.socketClosed(4000, 'Heartbeat timeout');
+    }
+  }
+
+  /**
+   * Close the real socket and disconnect every tab
+   */
+  close() {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+    this.abort.abort();
+
+    const socket = this.socket;
+    this.socket = null;
+    this.open = false;
+    if (socket && typeof socket.close === 'function') {
+      this.detach(socket);
+      socket.close();
+    }
+
+    for (const [tab, { session }] of this.tabs) {
+      if (tab !== this.shared.tabId) {
+        this.shared.toTab(tab, { kind: 'close', session, code: 1012, reason: 'Shared connection leader closed' });
+      }
+    }
+    this.tabs.clear();
+  }
+
+  /**
+   * @private
+   */
+  detach(socket) {
+    socket.onopen = null;
+    socket.onmessage = null;
+    socket.onerror = null;
+    socket.onclose = null;
+  }
+}
+
+/**
+ * @private
+ */
+function randomId() {
+  return Math.random().toString(36).slice(2, 10);
+}
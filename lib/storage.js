@@ -0,0 +1,121 @@
+/**
+ * Storage adapters for persisting the outbound queue
+ *
+ * An adapter is any object with async getItem(key), setItem(key, value)
+ * and removeItem(key) methods. Values are plain JSON-compatible data.
+ */
+
+/**
+ * Keeps values in memory. Nothing survives a restart.
+ */
+export class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  async getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  async setItem(key, value) {
+    this.items.set(key, value);
+  }
+
+  async removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * Stores values as JSON in a Web Storage object
+ */
+export class WebStorage {
+  /**
+   * @param {Storage} storage - Web Storage object (default: globalThis.localStorage)
+   */
+  constructor(storage = globalThis.localStorage) {
+    if (!storage) {
+      throw new Error('Web Storage is not available in this environment');
+    }
+    this.storage = storage;
+  }
+
+  async getItem(key) {
+    const value = this.storage.getItem(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async setItem(key, value) {
+    this.storage.setItem(key, JSON.stringify(value));
+  }
+
+  async removeItem(key) {
+    this.storage.removeItem(key);
+  }
+}
+
+/**
+ * Stores values in an IndexedDB object store
+ */
+export class IndexedDBStorage {
+  /**
+   * @param {Object} options - IndexedDB options
+   * @param {string} options.dbName - Database name (default: 'socket-base')
+   * @param {string} options.storeName - Object store name (default: 'queue')
+   * @param {IDBFactory} options.indexedDB - IndexedDB factory (default: globalThis.indexedDB)
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || 'socket-base';
+    this.storeName = options.storeName || 'queue';
+    this.indexedDB = options.indexedDB || globalThis.indexedDB;
+    this.db = null;
+
+    if (!this.indexedDB) {
+      throw new Error('IndexedDB is not available in this environment');
+    }
+  }
+
+  async getItem(key) {
+    const value = await this.run('readonly', store => store.get(key));
+    return value === undefined ? null : value;
+  }
+
+  async setItem(key, value) {
+    await this.run('readwrite', store => store.put(value, key));
+  }
+
+  async removeItem(key) {
+    await this.run('readwrite', store => store.delete(key));
+  }
+
+  /**
+   * Open the database once and reuse the connection
+   * @private
+   */
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName);
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run a single request in a transaction on the object store
+   * @private
+   */
+  async run(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction(this.storeName, mode).objectStore(this.storeName));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
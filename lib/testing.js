@@ -0,0 +1,663 @@
+/**
+ * In-memory Socket Base server for tests
+ *
+ * Speaks the client protocol without a network. Every client created with
+ * `WebSocket: server.WebSocket` connects to the server:
+ *
+ *   const server = new TestServer();
+ *   const client = createClient({ hash: 'test', jwt: 'token', WebSocket: server.WebSocket });
+ *
+ * Frames are delivered asynchronously, like on a real socket. Await
+ * server.settle() to wait until every frame in flight has arrived.
+ */
+
+import { resolveCodec } from './codecs.js';
+
+const CONNECTING = 0;
+const OPEN = 1;
+const CLOSING = 2;
+const CLOSED = 3;
+
+export class TestServer {
+  /**
+   * @param {Object} options - Server options
+   * @param {Function} options.authenticate - `(jwt, { hash }) => identity`, possibly async. The identity is sent
+   *   as `from` with messages; return false or throw to reject the connection (default: accept, identity is the connection ID)
+   * @param {Function} options.authorize - `(connection, room) => boolean` whether a connection may join a room,
+   *   throwing refuses the join
+   *   (default: any room)
+   * @param {number} options.latency - Delay of every frame in ms (default: 0)
+   * @param {boolean} options.echo - Also deliver room messages and broadcasts to their sender (default: false)
+   * @param {number} options.historyLimit - Messages kept per room for history() and resume (default: 100)
+   */
+  constructor(options = {}) {
+    this.authenticate = options.authenticate || (() => true);
+    this.authorize = options.authorize || (() => true);
+    this.latency = options.latency || 0;
+    this.echo = options.echo === true;
+    this.historyLimit = options.historyLimit !== undefined ? options.historyLimit : 100;
+
+    this.connections = new Set();
+    this.rooms = new Map();
+    this.messages = new Map();
+    this.presences = new Map();
+    this.received = [];
+    this.faults = new Set();
+    this.authFailure = null;
+    this.pending = new Set();
+    this.errors = [];
+    this.connectionCounter = 0;
+    this.messageCounter = 0;
+
+    const server = this;
+    this.WebSocket = class extends TestSocket {
+      constructor(url, protocols) {
+        super(server, url, protocols);
+      }
+    };
+  }
+
+  /**
+   * Open connections
+   * @returns {Array<Object>} `{ id, hash, jwt, identity, rooms }` for each connection
+   */
+  get clients() {
+    return Array.from(this.connections);
+  }
+
+  /**
+   * Connections that joined a room
+   * @param {string} room - Room name
+   * @returns {Array<string>} Connection IDs
+   */
+  members(room) {
+    return Array.from(this.rooms.get(room) || [], connection => connection.id);
+  }
+
+  /**
+   * Frames the server received from clients
+   * @param {Object|Function} match - Filter, see dropFrames() (default: all frames)
+   * @returns {Array<Object>}
+   */
+  frames(match) {
+    return this.received
+      .filter(entry => matchesFrame(match, entry.frame, 'to-server', entry.connection))
+      .map(entry => entry.frame);
+  }
+
+  /**
+   * Wait until every frame in flight, including ones sent in reaction to
+   * delivered frames, has been delivered
+   * @returns {Promise<void>}
+   */
+  async settle() {
+    do {
+      await Promise.all(Array.from(this.pending));
+      await new Promise(resolve => setTimeout(resolve, 0));
+    } while (this.pending.size > 0);
+
+    if (this.errors.length > 0) {
+      const [error] = this.errors;
+      this.errors = [];
+      throw error;
+    }
+  }
+
+  /**
+   * Drop frames in either direction
+   * @param {Object|Function} match - `{ direction, type, room, connection }` where direction is 'to-server'
+   *   or 'to-client' and connection a connection ID, or `(frame, { direction, connection }) => boolean`
+   *   (default: every frame)
+   * @param {Object} options - Fault options
+   * @param {number} options.times - Number of frames to drop (default: Infinity)
+   * @returns {Function} Removes the fault
+   */
+  dropFrames(match, options = {}) {
+    return this.addFault({ match, drop: true, times: options.times });
+  }
+
+  /**
+   * Delay frames in either direction, on top of the latency
+   * @param {number} delay - Delay in ms
+   * @param {Object|Function} match - Filter, see dropFrames() (default: every frame)
+   * @param {Object} options - Fault options
+   * @param {number} options.times - Number of frames to delay (default: Infinity)
+   * @returns {Function} Removes the fault
+   */
+  delayFrames(delay, match, options = {}) {
+    return this.addFault({ match, delay, times: options.times });
+  }
+
+  /**
+   * Reject new connections as an auth failure
+   * @param {Object} options - Fault options
+   * @param {number} options.times - Number of connections to reject (default: Infinity)
+   * @param {number} options.code - Close code (default: 4001)
+   * @param {string} options.reason - Close reason (default: 'Unauthorized')
+   * @returns {Function} Accepts connections again
+   */
+  rejectConnections(options = {}) {
+    const failure = {
+      times: options.times !== undefined ? options.times : Infinity,
+      code: options.code || 4001,
+      reason: options.reason !== undefined ? options.reason : 'Unauthorized',
+    };
+    this.authFailure = failure;
+    return () => {
+      if (this.authFailure === failure) {
+        this.authFailure = null;
+      }
+    };
+  }
+
+  /**
+   * Close open connections from the server side
+   * @param {Object|Function} match - `{ id, room }` or `(connection) => boolean` (default: every connection)
+   * @param {Object} options - Close options
+   * @param {number} options.code - Close code, 4001 for an expired token (default: 1006)
+   * @param {string} options.reason - Close reason (default: '')
+   */
+  closeConnections(match, options = {}) {
+    for (const connection of this.clients.filter(current => matchesConnection(match, current))) {
+      this.disconnect(connection, options.code || 1006, options.reason || '');
+    }
+  }
+
+  /**
+   * Send a frame to connections, e.g. an error or a frame type the server does not produce on its own
+   * @param {Object|Function} match - Connections, see closeConnections() (default: every connection)
+   * @param {Object} frame - Frame to send
+   */
+  send(match, frame) {
+    for (const connection of this.clients.filter(current => matchesConnection(match, current))) {
+      this.sendFrame(connection, frame);
+    }
+  }
+
+  /**
+   * Post a message to a room as the server
+   * @param {string} room - Room name
+   * @param {any} payload - Message payload
+   * @param {Object} options - Message options
+   * @param {any} options.from - Sender (default: 'server')
+   */
+  publish(room, payload, options = {}) {
+    this.relay(null, { type: 'message', room, payload }, options.from !== undefined ? options.from : 'server');
+  }
+
+  /**
+   * Close every connection and remove all faults
+   */
+  close() {
+    this.closeConnections(null, { code: 1001, reason: 'Server shutting down' });
+    this.faults.clear();
+    this.authFailure = null;
+  }
+
+  /**
+   * Start the handshake of a new socket
+   * @private
+   */
+  accept(socket) {
+    const url = new URL(socket.url);
+    const connection = {
+      id: `connection-${++this.connectionCounter}`,
+      hash: url.pathname.split('/').pop(),
+      jwt: url.searchParams.get('jwt'),
+      identity: null,
+      rooms: new Set(),
+      codec: resolveCodec(url.searchParams.get('codec') || 'json'),
+      socket,
+    };
+    socket.connection = connection;
+
+    this.schedule(this.latency, async () => {
+      const failure = this.authFailure;
+      if (failure && failure.times > 0) {
+        failure.times--;
+        this.refuse(socket, failure.code, failure.reason);
+        return;
+      }
+
+      let identity;
+      try {
+        identity = await this.authenticate(connection.jwt, { hash: connection.hash });
+      } catch (error) {
+        this.refuse(socket, 4001, error && error.message ? error.message : 'Unauthorized');
+        return;
+      }
+      if (socket.readyState !== CONNECTING) {
+        return;
+      }
+      if (identity === false || identity === null || identity === undefined) {
+        this.refuse(socket, 4001, 'Unauthorized');
+        return;
+      }
+
+      connection.identity = identity === true ? connection.id : identity;
+      this.connections.add(connection);
+      socket.readyState = OPEN;
+      socket.dispatch('onopen', { type: 'open' });
+    });
+  }
+
+  /**
+   * Close a socket before it opened
+   * @private
+   */
+  refuse(socket, code, reason) {
+    if (socket.readyState !== CONNECTING) {
+      return;
+    }
+    socket.readyState = CLOSED;
+    socket.dispatch('onclose', { type: 'close', code, reason, wasClean: false });
+  }
+
+  /**
+   * Take a frame from a client socket
+   * @private
+   */
+  receive(connection, data) {
+    let frame;
+    try {
+      frame = connection.codec.decode(typeof data === 'string' ? data : toBytes(data));
+    } catch (error) {
+      this.sendFrame(connection, { type: 'error', code: 'invalid_frame', message: 'Invalid frame' });
+      return;
+    }
+
+    const fault = this.takeFault(frame, 'to-server', connection);
+    if (fault.drop) {
+      return;
+    }
+    this.schedule(this.latency + fault.delay, () => {
+      if (this.connections.has(connection)) {
+        this.received.push({ connection, frame });
+        this.handleFrame(connection, frame);
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  handleFrame(connection, frame) {
+    const { type, room, id } = frame;
+    const fail = (code, message) => this.sendFrame(connection, { type: 'error', id, room, code, message });
+
+    switch (type) {
+      case 'join': {
+        let allowed;
+        try {
+          allowed = this.authorize(connection, room);
+        } catch (error) {
+          fail('forbidden', error && error.message ? error.message : `Not allowed to join room "${room}"`);
+          return;
+        }
+        if (!allowed) {
+          fail('forbidden', `Not allowed to join room "${room}"`);
+          return;
+        }
+        this.addToRoom(connection, room);
+        this.sendFrame(connection, { type: 'joined', room, id, ...this.missedMessages(room, frame.since) });
+        if (this.presences.has(room)) {
+          this.sendFrame(connection, { type: 'presence_state', room, presences: Object.fromEntries(this.presences.get(room)) });
+        }
+        break;
+      }
+
+      case 'leave':
+        if (!connection.rooms.has(room)) {
+          fail('not_member', `Not a member of room "${room}"`);
+          return;
+        }
+        this.removeFromRoom(connection, room);
+        this.sendFrame(connection, { type: 'left', room, id });
+        break;
+
+      case 'message':
+      case 'broadcast':
+        if (type === 'message' && !connection.rooms.has(room)) {
+          fail('not_member', `Not a member of room "${room}"`);
+          return;
+        }
+        this.relay(connection, frame, connection.identity);
+        if (id !== undefined) {
+          this.sendFrame(connection, { type: 'ack', id });
+        }
+        break;
+
+      case 'history':
+        if (!connection.rooms.has(room)) {
+          fail('not_member', `Not a member of room "${room}"`);
+          return;
+        }
+        this.sendFrame(connection, { type: 'history', room, id, ...this.history(room, frame.before, frame.limit) });
+        break;
+
+      case 'presence_track':
+      case 'presence_untrack':
+        if (!connection.rooms.has(room)) {
+          fail('not_member', `Not a member of room "${room}"`);
+          return;
+        }
+        if (type === 'presence_track') {
+          this.trackPresence(connection, room, frame.state);
+        } else {
+          this.untrackPresence(connection, room);
+        }
+        break;
+
+      case 'ping':
+        this.sendFrame(connection, { type: 'pong', id });
+        break;
+
+      default:
+        fail('unknown_type', `Unknown frame type: ${type}`);
+    }
+  }
+
+  /**
+   * Deliver a room message or a broadcast, keeping room messages for history
+   * @private
+   */
+  relay(sender, frame, from) {
+    const { id, ...fields } = frame;
+    const message = { ...fields, from, timestamp: Date.now() };
+
+    let targets;
+    if (frame.type === 'message') {
+      message.id = String(++this.messageCounter);
+      const log = this.messages.get(frame.room) || [];
+      log.push(message);
+      log.splice(0, Math.max(0, log.length - this.historyLimit));
+      this.messages.set(frame.room, log);
+      targets = Array.from(this.rooms.get(frame.room) || []);
+    } else {
+      targets = this.clients.filter(connection => !sender || connection.hash === sender.hash);
+    }
+
+    for (const connection of targets) {
+      if (connection !== sender || this.echo) {
+        this.sendFrame(connection, message);
+      }
+    }
+  }
+
+  /**
+   * Messages after the last one a re-joining client saw
+   * @private
+   */
+  missedMessages(room, since) {
+    if (!since) {
+      return {};
+    }
+    const log = this.messages.get(room) || [];
+    const index = log.findIndex(message => message.id === since.id);
+    const missed = index > -1
+      ? log.slice(index + 1)
+      : log.filter(message => since.timestamp === undefined || message.timestamp > since.timestamp);
+    return { messages: missed.map(({ room: _room, ...message }) => message) };
+  }
+
+  /**
+   * A page of room messages, newest last
+   * @private
+   */
+  history(room, before, limit = 50) {
+    const log = this.messages.get(room) || [];
+    const index = before !== undefined ? log.findIndex(message => message.id === before) : -1;
+    const older = index > -1 ? log.slice(0, index) : log;
+    const page = older.slice(Math.max(0, older.length - limit));
+    return {
+      messages: page.map(({ room: _room, ...message }) => message),
+      hasMore: older.length > page.length,
+    };
+  }
+
+  /**
+   * @private
+   */
+  addToRoom(connection, room) {
+    connection.rooms.add(room);
+    if (!this.rooms.has(room)) {
+      this.rooms.set(room, new Set());
+    }
+    this.rooms.get(room).add(connection);
+  }
+
+  /**
+   * @private
+   */
+  removeFromRoom(connection, room) {
+    this.untrackPresence(connection, room);
+    connection.rooms.delete(room);
+    const members = this.rooms.get(room);
+    if (members) {
+      members.delete(connection);
+      if (members.size === 0) {
+        this.rooms.delete(room);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  trackPresence(connection, room, state) {
+    if (!this.presences.has(room)) {
+      this.presences.set(room, new Map());
+    }
+    this.presences.get(room).set(connection.id, state);
+    this.sendToRoom(room, { type: 'presence_diff', room, joins: { [connection.id]: state }, leaves: {} });
+  }
+
+  /**
+   * @private
+   */
+  untrackPresence(connection, room) {
+    const presences = this.presences.get(room);
+    if (!presences || !presences.has(connection.id)) {
+      return;
+    }
+    const state = presences.get(connection.id);
+    presences.delete(connection.id);
+    if (presences.size === 0) {
+      this.presences.delete(room);
+    }
+    this.sendToRoom(room, { type: 'presence_diff', room, joins: {}, leaves: { [connection.id]: state } });
+  }
+
+  /**
+   * @private
+   */
+  sendToRoom(room, frame) {
+    for (const connection of this.rooms.get(room) || []) {
+      this.sendFrame(connection, frame);
+    }
+  }
+
+  /**
+   * Send a frame to a client socket
+   * @private
+   */
+  sendFrame(connection, frame) {
+    const fault = this.takeFault(frame, 'to-client', connection);
+    if (fault.drop) {
+      return;
+    }
+
+    const encoded = connection.codec.encode(frame);
+    const data = typeof encoded === 'string' ? encoded : toArrayBuffer(encoded);
+    this.schedule(this.latency + fault.delay, () => {
+      if (connection.socket.readyState === OPEN) {
+        connection.socket.dispatch('onmessage', { type: 'message', data });
+      }
+    });
+  }
+
+  /**
+   * Close a connection, from either side
+   * @private
+   */
+  disconnect(connection, code, reason) {
+    if (!this.connections.has(connection)) {
+      return;
+    }
+    this.connections.delete(connection);
+    for (const room of Array.from(connection.rooms)) {
+      this.removeFromRoom(connection, room);
+    }
+
+    const { socket } = connection;
+    socket.readyState = CLOSING;
+    this.schedule(0, () => {
+      socket.readyState = CLOSED;
+      socket.dispatch('onclose', { type: 'close', code, reason, wasClean: code === 1000 });
+    });
+  }
+
+  /**
+   * @private
+   */
+  addFault(fault) {
+    const entry = { ...fault, times: fault.times !== undefined ? fault.times : Infinity };
+    this.faults.add(entry);
+    return () => this.faults.delete(entry);
+  }
+
+  /**
+   * Find the faults that apply to a frame, using up their counts
+   * @private
+   */
+  takeFault(frame, direction, connection) {
+    const result = { drop: false, delay: 0 };
+    for (const fault of Array.from(this.faults)) {
+      if (!matchesFrame(fault.match, frame, direction, connection)) {
+        continue;
+      }
+      if (--fault.times <= 0) {
+        this.faults.delete(fault);
+      }
+      if (fault.drop) {
+        result.drop = true;
+        return result;
+      }
+      result.delay += fault.delay;
+    }
+    return result;
+  }
+
+  /**
+   * Run a callback after a delay, tracked by settle(). Errors are
+   * rethrown by the next settle().
+   * @private
+   */
+  schedule(delay, callback) {
+    const task = new Promise(resolve => setTimeout(resolve, delay))
+      .then(callback)
+      .catch(error => this.errors.push(error))
+      .finally(() => this.pending.delete(task));
+    this.pending.add(task);
+  }
+}
+
+/**
+ * WebSocket connected to a TestServer. Use server.WebSocket, which creates
+ * sockets for that server.
+ */
+export class TestSocket {
+  static CONNECTING = CONNECTING;
+  static OPEN = OPEN;
+  static CLOSING = CLOSING;
+  static CLOSED = CLOSED;
+
+  /**
+   * @param {TestServer} server - Server to connect to
+   * @param {string} url - Client URL, carrying the project hash, token and codec
+   * @param {string|Array<string>} protocols - Subprotocols
+   */
+  constructor(server, url, protocols) {
+    this.server = server;
+    this.url = url;
+    this.protocol = [].concat(protocols || [])[0] || '';
+    this.readyState = CONNECTING;
+    this.binaryType = 'blob';
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    server.accept(this);
+  }
+
+  send(data) {
+    if (this.readyState !== OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    this.server.receive(this.connection, data);
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === CONNECTING) {
+      this.server.refuse(this, code, reason);
+    } else if (this.readyState === OPEN) {
+      this.server.disconnect(this.connection, code, reason);
+    }
+  }
+
+  /**
+   * @private
+   */
+  dispatch(handler, event) {
+    if (this[handler]) {
+      this[handler](event);
+    }
+  }
+}
+
+/**
+ * @private
+ */
+function matchesFrame(match, frame, direction, connection) {
+  if (!match) {
+    return true;
+  }
+  if (typeof match === 'function') {
+    return match(frame, { direction, connection });
+  }
+  return (match.direction === undefined || match.direction === direction)
+    && (match.type === undefined || match.type === frame.type)
+    && (match.room === undefined || match.room === frame.room)
+    && (match.connection === undefined || match.connection === connection.id);
+}
+
+/**
+ * @private
+ */
+function matchesConnection(match, connection) {
+  if (!match) {
+    return true;
+  }
+  if (typeof match === 'function') {
+    return match(connection);
+  }
+  return (match.id === undefined || match.id === connection.id)
+    && (match.room === undefined || connection.rooms.has(match.room));
+}
+
+/**
+ * @private
+ */
+function toBytes(data) {
+  return data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+}
+
+/**
+ * @private
+ */
+function toArrayBuffer(bytes) {
+  if (bytes instanceof ArrayBuffer) {
+    return bytes;
+  }
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+}
@@ -0,0 +1,44 @@
+/**
+ * Payload validation
+ *
+ * A validator is either a function `(payload) => boolean` that may also throw,
+ * or a Standard Schema object (Zod, Valibot, ArkType, ...) exposing
+ * `~standard.validate(value)`.
+ */
+
+/**
+ * Check that a value can be used as a validator
+ * @param {Function|Object} validator - Validator to check
+ */
+export function assertValidator(validator) {
+  const isSchema = validator && typeof validator === 'object'
+    && validator['~standard'] && typeof validator['~standard'].validate === 'function';
+  if (typeof validator !== 'function' && !isSchema) {
+    throw new Error('Validator must be a function or a Standard Schema object');
+  }
+}
+
+/**
+ * Validate a payload
+ * @param {Function|Object} validator - Function or Standard Schema object
+ * @param {any} payload - Payload to validate
+ * @returns {{value: any}|{issues: Array<{message: string, path?: Array}>}} The payload, as output
+ *   by the schema, or the issues found
+ */
+export function runValidator(validator, payload) {
+  if (typeof validator === 'function') {
+    try {
+      return validator(payload) === false
+        ? { issues: [{ message: 'Payload failed validation' }] }
+        : { value: payload };
+    } catch (error) {
+      return { issues: [{ message: error.message }] };
+    }
+  }
+
+  const result = validator['~standard'].validate(payload);
+  if (result && typeof result.then === 'function') {
+    throw new Error('Async schemas are not supported, payloads are validated synchronously');
+  }
+  return result.issues ? { issues: Array.from(result.issues) } : { value: result.value };
+}
@@ -0,0 +1,99 @@
+/**
+ * Socket Base Client in-memory test server TypeScript Definitions
+ */
+
+import { Frame, WebSocketConstructor } from './index.js';
+
+export interface TestServerOptions {
+  /**
+   * `(jwt, { hash }) => identity`, possibly async. The identity is sent as `from` with messages;
+   * return false or throw to reject the connection (default: accept, identity is the connection ID)
+   */
+  authenticate?: (jwt: string, info: { hash: string }) => any;
+  /** Whether a connection may join a room, throwing refuses the join (default: any room) */
+  authorize?: (connection: TestConnection, room: string) => boolean;
+  /** Delay of every frame in milliseconds (default: 0) */
+  latency?: number;
+  /** Also deliver room messages and broadcasts to their sender (default: false) */
+  echo?: boolean;
+  /** Messages kept per room for history() and resume (default: 100) */
+  historyLimit?: number;
+}
+
+export interface TestConnection {
+  id: string;
+  hash: string;
+  jwt: string;
+  identity: any;
+  rooms: Set<string>;
+}
+
+export type FrameDirection = 'to-server' | 'to-client';
+
+/** Frame filter: all given fields must match, or a function */
+export type FrameMatch =
+  | { direction?: FrameDirection; type?: string; room?: string; connection?: string }
+  | ((frame: Frame, info: { direction: FrameDirection; connection: TestConnection }) => boolean);
+
+/** Connection filter: all given fields must match, or a function */
+export type ConnectionMatch = { id?: string; room?: string } | ((connection: TestConnection) => boolean);
+
+export interface FaultOptions {
+  /** Number of frames affected (default: Infinity) */
+  times?: number;
+}
+
+export interface RejectConnectionsOptions extends FaultOptions {
+  /** Close code (default: 4001) */
+  code?: number;
+  /** Close reason (default: 'Unauthorized') */
+  reason?: string;
+}
+
+export interface CloseConnectionsOptions {
+  /** Close code, 4001 for an expired token (default: 1006) */
+  code?: number;
+  /** Close reason (default: '') */
+  reason?: string;
+}
+
+/** In-memory server speaking the Socket Base protocol */
+export class TestServer {
+  constructor(options?: TestServerOptions);
+
+  /** WebSocket constructor connecting to this server, for config.WebSocket */
+  readonly WebSocket: WebSocketConstructor;
+
+  /** Open connections */
+  readonly clients: TestConnection[];
+
+  /** IDs of the connections that joined a room */
+  members(room: string): string[];
+
+  /** Frames the server received from clients */
+  frames(match?: FrameMatch): Frame[];
+
+  /** Wait until every frame in flight has been delivered. Rejects with an error thrown while handling them. */
+  settle(): Promise<void>;
+
+  /** Drop frames. Returns a function that removes the fault. */
+  dropFrames(match?: FrameMatch | null, options?: FaultOptions): () => void;
+
+  /** Delay frames on top of the latency. Returns a function that removes the fault. */
+  delayFrames(delay: number, match?: FrameMatch | null, options?: FaultOptions): () => void;
+
+  /** Reject new connections as an auth failure. Returns a function that accepts connections again. */
+  rejectConnections(options?: RejectConnectionsOptions): () => void;
+
+  /** Close open connections from the server side */
+  closeConnections(match?: ConnectionMatch | null, options?: CloseConnectionsOptions): void;
+
+  /** Send a frame to connections */
+  send(match: ConnectionMatch | null, frame: Frame): void;
+
+  /** Post a message to a room as the server */
+  publish(room: string, payload: any, options?: { from?: any }): void;
+
+  /** Close every connection and remove all faults */
+  close(): void;
+}
@@ -4,7 +4,17 @@
  * Run with: npm test
  */
 
-import { createClient } from '../index.js';
+import {
+  createClient,
+  MemoryStorage,
+  ManualConnectivity,
+  msgpackCodec,
+  openTelemetryInstrumentation,
+  consoleLogger,
+  pinoLogger,
+  winstonLogger,
+} from '../index.js';
+import { TokenBucket } from '../lib/rate-limiter.js';
 import { describe, it, beforeEach, afterEach } from './test-runner.js';
 
 // Mock WebSocket for Node.js environment
@@ -20,6 +30,19 @@ class MockWebSocket {
     
     // Simulate connection after a short delay
     setTimeout(() => {
+      if (this.readyState !== 0) {
+        return; // Closed before the connection opened
+      }
+      if (MockWebSocket.failConnections) {
+        this.readyState = 3; // CLOSED
+        if (this.onerror) {
+          this.onerror({ type: 'error' });
+        }
+        if (this.onclose) {
+          this.onclose({ type: 'close', code: 1006 });
+        }
+        return;
+      }
       this.readyState = 1; // OPEN
       if (this.onopen) {
         this.onopen({ type: 'open' });
@@ -31,10 +54,10 @@ class MockWebSocket {
     this.sentMessages.push(data);
   }
 
-  close() {
+  close(code = 1000, reason = '') {
     this.readyState = 3; // CLOSED
     if (this.onclose) {
-      this.onclose({ type: 'close', code: 1000 });
+      this.onclose({ type: 'close', code, reason });
     }
   }
 
@@ -46,6 +69,9 @@ class MockWebSocket {
   }
 }
 
+// Set to true to make new connections fail
+MockWebSocket.failConnections = false;
+
 // Replace WebSocket with mock in Node.js environment
 if (typeof global !== 'undefined' && typeof WebSocket === 'undefined') {
   global.WebSocket = MockWebSocket;
@@ -63,6 +89,7 @@ describe('SocketBaseClient', () => {
   });
 
   afterEach(() => {
+    MockWebSocket.failConnections = false;
     if (client) {
       client.close();
     }
@@ -168,6 +195,109 @@ describe('SocketBaseClient', () => {
     });
   });
 
+  describe('join/leave requests', () => {
+    function sentFrames() {
+      return client.ws.sentMessages.map(data => JSON.parse(data));
+    }
+
+    it('should tag join frames with a request ID', async () => {
+      await client.connect();
+
+      const promise = client.join('room-a');
+      const [frame] = sentFrames();
+      assert(frame.type === 'join' && frame.id, 'Join frame should carry an ID');
+
+      client.ws.simulateMessage({ type: 'joined', room: 'room-a', id: frame.id });
+      const result = await promise;
+      assert(result.room === 'room-a', 'Should resolve the matching request');
+    });
+
+    it('should only reject the request referenced by an error', async () => {
+      await client.connect();
+
+      const joinA = client.join('room-a');
+      const joinB = client.join('room-b');
+      const [frameA, frameB] = sentFrames();
+
+      client.ws.simulateMessage({ type: 'error', id: frameA.id, message: 'Forbidden' });
+      client.ws.simulateMessage({ type: 'joined', room: 'room-b', id: frameB.id });
+
+      try {
+        await joinA;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message === 'Forbidden', 'Should reject with server message');
+      }
+      const result = await joinB;
+      assert(result.room === 'room-b', 'Other join should still resolve');
+    });
+
+    it('should reject with a timeout error', async () => {
+      await client.connect();
+
+      try {
+        await client.join('room-a', { timeout: 20 });
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'timeout', 'Should reject with a timeout error');
+      }
+      assert(client.requests.size === 0, 'Request should be removed');
+    });
+
+    it('should share one request between concurrent joins of a room', async () => {
+      await client.connect();
+
+      const first = client.join('room-a');
+      const second = client.join('room-a');
+      assert(first === second, 'Should return the same promise');
+      assert(sentFrames().length === 1, 'Should send one join frame');
+
+      client.ws.simulateMessage({ type: 'joined', room: 'room-a', id: sentFrames()[0].id });
+      await first;
+
+      await client.join('room-a');
+      assert(sentFrames().length === 1, 'Should not re-join a joined room');
+    });
+
+    it('should resolve responses without an ID by room', async () => {
+      await client.connect();
+
+      const promise = client.leave('room-a');
+      client.ws.simulateMessage({ type: 'left', room: 'room-a' });
+
+      const result = await promise;
+      assert(result.room === 'room-a', 'Should resolve the oldest request for the room');
+    });
+
+    it('should not reject joins for errors without an ID once the server echoes IDs', async () => {
+      await client.connect();
+      const first = client.join('room-a');
+      client.ws.simulateMessage({ type: 'joined', room: 'room-a', id: sentFrames()[0].id });
+      await first;
+
+      const second = client.join('room-b');
+      client.send('room-b', 'too early');
+      client.ws.simulateMessage({ type: 'error', room: 'room-b', code: 'not_member', message: 'Not a member of room "room-b"' });
+      client.ws.simulateMessage({ type: 'joined', room: 'room-b', id: sentFrames()[1].id });
+
+      const result = await second;
+      assert(result.room === 'room-b', 'Should keep the join pending');
+    });
+
+    it('should reject requests of the room for errors without an ID from older servers', async () => {
+      await client.connect();
+      const promise = client.join('room-a');
+      client.ws.simulateMessage({ type: 'error', room: 'room-a', message: 'Forbidden' });
+
+      try {
+        await promise;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message === 'Forbidden', 'Should reject the join of the room');
+      }
+    });
+  });
+
   describe('leave', () => {
     it('should leave a room', async () => {
       await client.connect();
@@ -197,121 +327,2411 @@ describe('SocketBaseClient', () => {
     });
   });
 
-  describe('send', () => {
-    it('should send a message to a room', async () => {
+  describe('rejoin', () => {
+    it('should re-join active rooms after a reconnect', async () => {
+      client.reconnectDelay = 10;
       await client.connect();
-      
-      client.send('test-room', { text: 'Hello' });
-      
-      await new Promise(resolve => setTimeout(resolve, 20));
-      
-      if (client.ws && client.ws.sentMessages) {
-        const sent = JSON.parse(client.ws.sentMessages[0]);
-        assert(sent.type === 'message', 'Should send message type');
-        assert(sent.room === 'test-room', 'Should include room');
-        assert(sent.payload.text === 'Hello', 'Should include payload');
-      }
+
+      setTimeout(() => {
+        client.ws.simulateMessage({ type: 'joined', room: 'test-room' });
+      }, 20);
+      await client.join('test-room');
+
+      const rejoined = [];
+      client.on('rejoined', ({ room }) => rejoined.push(room));
+
+      // Simulate a dropped connection
+      client.ws.close();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      assert(client.isConnected === true, 'Should be reconnected');
+      const sent = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(sent.some(msg => msg.type === 'join' && msg.room === 'test-room'), 'Should send join frame');
+
+      client.ws.simulateMessage({ type: 'joined', room: 'test-room' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      assert(rejoined.length === 1 && rejoined[0] === 'test-room', 'Rejoined event should be emitted');
     });
 
-    it('should throw error if room is missing', () => {
-      client.send('', { text: 'Hello' });
-      // This will queue the message, but we can't easily test the error
-      // without a real connection
+    it('should not re-join rooms that were left', async () => {
+      client.reconnectDelay = 10;
+      await client.connect();
+
+      setTimeout(() => {
+        client.ws.simulateMessage({ type: 'joined', room: 'test-room' });
+      }, 20);
+      await client.join('test-room');
+
+      client.leave('test-room');
+      assert(client.getRooms().length === 0, 'Room should be removed on leave');
+
+      client.ws.close();
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      const sent = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(!sent.some(msg => msg.type === 'join'), 'Should not send join frame');
     });
+  });
 
-    it('should throw error if payload is missing', () => {
-      try {
-        client.send('test-room', null);
-        assert(false, 'Should throw error');
-      } catch (error) {
-        assert(error.message.includes('Payload'), 'Should throw payload error');
+  describe('reconnect strategy', () => {
+    it('should compute linear delays by default', () => {
+      client.reconnectDelay = 100;
+      assert(client.getReconnectDelay(1) === 100, 'First delay should be base delay');
+      assert(client.getReconnectDelay(3) === 300, 'Third delay should be 3x base delay');
+    });
+
+    it('should compute exponential delays capped at maxReconnectDelay', () => {
+      client.reconnectStrategy = 'exponential';
+      client.reconnectDelay = 100;
+      client.maxReconnectDelay = 500;
+      assert(client.getReconnectDelay(1) === 100, 'First delay should be base delay');
+      assert(client.getReconnectDelay(3) === 400, 'Third delay should be 4x base delay');
+      assert(client.getReconnectDelay(10) === 500, 'Delay should be capped');
+    });
+
+    it('should apply jitter within bounds', () => {
+      client.reconnectStrategy = 'fixed';
+      client.reconnectDelay = 1000;
+      client.reconnectJitter = 0.5;
+      for (let i = 0; i < 20; i++) {
+        const delay = client.getReconnectDelay(1);
+        assert(delay >= 500 && delay <= 1000, 'Delay should be within jitter range');
       }
     });
+
+    it('should use a custom strategy function', () => {
+      client.reconnectStrategy = (attempt) => (attempt > 2 ? null : attempt * 7);
+      assert(client.getReconnectDelay(2) === 14, 'Should use custom delay');
+      assert(client.getReconnectDelay(3) === null, 'Should stop when strategy returns null');
+    });
+
+    it('should emit reconnect lifecycle events', async () => {
+      const client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        reconnectStrategy: 'fixed',
+        reconnectDelay: 5,
+        maxReconnectAttempts: 2,
+      });
+      const events = [];
+      client.on('reconnecting', ({ attempt }) => events.push(`reconnecting:${attempt}`));
+      client.on('reconnect_attempt', ({ attempt }) => events.push(`attempt:${attempt}`));
+      client.on('reconnect_failed', ({ attempts }) => events.push(`failed:${attempts}`));
+
+      await client.connect();
+      MockWebSocket.failConnections = true;
+      client.ws.close();
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      client.close();
+      assert(
+        events.join(',') === 'reconnecting:1,attempt:1,reconnecting:2,attempt:2,failed:2',
+        `Unexpected events: ${events.join(',')}`
+      );
+    });
+
+    it('should reconnect immediately with reconnect()', async () => {
+      client.reconnectDelay = 10000;
+      await client.connect();
+
+      MockWebSocket.failConnections = true;
+      client.ws.close();
+      assert(client.reconnectTimer !== null, 'Reconnect should be scheduled');
+
+      MockWebSocket.failConnections = false;
+      await client.reconnect();
+
+      assert(client.isConnected === true, 'Should be reconnected');
+      assert(client.reconnectTimer === null, 'Pending retry should be cancelled');
+      assert(client.reconnectAttempts === 0, 'Attempts should reset after connecting');
+    });
+
+    it('should settle a pending connect() with the attempt started by reconnect()', async () => {
+      const first = client.connect();
+      await waitFor(() => client.ws !== null);
+      const oldSocket = client.ws;
+
+      const second = client.reconnect();
+      await Promise.all([first, second]);
+
+      assert(client.ws !== oldSocket, 'Should open a new socket');
+      assert(client.isConnected === true, 'Should be connected');
+    });
   });
 
-  describe('broadcast', () => {
-    it('should broadcast a message', async () => {
+  describe('authentication', () => {
+    it('should call the token provider before each connect', async () => {
+      let calls = 0;
+      const client = createClient({
+        hash: 'test-hash',
+        jwt: async () => `token-${++calls}`,
+        autoConnect: false,
+        reconnectDelay: 5,
+      });
+
       await client.connect();
-      
-      client.broadcast({ text: 'Broadcast message' });
-      
+      assert(client.ws.url.endsWith('jwt=token-1'), 'Should use first token');
+
+      client.ws.close();
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      assert(client.ws.url.endsWith('jwt=token-2'), 'Should fetch a new token on reconnect');
+      client.close();
+    });
+
+    it('should reconnect with the new token on setAuth', async () => {
+      await client.connect();
+      const oldSocket = client.ws;
+
+      await client.setAuth('new-token');
+
+      assert(client.ws !== oldSocket, 'Should open a new socket');
+      assert(client.ws.url.endsWith('jwt=new-token'), 'Should use the new token');
+      assert(client.isConnected === true, 'Should be connected');
+    });
+
+    it('should settle a pending connect() with the connection opened by setAuth', async () => {
+      const whileResolvingToken = client.connect();
+      const replaced = client.setAuth('token-b');
+      await waitFor(() => client.ws !== null);
+      const whileOpening = client.setAuth('token-c');
+
+      await Promise.all([whileResolvingToken, replaced, whileOpening]);
+      assert(client.ws.url.endsWith('jwt=token-c'), 'Should use the latest token');
+      assert(client.isConnected === true, 'Should be connected');
+    });
+
+    it('should store the token without connecting when disconnected', async () => {
+      await client.setAuth('new-token');
+      assert(client.jwt === 'new-token', 'Token should be replaced');
+      assert(client.ws === null, 'Should not connect');
+    });
+
+    it('should refresh the token once on an auth close code', async () => {
+      let calls = 0;
+      const errors = [];
+      const client = createClient({
+        hash: 'test-hash',
+        jwt: () => `token-${++calls}`,
+        autoConnect: false,
+        reconnectDelay: 10000,
+      });
+      client.on('error', error => errors.push(error));
+
+      await client.connect();
+      client.ws.close(4001, 'Token expired');
       await new Promise(resolve => setTimeout(resolve, 20));
-      
-      if (client.ws && client.ws.sentMessages) {
-        const sent = JSON.parse(client.ws.sentMessages[0]);
-        assert(sent.type === 'broadcast', 'Should send broadcast type');
-        assert(sent.payload.text === 'Broadcast message', 'Should include payload');
-      }
+
+      assert(calls === 2, 'Should refresh the token');
+      assert(client.isConnected === true, 'Should reconnect immediately');
+      assert(errors.length === 0, 'Should not surface an error on first failure');
+
+      client.ws.close(4001, 'Token expired');
+      assert(errors.length === 1 && errors[0].type === 'auth_error', 'Should surface second failure');
+      assert(errors[0].code === 4001, 'Should include the close code');
+      client.close();
     });
 
-    it('should throw error if payload is missing', () => {
+    it('should surface auth errors immediately with a static token', async () => {
+      const errors = [];
+      client.on('error', error => errors.push(error));
+
+      await client.connect();
+      client.ws.simulateMessage({ type: 'error', code: 4003, message: 'Invalid token' });
+
+      assert(errors.length === 1 && errors[0].type === 'auth_error', 'Should emit auth_error');
+      assert(errors[0].message === 'Invalid token', 'Should include server message');
+    });
+  });
+
+  describe('channels', () => {
+    function lastFrame() {
+      return JSON.parse(client.ws.sentMessages[client.ws.sentMessages.length - 1]);
+    }
+
+    it('should return the same channel for a room', () => {
+      assert(client.channel('chat') === client.channel('chat'), 'Should reuse the channel');
+      assert(client.channel('chat').status === 'closed', 'New channel should be closed');
+    });
+
+    it('should track status through subscribe and unsubscribe', async () => {
+      await client.connect();
+      const channel = client.channel('chat');
+      const statuses = [];
+      channel.on('status', ({ status }) => statuses.push(status));
+
+      const subscribed = channel.subscribe();
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: lastFrame().id });
+      assert(await subscribed === channel, 'Should resolve with the channel');
+
+      const unsubscribed = channel.unsubscribe();
+      client.ws.simulateMessage({ type: 'left', room: 'chat', id: lastFrame().id });
+      await unsubscribed;
+
+      assert(statuses.join(',') === 'joining,joined,leaving,closed', `Unexpected statuses: ${statuses.join(',')}`);
+    });
+
+    it('should set errored status when the join fails', async () => {
+      await client.connect();
+      const channel = client.channel('chat');
+
+      const subscribed = channel.subscribe();
+      client.ws.simulateMessage({ type: 'error', id: lastFrame().id, message: 'Forbidden' });
+
       try {
-        client.broadcast(null);
-        assert(false, 'Should throw error');
+        await subscribed;
+        assert(false, 'Should reject');
       } catch (error) {
-        assert(error.message.includes('Payload'), 'Should throw payload error');
+        assert(channel.status === 'errored', 'Status should be errored');
       }
     });
-  });
 
-  describe('event listeners', () => {
-    it('should register and call event listeners', async () => {
-      let messageReceived = false;
-      
-      client.on('message', (data) => {
-        messageReceived = true;
-      });
+    it('should route messages to the channel for the room', async () => {
+      await client.connect();
+      const chat = [];
+      const other = [];
+      client.channel('chat').on('message', ({ payload }) => chat.push(payload));
+      client.channel('other').on('message', ({ payload }) => other.push(payload));
 
-      client.emit('message', { room: 'test', payload: 'test' });
-      
-      assert(messageReceived === true, 'Listener should be called');
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'hello' });
+
+      assert(chat.join(',') === 'hello', 'Chat channel should receive the message');
+      assert(other.length === 0, 'Other channel should not receive the message');
     });
 
-    it('should return unsubscribe function', () => {
-      let callCount = 0;
-      
-      const unsubscribe = client.on('message', () => {
-        callCount++;
-      });
+    it('should send through the client with the channel room', async () => {
+      await client.connect();
+      client.channel('chat').send({ text: 'Hello' });
 
-      client.emit('message', {});
-      assert(callCount === 1, 'Should be called once');
+      const frame = lastFrame();
+      assert(frame.type === 'message' && frame.room === 'chat', 'Should send to the channel room');
+    });
 
-      unsubscribe();
-      client.emit('message', {});
-      assert(callCount === 1, 'Should not be called after unsubscribe');
+    it('should remove the channel and leave when the last listener is removed', async () => {
+      await client.connect();
+      const channel = client.channel('chat');
+      const off = channel.on('message', () => {});
+
+      channel.subscribe();
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: lastFrame().id });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      off();
+
+      assert(!client.channels.has('chat'), 'Channel should be removed');
+      assert(lastFrame().type === 'leave', 'Should leave the room');
+      assert(client.channel('chat') !== channel, 'Should create a new channel afterwards');
     });
-  });
 
-  describe('close', () => {
-    it('should close the connection', async () => {
+    it('should go back to joining while reconnecting', async () => {
+      client.reconnectDelay = 10;
       await client.connect();
-      assert(client.isConnected === true, 'Should be connected');
-      
-      client.close();
-      
-      assert(client.isConnected === false, 'Should be disconnected');
+      const channel = client.channel('chat');
+
+      channel.subscribe();
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: lastFrame().id });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      client.ws.close();
+      assert(channel.status === 'joining', 'Should be joining after the socket drops');
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: lastFrame().id });
+      assert(channel.status === 'joined', 'Should be joined after re-joining');
     });
 
-    it('should disable auto-reconnect on close', async () => {
+    it('should close when the server closes without autoReconnect', async () => {
+      client.autoReconnect = false;
       await client.connect();
-      client.close();
-      
-      assert(client.autoReconnect === false, 'Auto-reconnect should be disabled');
+      const channel = client.channel('chat');
+      channel.subscribe();
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: lastFrame().id });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      client.ws.close(1001);
+      assert(client.getState() === 'closed', 'Client should be closed');
+      assert(channel.status === 'closed', 'Channel should be closed');
+
+      await client.connect();
+      assert(channel.status === 'joining', 'Should re-join on the next connect()');
+    });
+
+    it('should error when reconnecting fails', async () => {
+      client.reconnectStrategy = 'fixed';
+      client.reconnectDelay = 5;
+      client.maxReconnectAttempts = 1;
+      await client.connect();
+      const channel = client.channel('chat');
+      channel.subscribe();
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: lastFrame().id });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      let failed = false;
+      client.on('reconnect_failed', () => { failed = true; });
+      MockWebSocket.failConnections = true;
+      client.ws.close();
+      await waitFor(() => failed);
+      assert(channel.status === 'errored', 'Channel should be errored');
     });
   });
 
-  describe('getConnectionStatus', () => {
-    it('should return false when not connected', () => {
-      assert(client.getConnectionStatus() === false, 'Should return false');
+  describe('presence', () => {
+    function frames() {
+      return client.ws.sentMessages.map(data => JSON.parse(data));
+    }
+
+    it('should send presence track and untrack frames', async () => {
+      await client.connect();
+      const channel = client.channel('chat');
+
+      channel.track({ name: 'Ada' });
+      channel.untrack();
+
+      const [track, untrack] = frames();
+      assert(track.type === 'presence_track' && track.room === 'chat', 'Should send track frame');
+      assert(track.state.name === 'Ada', 'Should include state');
+      assert(untrack.type === 'presence_untrack' && untrack.room === 'chat', 'Should send untrack frame');
     });
 
-    it('should return true when connected', async () => {
+    it('should emit only changed entries from snapshots', async () => {
       await client.connect();
-      assert(client.getConnectionStatus() === true, 'Should return true');
+      const events = [];
+      client.on('presence_join', ({ key }) => events.push(`join:${key}`));
+      client.on('presence_leave', ({ key }) => events.push(`leave:${key}`));
+      client.on('presence_sync', () => events.push('sync'));
+
+      client.ws.simulateMessage({
+        type: 'presence_state',
+        room: 'chat',
+        presences: { a: { name: 'Ada' }, b: { name: 'Bob' } },
+      });
+      client.ws.simulateMessage({
+        type: 'presence_state',
+        room: 'chat',
+        presences: { a: { name: 'Ada' }, c: { name: 'Cy' } },
+      });
+      client.ws.simulateMessage({
+        type: 'presence_state',
+        room: 'chat',
+        presences: { a: { name: 'Ada' }, c: { name: 'Cy' } },
+      });
+
+      assert(
+        events.join(',') === 'join:a,join:b,sync,join:c,leave:b,sync',
+        `Unexpected events: ${events.join(',')}`
+      );
+      assert(Object.keys(client.getPresence('chat')).join(',') === 'a,c', 'Should keep the synced list');
     });
-  });
-});
+
+    it('should apply presence diffs and route them to the channel', async () => {
+      await client.connect();
+      const channel = client.channel('chat');
+      const joins = [];
+      let synced = null;
+      channel.on('presence_join', data => joins.push(data));
+      channel.on('presence_sync', ({ presences }) => { synced = presences; });
+
+      client.ws.simulateMessage({ type: 'presence_diff', room: 'chat', joins: { a: { status: 'idle' } } });
+      client.ws.simulateMessage({ type: 'presence_diff', room: 'chat', joins: { a: { status: 'typing' } } });
+      client.ws.simulateMessage({ type: 'presence_diff', room: 'chat', leaves: { a: { status: 'typing' } } });
+
+      assert(joins.length === 2, 'Should emit a join for the update');
+      assert(joins[1].previous.status === 'idle', 'Update should include the previous state');
+      assert(Object.keys(synced).length === 0, 'List should be empty after the leave');
+      assert(Object.keys(channel.presenceState()).length === 0, 'Channel should expose the list');
+    });
+
+    it('should re-send tracked presence after re-joining', async () => {
+      client.reconnectDelay = 10;
+      await client.connect();
+
+      const joined = client.join('chat');
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: frames()[0].id });
+      await joined;
+      client.track('chat', { name: 'Ada' });
+
+      client.ws.close();
+      await new Promise(resolve => setTimeout(resolve, 40));
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: frames()[0].id });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const track = frames().find(frame => frame.type === 'presence_track');
+      assert(track && track.state.name === 'Ada', 'Should re-send the tracked state');
+    });
+  });
+
+  describe('history and resume', () => {
+    function frames() {
+      return client.ws.sentMessages.map(data => JSON.parse(data));
+    }
+
+    it('should resume from the last seen message when re-joining', async () => {
+      client.reconnectDelay = 10;
+      await client.connect();
+
+      const joined = client.join('chat');
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: frames()[0].id });
+      await joined;
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'one', id: 'm1', timestamp: 100 });
+
+      const received = [];
+      client.on('message', ({ payload, replayed }) => received.push(`${payload}:${replayed}`));
+
+      client.ws.close();
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      const join = frames()[0];
+      assert(join.type === 'join' && join.since.id === 'm1', 'Should send the last seen message ID');
+      assert(join.since.timestamp === 100, 'Should send the last seen timestamp');
+
+      client.ws.simulateMessage({
+        type: 'joined',
+        room: 'chat',
+        id: join.id,
+        messages: [
+          { payload: 'one', id: 'm1', timestamp: 100 },
+          { payload: 'two', id: 'm2', timestamp: 200 },
+        ],
+      });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'three', id: 'm3', timestamp: 300 });
+
+      assert(received.join(',') === 'two:true,three:false', `Unexpected messages: ${received.join(',')}`);
+    });
+
+    it('should not send a resume point for a fresh join', async () => {
+      await client.connect();
+      client.join('chat');
+      assert(frames()[0].since === undefined, 'Should not include since');
+    });
+
+    it('should fetch a page of history', async () => {
+      await client.connect();
+
+      const promise = client.history('chat', { before: 'm10', limit: 2 });
+      const request = frames()[0];
+      assert(request.type === 'history' && request.before === 'm10' && request.limit === 2, 'Should send history request');
+
+      client.ws.simulateMessage({
+        type: 'history',
+        room: 'chat',
+        id: request.id,
+        messages: [{ payload: 'eight', id: 'm8' }, { payload: 'nine', id: 'm9' }],
+        hasMore: true,
+      });
+
+      const page = await promise;
+      assert(page.messages.length === 2 && page.messages[0].payload === 'eight', 'Should resolve with messages');
+      assert(page.messages[0].room === 'chat', 'Messages should include the room');
+      assert(page.hasMore === true, 'Should report more pages');
+    });
+
+    it('should reject history for a missing room', async () => {
+      try {
+        await client.history('');
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message.includes('required'), 'Should throw error');
+      }
+    });
+  });
+
+  describe('send', () => {
+    it('should send a message to a room', async () => {
+      await client.connect();
+      
+      client.send('test-room', { text: 'Hello' });
+      
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      if (client.ws && client.ws.sentMessages) {
+        const sent = JSON.parse(client.ws.sentMessages[0]);
+        assert(sent.type === 'message', 'Should send message type');
+        assert(sent.room === 'test-room', 'Should include room');
+        assert(sent.payload.text === 'Hello', 'Should include payload');
+      }
+    });
+
+    it('should throw error if room is missing', () => {
+      try {
+        client.send('', { text: 'Hello' });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('Room'), 'Should throw room error');
+      }
+    });
+
+    it('should throw error if payload is missing', () => {
+      try {
+        client.send('test-room', null);
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('Payload'), 'Should throw payload error');
+      }
+    });
+  });
+
+  describe('broadcast', () => {
+    it('should broadcast a message', async () => {
+      await client.connect();
+      
+      client.broadcast({ text: 'Broadcast message' });
+      
+      await new Promise(resolve => setTimeout(resolve, 20));
+      
+      if (client.ws && client.ws.sentMessages) {
+        const sent = JSON.parse(client.ws.sentMessages[0]);
+        assert(sent.type === 'broadcast', 'Should send broadcast type');
+        assert(sent.payload.text === 'Broadcast message', 'Should include payload');
+      }
+    });
+
+    it('should throw error if payload is missing', () => {
+      try {
+        client.broadcast(null);
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('Payload'), 'Should throw payload error');
+      }
+    });
+  });
+
+  describe('acknowledged sends', () => {
+    let client;
+
+    beforeEach(() => {
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        ackMessages: true,
+        reconnectDelay: 5,
+      });
+    });
+
+    afterEach(() => {
+      client.close();
+    });
+
+    it('should resolve when the server acks the message', async () => {
+      await client.connect();
+      const statuses = [];
+      client.on('delivery', ({ status }) => statuses.push(status));
+
+      const promise = client.send('test-room', { text: 'Hello' });
+      const frame = JSON.parse(client.ws.sentMessages[0]);
+      assert(frame.id, 'Message frame should carry an ID');
+
+      client.ws.simulateMessage({ type: 'ack', id: frame.id });
+      const result = await promise;
+
+      assert(result.id === frame.id, 'Should resolve with the message ID');
+      assert(statuses.join(',') === 'pending,sent,acked', `Unexpected statuses: ${statuses.join(',')}`);
+    });
+
+    it('should reject on an error frame for the message', async () => {
+      await client.connect();
+
+      const promise = client.broadcast({ text: 'Hello' }, { id: 'msg-1' });
+      client.ws.simulateMessage({ type: 'error', id: 'msg-1', message: 'Not allowed' });
+
+      try {
+        await promise;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message === 'Not allowed', 'Should reject with server message');
+      }
+    });
+
+    it('should reject on ack timeout', async () => {
+      await client.connect();
+
+      try {
+        await client.send('test-room', 'Hello', { timeout: 20 });
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'timeout', 'Should reject with a timeout error');
+      }
+      assert(client.outbox.size === 0, 'Message should be removed from the outbox');
+    });
+
+    it('should resend unacked messages once after a reconnect', async () => {
+      await client.connect();
+
+      const promise = client.send('test-room', 'Hello');
+      const { id } = JSON.parse(client.ws.sentMessages[0]);
+
+      client.ws.close();
+      client.send('test-room', 'Queued while offline');
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      const frames = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(frames.length === 2, 'Should send each message once');
+      assert(frames[0].id === id, 'Should resend with the same ID');
+
+      client.ws.simulateMessage({ type: 'ack', id });
+      client.ws.simulateMessage({ type: 'ack', id });
+      await promise;
+    });
+  });
+
+  describe('outbound queue', () => {
+    it('should flush queued messages in order on open', async () => {
+      client.send('test-room', 'first');
+      client.broadcast('second');
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      const frames = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(frames.length === 2, 'Should send both frames');
+      assert(frames[0].payload === 'first' && frames[1].payload === 'second', 'Should keep order');
+    });
+
+    it('should reject sends when the queue is full', () => {
+      const client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        maxQueueSize: 1,
+        queueOverflow: 'reject',
+      });
+
+      client.send('test-room', 'first');
+      try {
+        client.send('test-room', 'second');
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.code === 'queue_full', 'Should throw a queue_full error');
+      }
+      client.close();
+    });
+
+    it('should fail acknowledged messages that expire in the queue', async () => {
+      const client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        ackMessages: true,
+      });
+      const drops = [];
+      client.on('queue_drop', ({ reason }) => drops.push(reason));
+
+      const promise = client.send('test-room', 'stale', { ttl: 1 });
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await client.connect();
+
+      try {
+        await promise;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'expired', 'Should reject with an expired error');
+      }
+      assert(drops.join(',') === 'expired', 'Should emit queue_drop');
+      assert(client.ws.sentMessages.length === 0, 'Should not send the expired message');
+      client.close();
+    });
+
+    it('should deliver messages persisted by a previous client', async () => {
+      const queueStorage = new MemoryStorage();
+      const first = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, queueStorage });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      first.send('test-room', 'offline message');
+      await first.queue.writing;
+      first.close();
+
+      const second = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, queueStorage });
+      await second.connect();
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const frames = second.ws.sentMessages.map(data => JSON.parse(data));
+      assert(frames.length === 1 && frames[0].payload === 'offline message', 'Should flush restored message');
+      second.close();
+    });
+
+    it('should not reuse the IDs of messages persisted by a previous client', async () => {
+      const queueStorage = new MemoryStorage();
+      const config = { hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, ackMessages: true, queueStorage };
+      const first = createClient(config);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      first.send('test-room', 'offline message').catch(() => {});
+      await first.queue.writing;
+      first.close();
+
+      const second = createClient(config);
+      await second.connect();
+      second.send('test-room', 'new message').catch(() => {});
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      const ids = second.ws.sentMessages.map(data => JSON.parse(data).id);
+      assert(ids.length === 2 && ids[0] !== ids[1], `Should use distinct IDs, got ${ids.join(',')}`);
+      second.close();
+    });
+  });
+
+  describe('heartbeat', () => {
+    it('should measure latency from pongs', async () => {
+      client.heartbeatInterval = 10;
+      await client.connect();
+      await new Promise(resolve => setTimeout(resolve, 15));
+
+      const ping = JSON.parse(client.ws.sentMessages[0]);
+      assert(ping.type === 'ping' && ping.id, 'Should send a ping frame');
+
+      let heartbeat = null;
+      client.on('heartbeat', data => { heartbeat = data; });
+      client.ws.simulateMessage({ type: 'pong', id: ping.id });
+
+      assert(typeof client.getLatency() === 'number', 'Latency should be measured');
+      assert(heartbeat && heartbeat.latency === client.getLatency(), 'Should emit heartbeat event');
+    });
+
+    it('should close and reconnect after missed pongs', async () => {
+      client.heartbeatInterval = 10;
+      client.maxMissedPongs = 2;
+      client.reconnectDelay = 10000;
+      await client.connect();
+
+      const errors = [];
+      let closeEvent = null;
+      client.on('error', error => errors.push(error));
+      client.on('close', event => { closeEvent = event; });
+
+      await new Promise(resolve => setTimeout(resolve, 45));
+
+      assert(client.isConnected === false, 'Should be disconnected');
+      assert(closeEvent && closeEvent.reason === 'Heartbeat timeout', 'Should emit close event');
+      assert(errors.some(error => error.type === 'heartbeat_timeout'), 'Should emit heartbeat_timeout');
+      assert(client.reconnectTimer !== null, 'Should schedule a reconnect');
+    });
+  });
+
+  describe('codecs', () => {
+    it('should send and receive binary frames with a binary codec', async () => {
+      const client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, codec: 'msgpack' });
+      await client.connect();
+
+      assert(client.ws.binaryType === 'arraybuffer', 'Should set binaryType');
+      assert(client.ws.url.includes('codec=msgpack'), 'Should announce the codec');
+
+      client.send('chat', new Uint8Array([1, 2, 3]));
+      const sent = msgpackCodec.decode(client.ws.sentMessages[0]);
+      assert(sent.payload instanceof Uint8Array && sent.payload.length === 3, 'Should send binary payload');
+
+      let received = null;
+      client.on('message', ({ payload }) => { received = payload; });
+      client.ws.onmessage({ data: msgpackCodec.encode({ type: 'message', room: 'chat', payload: 'hi' }).buffer });
+      assert(received === 'hi', 'Should decode binary frames');
+      client.close();
+    });
+
+    it('should report decode failures as parse_error', async () => {
+      const client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, codec: 'cbor' });
+      await client.connect();
+
+      let error = null;
+      client.on('error', data => { error = data; });
+      client.ws.onmessage({ data: new Uint8Array([0x82, 0x01]).buffer });
+
+      assert(error && error.type === 'parse_error', 'Should emit parse_error');
+      client.close();
+    });
+
+    it('should reject binary payloads with a text codec', () => {
+      try {
+        client.send('chat', new Uint8Array([1]));
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('binary codec'), 'Should throw codec error');
+      }
+    });
+  });
+
+  describe('compression', () => {
+    const snapshot = { cells: Array.from({ length: 200 }, (_, i) => ({ row: i, text: 'same text' })) };
+
+    async function compressedClient(config = {}) {
+      const client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, compression: true, ...config });
+      await client.connect();
+      return client;
+    }
+
+    it('should compress payloads above the threshold and keep frame order', async () => {
+      const client = await compressedClient();
+
+      client.send('docs', snapshot);
+      client.send('docs', 'small');
+      assert(client.ws.sentMessages.length === 0, 'Should hold frames behind a compressing one');
+
+      await waitFor(() => client.ws.sentMessages.length === 2);
+      const [large, small] = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(large.compression === 'deflate', 'Should mark the compressed frame');
+      assert(typeof large.payload === 'string', 'Should send compressed bytes as base64');
+      assert(small.payload === 'small' && !small.compression, 'Should send small payloads as is');
+
+      const { compression } = client.getStats();
+      assert(compression.compressed === 1, 'Should count compressed payloads');
+      assert(compression.originalBytes === JSON.stringify(snapshot).length, 'Should count original bytes');
+      assert(compression.ratio > 0 && compression.ratio < 0.5, 'Should report the ratio');
+      client.close();
+    });
+
+    it('should send small payloads synchronously', async () => {
+      const client = await compressedClient();
+      client.send('docs', { text: 'hi' });
+      assert(client.ws.sentMessages.length === 1, 'Should not wait for compression');
+      assert(client.getStats().compression.ratio === null, 'Should have no ratio yet');
+      client.close();
+    });
+
+    it('should decompress marked frames before emitting message, in order', async () => {
+      const sender = await compressedClient();
+      sender.send('docs', snapshot);
+      await waitFor(() => sender.ws.sentMessages.length === 1);
+      const frame = JSON.parse(sender.ws.sentMessages[0]);
+      sender.close();
+
+      await client.connect();
+      const received = [];
+      client.on('message', ({ payload }) => received.push(payload));
+
+      client.ws.simulateMessage(frame);
+      client.ws.simulateMessage({ type: 'message', room: 'docs', payload: 'after' });
+      assert(received.length === 0, 'Should hold frames behind a compressed one');
+
+      await waitFor(() => received.length === 2);
+      assert(JSON.stringify(received[0]) === JSON.stringify(snapshot), 'Should restore the payload');
+      assert(received[1] === 'after', 'Should keep frame order');
+      assert(client.getStats().compression.decompressed === 1, 'Should count decompressed payloads');
+    });
+
+    it('should decompress replayed messages', async () => {
+      const sender = await compressedClient();
+      sender.send('docs', snapshot);
+      await waitFor(() => sender.ws.sentMessages.length === 1);
+      const { payload, compression } = JSON.parse(sender.ws.sentMessages[0]);
+      sender.close();
+
+      await client.connect();
+      const joinPromise = client.join('docs');
+      const received = [];
+      client.on('message', data => received.push(data));
+
+      client.ws.simulateMessage({ type: 'joined', room: 'docs', messages: [{ id: 'm1', payload, compression }] });
+      await joinPromise;
+      assert(received.length === 1 && received[0].replayed, 'Should replay the message');
+      assert(received[0].payload.cells.length === 200, 'Should restore the replayed payload');
+    });
+
+    it('should send binary compressed payloads with a binary codec', async () => {
+      const client = await compressedClient({ codec: 'msgpack', compression: 'gzip', compressionThreshold: 100 });
+      client.send('docs', snapshot);
+      await waitFor(() => client.ws.sentMessages.length === 1);
+
+      const frame = msgpackCodec.decode(client.ws.sentMessages[0]);
+      assert(frame.compression === 'gzip', 'Should mark the format');
+      assert(frame.payload instanceof Uint8Array, 'Should send raw bytes');
+
+      let received = null;
+      client.on('message', ({ payload }) => { received = payload; });
+      client.ws.onmessage({ data: msgpackCodec.encode(frame).buffer });
+      await waitFor(() => received !== null);
+      assert(received.cells[199].row === 199, 'Should round-trip the payload');
+      client.close();
+    });
+
+    it('should use a custom compressor', async () => {
+      const compressor = {
+        name: 'test',
+        compress: bytes => Promise.resolve(bytes.subarray(1)),
+        decompress: bytes => Promise.resolve(bytes),
+      };
+      const client = await compressedClient({ compression: compressor, compressionThreshold: 1 });
+
+      client.send('docs', 'abc');
+      await waitFor(() => client.ws.sentMessages.length === 1);
+      assert(JSON.parse(client.ws.sentMessages[0]).compression === 'test', 'Should use the custom name');
+      client.close();
+    });
+
+    it('should report payloads that fail to decompress', async () => {
+      await client.connect();
+      let error = null;
+      let received = false;
+      client.on('error', data => { error = data; });
+      client.on('message', () => { received = true; });
+
+      client.ws.simulateMessage({ type: 'message', room: 'docs', payload: 'bm90IGRlZmxhdGU=', compression: 'deflate' });
+      await waitFor(() => error !== null);
+      assert(error.type === 'decompress_error', 'Should emit decompress_error');
+      assert(!received, 'Should drop the message');
+    });
+
+    it('should throw without CompressionStream', () => {
+      const original = globalThis.CompressionStream;
+      delete globalThis.CompressionStream;
+      try {
+        createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, compression: true });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('CompressionStream is not available'), 'Should ask for a custom compressor');
+      } finally {
+        globalThis.CompressionStream = original;
+      }
+    });
+
+    it('should reject unknown compression formats', () => {
+      try {
+        createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, compression: 'brotli' });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('compression format'), 'Should throw compression error');
+      }
+    });
+  });
+
+  describe('encryption', () => {
+    const keys = {
+      k1: new Uint8Array(32).fill(1),
+      k2: new Uint8Array(32).fill(2),
+    };
+    let currentKey;
+
+    function encryptedClient(config = {}) {
+      return createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        encryption: {
+          rooms: ['secret'],
+          keyProvider: (room, keyId) => {
+            const id = keyId === undefined ? currentKey : keyId;
+            return keys[id] ? { id, key: keys[id] } : null;
+          },
+        },
+        ...config,
+      });
+    }
+
+    async function encryptFrame(payload, room = 'secret') {
+      const sender = encryptedClient();
+      await sender.connect();
+      sender.send(room, payload);
+      await waitFor(() => sender.ws.sentMessages.length === 1);
+      const frame = JSON.parse(sender.ws.sentMessages[0]);
+      sender.close();
+      return frame;
+    }
+
+    beforeEach(() => {
+      currentKey = 'k1';
+    });
+
+    it('should encrypt payloads in encrypted rooms only', async () => {
+      const frame = await encryptFrame({ text: 'confidential' });
+      assert(frame.encryption === 'aes-gcm' && frame.keyId === 'k1', 'Should mark the frame and key');
+      assert(!JSON.stringify(frame).includes('confidential'), 'Should not send plain text');
+
+      const client = encryptedClient();
+      await client.connect();
+      client.send('public', 'hello');
+      assert(JSON.parse(client.ws.sentMessages[0]).payload === 'hello', 'Should send other rooms in plain text');
+      client.close();
+    });
+
+    it('should decrypt messages before emitting them', async () => {
+      const frame = await encryptFrame({ text: 'confidential' });
+
+      const client = encryptedClient();
+      await client.connect();
+      const received = [];
+      client.on('message', data => received.push(data));
+      client.ws.simulateMessage({ ...frame, from: 'user-1' });
+      client.ws.simulateMessage({ type: 'message', room: 'public', payload: 'after' });
+
+      await waitFor(() => received.length === 2);
+      assert(received[0].payload.text === 'confidential', 'Should decrypt the payload');
+      assert(received[0].from === 'user-1', 'Should keep frame fields');
+      assert(received[1].payload === 'after', 'Should keep frame order');
+      client.close();
+    });
+
+    it('should decrypt with rotated keys by key ID', async () => {
+      const old = await encryptFrame('before rotation');
+      currentKey = 'k2';
+      const rotated = await encryptFrame('after rotation');
+      assert(rotated.keyId === 'k2', 'Should encrypt with the current key');
+
+      const client = encryptedClient();
+      await client.connect();
+      const received = [];
+      client.on('message', ({ payload }) => received.push(payload));
+      client.ws.simulateMessage(old);
+      client.ws.simulateMessage(rotated);
+
+      await waitFor(() => received.length === 2);
+      assert(received[0] === 'before rotation' && received[1] === 'after rotation', 'Should decrypt both');
+      client.close();
+    });
+
+    it('should emit decrypt_error for unknown keys, tampering and plain text', async () => {
+      const frame = await encryptFrame('hello');
+
+      const client = encryptedClient();
+      await client.connect();
+      const errors = [];
+      let received = 0;
+      client.on('error', error => errors.push(error));
+      client.on('message', () => { received++; });
+
+      client.ws.simulateMessage({ ...frame, keyId: 'k9' });
+      // Moved to another room by the relay
+      client.ws.simulateMessage({ ...frame, room: 'other-secret' });
+      client.ws.simulateMessage({ type: 'message', room: 'secret', payload: 'plain' });
+
+      await waitFor(() => errors.length === 3);
+      assert(errors.every(error => error.type === 'decrypt_error'), 'Should emit decrypt_error');
+      assert(errors[0].keyId === 'k9', 'Should report the key ID');
+      assert(received === 0, 'Should drop undecryptable messages');
+      client.close();
+    });
+
+    it('should decrypt replayed messages one by one', async () => {
+      const frame = await encryptFrame('missed');
+
+      const client = encryptedClient();
+      await client.connect();
+      const joinPromise = client.join('secret');
+      const received = [];
+      const errors = [];
+      client.on('message', ({ payload }) => received.push(payload));
+      client.on('error', error => errors.push(error));
+
+      client.ws.simulateMessage({
+        type: 'joined',
+        room: 'secret',
+        messages: [{ id: 'm1', payload: 'garbage', encryption: 'aes-gcm', keyId: 'k1' }, { ...frame, id: 'm2' }],
+      });
+      await joinPromise;
+      assert(received.length === 1 && received[0] === 'missed', 'Should deliver the decryptable message');
+      assert(errors.length === 1 && errors[0].id === 'm1', 'Should report the other one');
+      client.close();
+    });
+
+    it('should never send plain text when encryption fails', async () => {
+      currentKey = 'missing';
+      const client = encryptedClient({ ackMessages: true });
+      await client.connect();
+      let error = null;
+      client.on('error', data => { error = data; });
+
+      try {
+        await client.send('secret', 'hello');
+        assert(false, 'Should reject the send');
+      } catch (sendError) {
+        assert(sendError.message.includes('No encryption key'), 'Should reject with the key error');
+      }
+      assert(error && error.type === 'encrypt_error', 'Should emit encrypt_error');
+      assert(client.ws.sentMessages.length === 0, 'Should not send the message');
+      client.close();
+    });
+
+    it('should compress before encrypting', async () => {
+      const snapshot = { cells: Array.from({ length: 200 }, () => 'same text') };
+      const sender = encryptedClient({ compression: true });
+      await sender.connect();
+      sender.send('secret', snapshot);
+      await waitFor(() => sender.ws.sentMessages.length === 1);
+      const frame = JSON.parse(sender.ws.sentMessages[0]);
+      sender.close();
+      assert(frame.compression === 'deflate' && frame.encryption === 'aes-gcm', 'Should mark both');
+
+      const client = encryptedClient();
+      await client.connect();
+      let received = null;
+      client.on('message', ({ payload }) => { received = payload; });
+      client.ws.simulateMessage(frame);
+      await waitFor(() => received !== null);
+      assert(received.cells.length === 200, 'Should decrypt and decompress');
+      client.close();
+    });
+  });
+
+  describe('validation', () => {
+    // Minimal Standard Schema that trims strings
+    const trimmedText = {
+      '~standard': {
+        version: 1,
+        vendor: 'test',
+        validate: value => (typeof value === 'object' && value !== null && typeof value.text === 'string'
+          ? { value: { text: value.text.trim() } }
+          : { issues: [{ message: 'Expected text', path: ['text'] }] }),
+      },
+    };
+
+    it('should reject invalid outgoing payloads before sending', async () => {
+      await client.connect();
+      client.validate('chat', payload => typeof payload.text === 'string');
+
+      try {
+        client.send('chat', { text: 42 });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.code === 'validation_error', 'Should throw validation_error');
+        assert(error.issues.length === 1, 'Should include the issues');
+      }
+      client.send('other', { text: 42 });
+      assert(client.ws.sentMessages.length === 1, 'Should only send the other room');
+    });
+
+    it('should send the output of Standard Schema validators', async () => {
+      await client.connect();
+      client.validate({ room: 'chat' }, trimmedText);
+
+      client.send('chat', { text: '  hi  ', extra: true });
+      assert(JSON.stringify(JSON.parse(client.ws.sentMessages[0]).payload) === '{"text":"hi"}', 'Should send the output');
+    });
+
+    it('should emit invalid incoming payloads as validation_error', async () => {
+      await client.connect();
+      client.validate('chat', trimmedText);
+      const chat = client.channel('chat');
+      const received = [];
+      const errors = [];
+      chat.on('message', ({ payload }) => received.push(payload));
+      client.on('validation_error', error => errors.push(error));
+
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'not an object' });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: { text: ' ok ' } });
+
+      assert(received.length === 1 && received[0].text === 'ok', 'Should emit valid payloads only');
+      assert(errors.length === 1 && errors[0].room === 'chat', 'Should emit validation_error');
+      assert(errors[0].issues[0].path[0] === 'text', 'Should include schema issues');
+      assert(errors[0].payload === 'not an object', 'Should include the payload');
+    });
+
+    it('should validate by frame type', async () => {
+      await client.connect();
+      client.validate({ type: 'broadcast' }, payload => payload.kind === 'announcement');
+      let broadcasts = 0;
+      let errors = 0;
+      client.on('broadcast', () => { broadcasts++; });
+      client.on('validation_error', () => { errors++; });
+
+      client.ws.simulateMessage({ type: 'broadcast', payload: { kind: 'other' } });
+      client.ws.simulateMessage({ type: 'broadcast', payload: { kind: 'announcement' } });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: { kind: 'other' } });
+      assert(broadcasts === 1 && errors === 1, 'Should only validate broadcasts');
+
+      try {
+        client.broadcast({ kind: 'other' });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.code === 'validation_error', 'Should reject invalid broadcasts');
+      }
+    });
+
+    it('should filter invalid history messages', async () => {
+      await client.connect();
+      client.channel('chat').validate(payload => typeof payload === 'string');
+
+      const page = client.history('chat');
+      const { id } = JSON.parse(client.ws.sentMessages[0]);
+      client.ws.simulateMessage({ type: 'history', id, room: 'chat', messages: [{ payload: 'a' }, { payload: 1 }] });
+
+      const { messages } = await page;
+      assert(messages.length === 1 && messages[0].payload === 'a', 'Should drop invalid messages');
+    });
+
+    it('should stop validating once the validator is removed', async () => {
+      await client.connect();
+      const remove = client.validate('chat', () => false);
+      remove();
+      client.send('chat', 'anything');
+      assert(client.ws.sentMessages.length === 1, 'Should send without validation');
+    });
+
+    it('should reject invalid validators and targets', () => {
+      for (const [target, validator] of [['chat', {}], [{}, () => true]]) {
+        try {
+          client.validate(target, validator);
+          assert(false, 'Should throw error');
+        } catch (error) {
+          assert(/Validator/.test(error.message), 'Should throw validator error');
+        }
+      }
+    });
+  });
+
+  describe('middleware', () => {
+    it('should transform and delay outgoing frames in order', async () => {
+      await client.connect();
+      client.use({
+        outgoing: async (frame) => {
+          if (frame.payload === 'slow') {
+            await new Promise(resolve => setTimeout(resolve, 20));
+          }
+          return { ...frame, tagged: true };
+        },
+      });
+
+      client.send('chat', 'slow');
+      client.send('chat', 'fast');
+      await waitFor(() => client.ws.sentMessages.length === 2);
+
+      const sent = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(sent[0].payload === 'slow' && sent[1].payload === 'fast', 'Should keep frame order');
+      assert(sent.every(frame => frame.tagged), 'Should send transformed frames');
+    });
+
+    it('should drop outgoing frames and fail their acks', async () => {
+      const client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, ackMessages: true });
+      await client.connect();
+      client.use({ outgoing: frame => (frame.payload === 'blocked' ? null : frame) });
+
+      try {
+        await client.send('chat', 'blocked');
+        assert(false, 'Should reject the send');
+      } catch (error) {
+        assert(error.code === 'dropped', 'Should fail with dropped');
+      }
+      assert(client.ws.sentMessages.length === 0, 'Should not send the frame');
+      client.close();
+    });
+
+    it('should transform and drop incoming frames before events', async () => {
+      await client.connect();
+      client.use({
+        incoming: (frame) => {
+          if (frame.payload === 'spam') {
+            return null;
+          }
+          if (frame.type === 'message') {
+            return { ...frame, payload: frame.payload.toUpperCase() };
+          }
+        },
+      });
+
+      const received = [];
+      client.on('message', ({ payload }) => received.push(payload));
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'spam' });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'hello' });
+
+      await waitFor(() => received.length === 1);
+      assert(received[0] === 'HELLO', 'Should emit the transformed frame only');
+    });
+
+    it('should run middleware in order and skip it for its own injected frames', async () => {
+      await client.connect();
+      const seen = [];
+      client.use({
+        outgoing: (frame, { send }) => {
+          seen.push(`first:${frame.payload}`);
+          if (frame.payload === 'original') {
+            send({ type: 'message', room: 'chat', payload: 'injected' });
+          }
+        },
+      });
+      client.use({
+        outgoing: (frame) => {
+          seen.push(`second:${frame.payload}`);
+        },
+      });
+
+      client.send('chat', 'original');
+      await waitFor(() => client.ws.sentMessages.length === 2);
+      assert(
+        seen.join(',') === 'first:original,second:original,second:injected',
+        'Should skip the injecting middleware'
+      );
+    });
+
+    it('should inject incoming and outgoing frames from incoming hooks', async () => {
+      await client.connect();
+      client.use({
+        incoming: (frame, { send, receive }) => {
+          if (frame.type === 'message' && frame.payload === 'ping me') {
+            send({ type: 'receipt', room: frame.room });
+            receive({ type: 'message', room: frame.room, payload: 'local note' });
+          }
+        },
+      });
+
+      const received = [];
+      client.on('message', ({ payload }) => received.push(payload));
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'ping me' });
+
+      await waitFor(() => received.length === 2);
+      assert(received[1] === 'local note', 'Should handle the injected frame after the current one');
+      assert(JSON.parse(client.ws.sentMessages[0]).type === 'receipt', 'Should send the injected frame');
+    });
+
+    it('should report throwing hooks and drop their frames', async () => {
+      await client.connect();
+      let error = null;
+      client.on('error', data => { error = data; });
+      client.use({
+        outgoing: () => {
+          throw new Error('boom');
+        },
+      });
+
+      client.send('chat', 'hello');
+      await waitFor(() => error !== null);
+      assert(error.type === 'middleware_error' && error.direction === 'outgoing', 'Should emit middleware_error');
+      assert(error.frame.payload === 'hello', 'Should report the frame');
+      assert(client.ws.sentMessages.length === 0, 'Should drop the frame');
+    });
+
+    it('should fail the request of a frame that cannot be encoded', async () => {
+      await client.connect();
+      const errors = [];
+      client.on('error', data => errors.push(data.type));
+      client.use({ outgoing: frame => ({ ...frame, count: 1n }) });
+
+      try {
+        await client.join('chat');
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error instanceof TypeError, 'Should reject with the encoding error');
+      }
+      assert(errors.join(',') === 'encode_error', 'Should emit encode_error, not a connection error');
+    });
+
+    it('should stop running removed middleware', async () => {
+      await client.connect();
+      const remove = client.use({ outgoing: frame => ({ ...frame, tagged: true }) });
+      remove();
+
+      client.send('chat', 'hello');
+      assert(client.ws.sentMessages.length === 1, 'Should send synchronously again');
+      assert(!JSON.parse(client.ws.sentMessages[0]).tagged, 'Should not run the middleware');
+    });
+
+    it('should reject middleware without hooks', () => {
+      try {
+        client.use({});
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('outgoing or incoming'), 'Should throw middleware error');
+      }
+    });
+  });
+
+  describe('event listeners', () => {
+    it('should register and call event listeners', async () => {
+      let messageReceived = false;
+      
+      client.on('message', (data) => {
+        messageReceived = true;
+      });
+
+      client.emit('message', { room: 'test', payload: 'test' });
+      
+      assert(messageReceived === true, 'Listener should be called');
+    });
+
+    it('should return unsubscribe function', () => {
+      let callCount = 0;
+      
+      const unsubscribe = client.on('message', () => {
+        callCount++;
+      });
+
+      client.emit('message', {});
+      assert(callCount === 1, 'Should be called once');
+
+      unsubscribe();
+      client.emit('message', {});
+      assert(callCount === 1, 'Should not be called after unsubscribe');
+    });
+
+    it('should call once listeners a single time', () => {
+      let callCount = 0;
+      client.once('joined', () => { callCount++; });
+
+      client.emit('joined', { room: 'a' });
+      client.emit('joined', { room: 'b' });
+      assert(callCount === 1, 'Should be called once');
+      assert(!client.listeners.has('joined'), 'Should remove the listener');
+    });
+
+    it('should resolve the promise form of once()', async () => {
+      const opened = client.once('open');
+      await client.connect();
+      const data = await opened;
+      assert(data.type === 'open', 'Should resolve with the event data');
+    });
+
+    it('should reject the promise form of once() when aborted', async () => {
+      const controller = new AbortController();
+      const waiting = client.once('message', { signal: controller.signal });
+      controller.abort(new Error('gave up'));
+
+      try {
+        await waiting;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message === 'gave up', 'Should reject with the abort reason');
+      }
+      assert(!client.listeners.has('message'), 'Should remove the listener');
+    });
+
+    it('should remove listeners with off()', () => {
+      let callCount = 0;
+      const callback = () => { callCount++; };
+      client.on('message', callback);
+      client.on('joined', callback);
+
+      client.off('message', callback);
+      client.emit('message', {});
+      assert(callCount === 0, 'Should remove the callback');
+
+      client.off('joined');
+      client.emit('joined', {});
+      assert(callCount === 0, 'Should remove every listener of the event');
+    });
+
+    it('should call wildcard listeners with the event name', () => {
+      const all = [];
+      const presence = [];
+      client.on('*', (data, event) => all.push(event));
+      client.on('presence_*', (data, event) => presence.push(event));
+
+      client.emit('joined', { room: 'a' });
+      client.emit('presence_join', { room: 'a' });
+      client.emit('presence_leave', { room: 'a' });
+      assert(all.join(',') === 'joined,presence_join,presence_leave', 'Should match every event');
+      assert(presence.join(',') === 'presence_join,presence_leave', 'Should match the prefix');
+    });
+
+    it('should filter listeners by room', () => {
+      const rooms = [];
+      client.on('message', ({ room }) => rooms.push(room), { room: 'chat' });
+
+      client.emit('message', { room: 'chat' });
+      client.emit('message', { room: 'other' });
+      assert(rooms.length === 1 && rooms[0] === 'chat', 'Should only call for the room');
+    });
+
+    it('should report listener exceptions as listener_error', () => {
+      let error = null;
+      client.on('error', data => { error = data; });
+      client.on('joined', () => {
+        throw new Error('boom');
+      });
+
+      client.emit('joined', { room: 'a' });
+      assert(error.type === 'listener_error' && error.event === 'joined', 'Should emit listener_error');
+      assert(error.error.message === 'boom', 'Should include the error');
+    });
+  });
+
+  describe('message iterators', () => {
+    it('should iterate over the messages of a room', async () => {
+      await client.connect();
+      const iterator = client.messages('chat');
+
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 1 });
+      client.ws.simulateMessage({ type: 'message', room: 'other', payload: 'x' });
+      setTimeout(() => client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 2 }), 5);
+
+      const payloads = [];
+      for await (const message of iterator) {
+        payloads.push(message.payload);
+        if (payloads.length === 2) {
+          break;
+        }
+      }
+      assert(payloads.join(',') === '1,2', 'Should yield the room messages in order');
+      assert(!client.listeners.has('message'), 'Should unsubscribe when the loop exits');
+    });
+
+    it('should drop the oldest buffered messages by default', async () => {
+      await client.connect();
+      const iterator = client.messages('chat', { bufferSize: 2 });
+      for (const payload of [1, 2, 3]) {
+        client.ws.simulateMessage({ type: 'message', room: 'chat', payload });
+      }
+
+      const first = await iterator.next();
+      assert(first.value.payload === 2, 'Should drop the oldest message');
+      assert(iterator.dropped === 1, 'Should count dropped messages');
+      await iterator.return();
+    });
+
+    it('should throw after the buffer with the reject policy', async () => {
+      await client.connect();
+      const iterator = client.messages('chat', { bufferSize: 1, overflow: 'reject' });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 1 });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 2 });
+
+      assert((await iterator.next()).value.payload === 1, 'Should deliver buffered messages first');
+      try {
+        await iterator.next();
+        assert(false, 'Should throw');
+      } catch (error) {
+        assert(error.code === 'buffer_full', 'Should throw buffer_full');
+      }
+      assert((await iterator.next()).done, 'Should be done after the error');
+    });
+
+    it('should stop when the signal is aborted', async () => {
+      await client.connect();
+      const controller = new AbortController();
+      const iterator = client.messages('chat', { signal: controller.signal });
+
+      const pending = iterator.next();
+      controller.abort(new Error('stop'));
+      try {
+        await pending;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message === 'stop', 'Should reject with the abort reason');
+      }
+      assert(!client.listeners.has('message'), 'Should unsubscribe');
+    });
+
+    it('should finish when the client is closed', async () => {
+      await client.connect();
+      const iterator = client.messages('chat');
+      const pending = iterator.next();
+      client.close();
+      assert((await pending).done, 'Should finish the iteration');
+    });
+  });
+
+  describe('connectivity', () => {
+    let connectivity;
+
+    const connectedClient = async (config = {}) => {
+      connectivity = new ManualConnectivity();
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        reconnectStrategy: 'fixed',
+        reconnectDelay: 5,
+        connectivity,
+        ...config,
+      });
+      await client.connect();
+    };
+
+    it('should not spend reconnect attempts while offline', async () => {
+      await connectedClient({ maxReconnectAttempts: 2 });
+      const events = [];
+      client.on('reconnect_attempt', () => events.push('attempt'));
+      client.on('reconnect_failed', () => events.push('failed'));
+
+      connectivity.setOnline(false);
+      client.ws.close(1006);
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      assert(events.length === 0, 'Should not attempt to reconnect');
+      assert(client.reconnectTimer === null, 'Should not schedule a reconnect');
+      assert(client.reconnectAttempts === 0, 'Should keep all attempts');
+    });
+
+    it('should reconnect as soon as the network returns', async () => {
+      await connectedClient({ reconnectDelay: 10000 });
+      const network = [];
+      client.on('network', ({ online }) => network.push(online));
+
+      client.ws.close(1006);
+      assert(client.reconnectTimer !== null, 'Should schedule a reconnect');
+      connectivity.setOnline(false);
+      assert(client.reconnectTimer === null, 'Should cancel the pending reconnect');
+
+      connectivity.setOnline(true);
+      await waitFor(() => client.isConnected);
+      assert(network.join(',') === 'false,true', 'Should emit network events');
+    });
+
+    it('should stay connected when the network comes back', async () => {
+      await connectedClient();
+      const socket = client.ws;
+      connectivity.setOnline(false);
+      connectivity.setOnline(true);
+
+      assert(client.ws === socket, 'Should keep the open socket');
+    });
+
+    it('should disconnect after the background timeout and resume when visible', async () => {
+      await connectedClient({ backgroundTimeout: 10 });
+      client.rooms.add('chat');
+      const channel = client.channel('chat');
+      channel.setStatus('joined');
+
+      let suspended = false;
+      client.on('suspended', () => { suspended = true; });
+      connectivity.setVisible(false);
+      await waitFor(() => suspended);
+
+      assert(!client.isConnected, 'Should disconnect');
+      assert(channel.status === 'joining', 'Channels should wait to re-join');
+      await new Promise(resolve => setTimeout(resolve, 20));
+      assert(!client.isConnecting && client.reconnectTimer === null, 'Should not reconnect while hidden');
+
+      connectivity.setVisible(true);
+      await waitFor(() => client.isConnected);
+      const join = client.ws.sentMessages.map(data => JSON.parse(data)).find(frame => frame.type === 'join');
+      assert(join && join.room === 'chat', 'Should re-join rooms');
+    });
+
+    it('should start the background timeout when connecting from a hidden page', async () => {
+      connectivity = new ManualConnectivity({ visible: false });
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, backgroundTimeout: 30, connectivity });
+      let suspended = false;
+      client.on('suspended', () => { suspended = true; });
+      await client.connect();
+      await waitFor(() => suspended);
+
+      assert(!client.isConnected, 'Should disconnect');
+      connectivity.setVisible(true);
+      await waitFor(() => client.isConnected);
+    });
+
+    it('should stay connected when the page is visible again in time', async () => {
+      await connectedClient({ backgroundTimeout: 30 });
+      connectivity.setVisible(false);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      connectivity.setVisible(true);
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      assert(client.isConnected, 'Should stay connected');
+    });
+
+    it('should stop following connectivity on close', async () => {
+      await connectedClient();
+      client.close();
+      assert(connectivity.listeners.size === 0, 'Should unsubscribe');
+    });
+  });
+
+  describe('stats', () => {
+    it('should count frames and bytes per room', async () => {
+      await client.connect();
+      client.send('chat', 'héllo');
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: 'hi' });
+      client.ws.simulateMessage({ type: 'broadcast', payload: 'all' });
+
+      const stats = client.getStats();
+      const sent = client.ws.sentMessages[0];
+      assert(stats.frames.sent === 1 && stats.frames.received === 2, 'Should count frames');
+      assert(stats.bytes.sent === Buffer.byteLength(sent), 'Should count UTF-8 bytes');
+      assert(stats.rooms.chat.frames.sent === 1 && stats.rooms.chat.frames.received === 1, 'Should count room frames');
+      assert(stats.rooms.chat.bytes.sent === stats.bytes.sent, 'Should count room bytes');
+    });
+
+    it('should measure join latency', async () => {
+      await client.connect();
+      const joinPromise = client.join('chat');
+      const { id } = JSON.parse(client.ws.sentMessages[0]);
+      await new Promise(resolve => setTimeout(resolve, 15));
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id });
+      await joinPromise;
+
+      const { joinLatency, rooms } = client.getStats();
+      assert(joinLatency.count === 1 && joinLatency.last >= 10, 'Should record the latency');
+      assert(joinLatency.average === joinLatency.last, 'Should average the latencies');
+      assert(rooms.chat.joinLatency === joinLatency.last, 'Should record the room latency');
+    });
+
+    it('should count connections and time connected', async () => {
+      assert(client.getStats().joinLatency.average === null, 'Should have no latency before a join');
+      await client.connect();
+      await new Promise(resolve => setTimeout(resolve, 15));
+      await client.reconnect();
+
+      const stats = client.getStats();
+      assert(stats.connects === 2 && stats.reconnects === 1, 'Should count reconnects');
+      assert(stats.connectedTime >= 10, 'Should add up time connected');
+    });
+
+    it('should report queue depth', () => {
+      client.send('chat', 'queued');
+      client.send('chat', 'queued');
+      assert(client.getStats().queueDepth === 2, 'Should report queued frames');
+    });
+  });
+
+  describe('instrumentation', () => {
+    it('should call hooks at connect, join, send, receive and error points', async () => {
+      const calls = [];
+      const remove = client.instrument({
+        connect: ({ transport }) => {
+          calls.push(`connect:${transport}`);
+          return ({ error }) => calls.push(`connected:${!error}`);
+        },
+        join: ({ room }) => ({ latency }) => calls.push(`joined:${room}:${latency >= 0}`),
+        send: ({ type, bytes }) => calls.push(`send:${type}:${bytes > 0}`),
+        receive: ({ type }) => calls.push(`receive:${type}`),
+        error: ({ type }) => calls.push(`error:${type}`),
+      });
+
+      await client.connect();
+      const joinPromise = client.join('chat');
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', id: JSON.parse(client.ws.sentMessages[0]).id });
+      await joinPromise;
+      client.ws.onmessage({ data: 'not json' });
+
+      assert(
+        calls.join(',') === 'connect:websocket,connected:true,send:join:true,receive:joined,joined:chat:true,receive:undefined,error:parse_error',
+        `Unexpected calls: ${calls.join(',')}`
+      );
+
+      remove();
+      client.send('chat', 'hi');
+      assert(!calls.includes('send:message:true'), 'Should stop calling removed hooks');
+    });
+
+    it('should end connect hooks with the error of a failed attempt', async () => {
+      const results = [];
+      client.autoReconnect = false;
+      client.instrument({ connect: () => result => results.push(result) });
+      MockWebSocket.failConnections = true;
+
+      await client.connect().catch(() => {});
+      assert(results.length === 1 && results[0].error, 'Should pass the error');
+    });
+
+    it('should report hook errors without breaking the client', async () => {
+      const errors = [];
+      client.on('error', error => errors.push(error));
+      client.instrument({ send: () => { throw new Error('boom'); } });
+
+      await client.connect();
+      client.send('chat', 'hi');
+      assert(client.ws.sentMessages.length === 1, 'Should still send');
+      assert(errors[0].type === 'instrumentation_error' && errors[0].hook === 'send', 'Should emit instrumentation_error');
+    });
+
+    it('should accept hooks in the config', async () => {
+      let connects = 0;
+      const client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        instrumentation: [{ connect: () => { connects++; } }],
+      });
+      await client.connect();
+      client.close();
+      assert(connects === 1, 'Should call config hooks');
+    });
+
+    it('should report spans and metrics to OpenTelemetry', async () => {
+      const spans = [];
+      const metrics = [];
+      const tracer = {
+        startSpan: (name, { attributes }) => {
+          const span = { name, attributes, ended: false, exceptions: [] };
+          spans.push(span);
+          return {
+            setStatus: (status) => { span.status = status.code; },
+            recordException: (error) => span.exceptions.push(error),
+            end: () => { span.ended = true; },
+          };
+        },
+      };
+      const instrument = kind => name => ({
+        [kind === 'counter' ? 'add' : 'record']: (value, attributes) => metrics.push({ name, value, attributes }),
+      });
+      const meter = { createCounter: instrument('counter'), createHistogram: instrument('histogram') };
+      client.instrument(openTelemetryInstrumentation({ tracer, meter }));
+
+      await client.connect();
+      const joinPromise = client.join('chat');
+      const { id } = JSON.parse(client.ws.sentMessages[0]);
+      client.ws.simulateMessage({ type: 'error', id, message: 'Forbidden' });
+      await joinPromise.catch(() => {});
+
+      assert(spans[0].name === 'socket_base.connect' && spans[0].ended && spans[0].status === 1, 'Should end the connect span');
+      assert(spans[1].name === 'socket_base.join' && spans[1].attributes['socket_base.room'] === 'chat', 'Should start a join span');
+      assert(spans[1].status === 2 && spans[1].exceptions[0].message === 'Forbidden', 'Should record the join error');
+
+      const names = metrics.map(metric => metric.name);
+      assert(names.includes('socket_base.frames.sent') && names.includes('socket_base.bytes.received'), 'Should count frames and bytes');
+      const errors = metrics.find(metric => metric.name === 'socket_base.errors');
+      assert(errors.attributes['socket_base.error_type'] === 'server_error', 'Should count errors by type');
+    });
+  });
+
+  describe('logging', () => {
+    let entries;
+
+    const recordingLogger = () => {
+      entries = [];
+      const logger = {};
+      for (const level of ['debug', 'info', 'warn', 'error']) {
+        logger[level] = (message, fields) => entries.push({ level, message, fields });
+      }
+      return logger;
+    };
+
+    it('should be silent by default', async () => {
+      const original = console.error;
+      const logged = [];
+      console.error = (...args) => logged.push(args);
+      try {
+        await client.connect();
+        client.on('open', () => { throw new Error('listener failed'); });
+        client.emit('open', {});
+      } finally {
+        console.error = original;
+      }
+      assert(logged.length === 0, 'Should not write to the console');
+    });
+
+    it('should log the connection lifecycle at the configured level', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, logger: recordingLogger() });
+      await client.connect();
+      client.send('chat', 'hi');
+      client.close();
+
+      const messages = entries.map(entry => `${entry.level}:${entry.message}`);
+      assert(messages[0] === 'info:Connecting' && messages[1] === 'info:Connected', 'Should log connecting and connected');
+      assert(messages.includes('info:Closing the client'), 'Should log close');
+      assert(!entries.some(entry => entry.level === 'debug'), 'Should skip debug messages');
+    });
+
+    it('should log frames with redacted payloads', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, logger: recordingLogger(), logLevel: 'debug' });
+      await client.connect();
+      client.send('chat', { card: '4111' });
+      client.ws.simulateMessage({ type: 'joined', room: 'chat', messages: [{ payload: 'secret' }] });
+
+      const sent = entries.find(entry => entry.message === 'Frame sent');
+      const received = entries.find(entry => entry.message === 'Frame received');
+      assert(sent.fields.frame.payload === '[redacted]' && sent.fields.bytes > 0, 'Should redact sent payloads');
+      assert(received.fields.frame.messages[0].payload === '[redacted]', 'Should redact replayed payloads');
+    });
+
+    it('should log payloads with a custom redaction', async () => {
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        logger: recordingLogger(),
+        logLevel: 'debug',
+        logRedact: frame => ({ ...frame, payload: frame.payload && { text: frame.payload.text } }),
+      });
+      await client.connect();
+      client.send('chat', { text: 'hi', token: 'secret' });
+
+      const sent = entries.find(entry => entry.message === 'Frame sent');
+      assert(sent.fields.frame.payload.text === 'hi' && !sent.fields.frame.payload.token, 'Should use the custom redaction');
+    });
+
+    it('should log reconnect decisions, queue activity and errors', async () => {
+      const connectivity = new ManualConnectivity();
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        logger: recordingLogger(),
+        logLevel: 'debug',
+        connectivity,
+        maxQueueSize: 1,
+      });
+      await client.connect();
+      connectivity.setOnline(false);
+      client.ws.close(1006, 'Network lost');
+      client.send('chat', 'first');
+      client.send('chat', 'second');
+      client.ws = null;
+      client.receiveFrame('not json');
+
+      const messages = entries.map(entry => `${entry.level}:${entry.message}`);
+      assert(messages.includes('warn:Connection closed'), 'Should log the close');
+      assert(messages.includes('info:Offline, waiting for the network before reconnecting'), 'Should log the reconnect decision');
+      assert(messages.includes('debug:Frame queued') && messages.includes('warn:Queued frame dropped'), 'Should log queue activity');
+      const error = entries.find(entry => entry.level === 'error');
+      assert(error.message === 'Client error: parse_error' && !('raw' in error.fields), 'Should log errors without raw frames');
+    });
+
+    it('should log listener errors instead of writing to the console', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, logger: recordingLogger() });
+      client.on('open', () => { throw new Error('listener failed'); });
+      await client.connect();
+
+      const entry = entries.find(entry => entry.message === 'Error in event listener');
+      assert(entry && entry.fields.event === 'open' && entry.fields.error.message === 'listener failed', 'Should log the listener error');
+    });
+
+    it('should reject unknown levels and incomplete loggers', () => {
+      for (const config of [{ logger: console, logLevel: 'verbose' }, { logger: { error() {} } }]) {
+        try {
+          createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, ...config });
+          assert(false, 'Should throw error');
+        } catch (error) {
+          assert(/log level|Logger must/.test(error.message), 'Should throw logger error');
+        }
+      }
+    });
+
+    it('should adapt console, pino and winston loggers', () => {
+      const calls = [];
+      const error = new Error('boom');
+
+      const target = { debug() {}, info() {}, warn() {}, error: (...args) => calls.push(['console', ...args]) };
+      consoleLogger(target).error('Failed', { error });
+
+      const pino = { debug() {}, info() {}, warn: (...args) => calls.push(['pino', ...args]), error() {} };
+      pinoLogger(pino).warn('Failed', { room: 'chat', error });
+
+      const winston = { log: (...args) => calls.push(['winston', ...args]) };
+      winstonLogger(winston).info('Connected', { transport: 'websocket' });
+
+      assert(calls[0][1] === '[socket-base] Failed' && calls[0][2].error === error, 'Should prefix console messages');
+      assert(calls[1][1].room === 'chat' && calls[1][1].err === error && calls[1][2] === 'Failed', 'Should pass fields first to pino');
+      assert(calls[2][1] === 'info' && calls[2][2] === 'Connected' && calls[2][3].transport === 'websocket', 'Should pass the level to winston');
+    });
+  });
+
+  describe('rate limiting', () => {
+    const sent = () => client.ws.sentMessages.map(data => JSON.parse(data));
+
+    it('should queue messages over the limit and send them when tokens refill', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, rateLimit: { rate: 2, interval: 50 } });
+      await client.connect();
+
+      ['a', 'b', 'c', 'd'].forEach(payload => client.send('chat', payload));
+      assert(sent().length === 2, 'Should send the burst immediately');
+      assert(client.getStats().queueDepth === 2, 'Should queue the rest');
+
+      await waitFor(() => sent().length === 4);
+      assert(sent().map(frame => frame.payload).join('') === 'abcd', 'Should keep order');
+    });
+
+    it('should throw when the overflow policy is reject', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, rateLimit: { rate: 1, overflow: 'reject' } });
+      await client.connect();
+
+      client.send('chat', 'first');
+      try {
+        client.send('chat', 'second');
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.code === 'rate_limited', 'Should throw a rate_limited error');
+      }
+      client.join('lobby');
+      assert(sent().map(frame => frame.type).join(',') === 'message,join', 'Should not limit other frames');
+    });
+
+    it('should drop messages per room and fail their delivery', async () => {
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        ackMessages: true,
+        rateLimit: { perRoom: { rate: 1, interval: 60000 }, overflow: 'drop' },
+      });
+      await client.connect();
+      const dropped = [];
+      client.on('rate_limited', ({ frame }) => dropped.push(frame.payload));
+
+      client.send('chat', 'first');
+      try {
+        await client.send('chat', 'second');
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'rate_limited', 'Should reject with a rate_limited error');
+      }
+      client.send('news', 'third');
+
+      assert(dropped.join(',') === 'second', 'Should emit rate_limited');
+      assert(sent().map(frame => frame.payload).join(',') === 'first,third', 'Should limit each room separately');
+    });
+
+    it('should pace messages queued while disconnected', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, rateLimit: { rate: 1, interval: 60000 } });
+      client.send('chat', 'first');
+      client.send('chat', 'second');
+      await waitFor(() => client.getConnectionStatus());
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      assert(sent().length === 1, 'Should not burst the queue on connect');
+      assert(client.getStats().queueDepth === 1, 'Should keep the rest queued');
+    });
+
+    it('should drop messages over the limit behind queued ones', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, rateLimit: { rate: 1, interval: 60000, overflow: 'drop' } });
+      const dropped = [];
+      client.on('rate_limited', ({ frame }) => dropped.push(frame.payload));
+      client.send('chat', 'first');
+      client.send('chat', 'second');
+      await waitFor(() => client.getConnectionStatus());
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      client.send('chat', 'third');
+      assert(dropped.join(',') === 'third', 'Should drop the new message');
+      assert(client.getStats().queueDepth === 1, 'Should keep pacing the queued message');
+    });
+
+    it('should keep tokens when the clock steps back', () => {
+      const now = Date.now;
+      try {
+        Date.now = () => 100000;
+        const bucket = new TokenBucket({ rate: 1, interval: 1000 });
+        Date.now = () => 40000;
+        assert(bucket.hasToken(Date.now()), 'Should keep the token after stepping back');
+        bucket.take();
+        Date.now = () => 101000;
+        assert(bucket.hasToken(Date.now()), 'Should refill from the latest time seen');
+      } finally {
+        Date.now = now;
+      }
+    });
+
+    it('should reject invalid options', () => {
+      for (const rateLimit of [{ overflow: 'queue' }, { rate: 0 }, { rate: 1, overflow: 'wait' }]) {
+        try {
+          createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, rateLimit });
+          assert(false, 'Should throw error');
+        } catch (error) {
+          assert(/Rate limit|overflow/.test(error.message), 'Should throw a rate limit error');
+        }
+      }
+    });
+  });
+
+  describe('batching', () => {
+    const sent = () => client.ws.sentMessages.map(data => JSON.parse(data));
+
+    it('should coalesce rapid sends into one frame per room', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, batchWindow: 10 });
+      await client.connect();
+
+      client.send('chat', 'a');
+      client.send('chat', 'b');
+      client.send('news', 'c');
+      assert(sent().length === 0, 'Should wait for the batch window');
+
+      await waitFor(() => sent().length === 2);
+      const [chat, news] = sent();
+      assert(chat.batch === true && chat.payload.join('') === 'ab', 'Should batch the chat messages');
+      assert(news.batch === undefined && news.payload === 'c', 'Should send a single message as is');
+    });
+
+    it('should send pending batches before other frames', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, batchWindow: 1000, maxBatchSize: 3 });
+      await client.connect();
+
+      client.send('chat', 'a');
+      client.send('chat', 'b');
+      client.leave('chat').catch(() => {});
+      ['c', 'd', 'e'].forEach(payload => client.broadcast(payload));
+
+      const frames = sent();
+      assert(frames.map(frame => frame.type).join(',') === 'message,leave,broadcast', 'Should keep frame order');
+      assert(frames[2].payload.join('') === 'cde', 'Should send a full batch immediately');
+    });
+
+    it('should not batch acknowledged messages', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, batchWindow: 1000, ackMessages: true });
+      await client.connect();
+
+      client.send('chat', 'a').catch(() => {});
+      client.send('chat', 'b').catch(() => {});
+      assert(sent().length === 2 && sent().every(frame => frame.id !== undefined), 'Should send each message with an ID');
+    });
+
+    it('should unpack received batches into message events', async () => {
+      await client.connect();
+      const messages = [];
+      const broadcasts = [];
+      client.on('message', ({ room, payload, id }) => messages.push(`${room}:${payload}:${id}`));
+      client.on('broadcast', ({ payload }) => broadcasts.push(payload));
+
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: ['a', 'b'], batch: true, id: '7' });
+      client.ws.simulateMessage({ type: 'broadcast', payload: ['c', 'd'], batch: true });
+      client.ws.simulateMessage({ type: 'message', room: 'chat', payload: ['a', 'b'], batch: true, id: '7', replayed: true });
+
+      assert(messages.join(',') === 'chat:a:7,chat:b:7', 'Should emit each message once');
+      assert(broadcasts.join(',') === 'c,d', 'Should emit each broadcast');
+    });
+  });
+
+  describe('request/response', () => {
+    let server;
+
+    // Relay the messages a client sent since the last call to the other client
+    const relay = (from, to) => {
+      const frames = from.ws.sentMessages.splice(0).map(data => JSON.parse(data));
+      frames.filter(frame => frame.type === 'message').forEach(frame => to.ws.simulateMessage({ ...frame, from: 'peer' }));
+      return frames;
+    };
+
+    beforeEach(async () => {
+      server = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false });
+      await Promise.all([client.connect(), server.connect()]);
+    });
+
+    afterEach(() => {
+      server.close();
+    });
+
+    it('should resolve with the handler result', async () => {
+      let context;
+      server.handle('calc', 'add', ({ a, b }, ctx) => {
+        context = ctx;
+        return a + b;
+      });
+
+      const promise = client.request('calc', 'add', { a: 2, b: 3 });
+      relay(client, server);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      relay(server, client);
+
+      assert(await promise === 5, 'Should resolve with the result');
+      assert(context.room === 'calc' && context.method === 'add' && context.from === 'peer', 'Should pass the context');
+    });
+
+    it('should reject with the remote error', async () => {
+      server.handle('calc', 'divide', ({ a, b }) => {
+        if (b === 0) {
+          const error = new Error('Division by zero');
+          error.code = 'bad_params';
+          error.data = { param: 'b' };
+          throw error;
+        }
+        return a / b;
+      });
+
+      const promise = client.request('calc', 'divide', { a: 1, b: 0 });
+      relay(client, server);
+      await new Promise(resolve => setTimeout(resolve, 0));
+      relay(server, client);
+
+      try {
+        await promise;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.message === 'Division by zero', 'Should keep the message');
+        assert(error.code === 'bad_params' && error.data.param === 'b', 'Should keep the code and data');
+      }
+    });
+
+    it('should settle with the first response and hide RPC messages', async () => {
+      const messages = [];
+      client.on('message', data => messages.push(data));
+
+      const promise = client.request('calc', 'ping', null);
+      const [request] = client.ws.sentMessages.map(data => JSON.parse(data));
+      const id = request.payload.$rpc === 'request' && request.payload.id;
+      client.ws.simulateMessage({ type: 'message', room: 'calc', payload: { $rpc: 'response', id, result: 'first' } });
+      client.ws.simulateMessage({ type: 'message', room: 'calc', payload: { $rpc: 'response', id, result: 'second' } });
+      client.ws.simulateMessage({ type: 'message', room: 'calc', payload: { $rpc: 'response', id: 'other', result: 'x' } });
+
+      assert(await promise === 'first', 'Should resolve with the first response');
+      assert(messages.length === 0, 'Should not emit RPC messages');
+    });
+
+    it('should time out and cancel the handler', async () => {
+      let signal;
+      server.handle('calc', 'slow', (params, context) => {
+        signal = context.signal;
+        return new Promise(() => {});
+      });
+
+      const promise = client.request('calc', 'slow', null, { timeout: 20 });
+      relay(client, server);
+      try {
+        await promise;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'timeout', 'Should reject with a timeout error');
+      }
+
+      const [cancel] = relay(client, server);
+      assert(cancel.payload.$rpc === 'cancel', 'Should send a cancel message');
+      assert(signal.aborted, 'Should abort the handler signal');
+    });
+
+    it('should reject pending calls when the connection drops', async () => {
+      const promise = client.request('calc', 'add', { a: 1, b: 1 }, { timeout: 0 });
+      client.ws.close(1006);
+
+      try {
+        await promise;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'disconnected', 'Should reject with a disconnected error');
+      }
+    });
+
+    it('should register one handler per method and room', () => {
+      const remove = server.handle('calc', 'add', () => 0);
+      try {
+        server.handle('calc', 'add', () => 1);
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(/already registered/.test(error.message), 'Should reject a second handler');
+      }
+      remove();
+      server.handle('calc', 'add', () => 1);
+    });
+  });
+
+  describe('connection state', () => {
+    it('should move through the connection states', async () => {
+      client.reconnectDelay = 10;
+      const states = [client.getState()];
+      client.on('statechange', ({ state }) => states.push(state));
+
+      await client.connect();
+      client.ws.close(1006);
+      await waitFor(() => client.getState() === 'open');
+      client.close();
+
+      assert(
+        states.join(',') === 'idle,connecting,open,reconnecting,connecting,open,closing,closed',
+        `Unexpected states: ${states.join(',')}`
+      );
+    });
+
+    it('should not open a second socket while connecting or open', async () => {
+      let sockets = 0;
+      class CountingWebSocket extends MockWebSocket {
+        constructor(url) {
+          super(url);
+          sockets++;
+        }
+      }
+      client.WebSocket = CountingWebSocket;
+
+      const first = client.connect();
+      const second = client.connect();
+      await Promise.all([first, second]);
+      await client.connect();
+
+      assert(sockets === 1, `Should open one socket, opened ${sockets}`);
+      assert(client.getState() === 'open', 'Should be open');
+    });
+
+    it('should keep rooms and listeners across disconnect() and connect()', async () => {
+      await client.connect();
+      setTimeout(() => client.ws.simulateMessage({ type: 'joined', room: 'test-room' }), 20);
+      await client.join('test-room');
+
+      const received = [];
+      const closes = [];
+      client.on('message', ({ payload }) => received.push(payload));
+      client.on('close', ({ reason }) => closes.push(reason));
+
+      client.disconnect();
+      assert(client.getState() === 'closed', 'Should be closed');
+      assert(closes.join(',') === 'Client disconnected', 'Should emit close');
+      assert(client.getRooms().join(',') === 'test-room', 'Should keep the room');
+
+      client.send('test-room', 'queued');
+      assert(client.ws === null && client.queue.length === 1, 'Should queue without reconnecting');
+
+      await client.connect();
+      const join = JSON.parse(client.ws.sentMessages[0]);
+      assert(join.type === 'join' && join.room === 'test-room', 'Should re-join the room');
+      client.ws.simulateMessage({ type: 'joined', room: 'test-room', id: join.id });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      const sent = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(sent.some(msg => msg.type === 'message' && msg.payload === 'queued'), 'Should send the queued message');
+
+      client.ws.simulateMessage({ type: 'message', room: 'test-room', payload: 'hello' });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      assert(received.join(',') === 'hello', 'Should keep the listener');
+    });
+
+    it('should reject connect() when disconnect() is called while connecting', async () => {
+      const whileResolvingToken = client.connect().then(() => null, error => error);
+      client.disconnect();
+
+      const whileOpening = client.connect().then(() => null, error => error);
+      await waitFor(() => client.ws !== null);
+      client.disconnect();
+
+      for (const error of await Promise.all([whileResolvingToken, whileOpening])) {
+        assert(error && error.code === 'disconnected', 'Should reject with a disconnected error');
+      }
+      assert(client.getState() === 'closed' && client.ws === null, 'Should stay disconnected');
+    });
+
+    it('should send in-flight requests again after disconnect() and reject them on close()', async () => {
+      await client.connect();
+      const join = client.join('test-room');
+      const history = client.history('other-room');
+      const [joinFrame] = client.ws.sentMessages.map(data => JSON.parse(data));
+
+      client.disconnect();
+      await client.connect();
+      const sent = client.ws.sentMessages.map(data => JSON.parse(data));
+      assert(sent.some(msg => msg.type === 'join' && msg.id === joinFrame.id), 'Should send the join again');
+
+      client.ws.simulateMessage({ type: 'joined', room: 'test-room', id: joinFrame.id });
+      const result = await join;
+      assert(result.success === true, 'Should resolve the join');
+
+      client.close();
+      try {
+        await history;
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.code === 'disconnected', 'Should reject pending requests on close');
+      }
+    });
+
+    it('should end in failed after giving up reconnecting', async () => {
+      client.reconnectDelay = 5;
+      client.maxReconnectAttempts = 1;
+      await client.connect();
+
+      MockWebSocket.failConnections = true;
+      client.ws.close(1006);
+      await waitFor(() => client.getState() === 'failed');
+
+      MockWebSocket.failConnections = false;
+      await client.connect();
+      assert(client.getState() === 'open', 'Should connect again from failed');
+    });
+  });
+
+  describe('close', () => {
+    it('should close the connection', async () => {
+      await client.connect();
+      assert(client.isConnected === true, 'Should be connected');
+      
+      client.close();
+      
+      assert(client.isConnected === false, 'Should be disconnected');
+    });
+
+    it('should disable auto-reconnect on close', async () => {
+      await client.connect();
+      client.close();
+      
+      assert(client.autoReconnect === false, 'Auto-reconnect should be disabled');
+    });
+  });
+
+  describe('getConnectionStatus', () => {
+    it('should return false when not connected', () => {
+      assert(client.getConnectionStatus() === false, 'Should return false');
+    });
+
+    it('should return true when connected', async () => {
+      await client.connect();
+      assert(client.getConnectionStatus() === true, 'Should return true');
+    });
+  });
+});
+
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
 
 // Simple assertion function
 function assert(condition, message) {
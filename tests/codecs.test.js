@@ -0,0 +1,116 @@
+/**
+ * Tests for wire codecs
+ * 
+ * Run with: npm test
+ */
+
+import { jsonCodec, msgpackCodec, cborCodec, resolveCodec } from '../lib/codecs.js';
+import { describe, it } from './test-runner.js';
+
+const frame = {
+  type: 'message',
+  room: 'chat',
+  payload: {
+    text: 'Héllo 👋',
+    long: 'x'.repeat(300),
+    count: 42,
+    negative: -300,
+    big: 2 ** 40,
+    ratio: 0.25,
+    flags: [true, false, null],
+    nested: { list: Array.from({ length: 20 }, (_, i) => i - 10) },
+    skipped: undefined,
+  },
+};
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+describe('Codecs', () => {
+  describe('resolveCodec', () => {
+    it('should resolve built-in codecs by name', () => {
+      assert(resolveCodec() === jsonCodec, 'Should default to JSON');
+      assert(resolveCodec('msgpack') === msgpackCodec, 'Should resolve msgpack');
+      assert(resolveCodec('cbor') === cborCodec, 'Should resolve cbor');
+    });
+
+    it('should accept custom codecs', () => {
+      const codec = { name: 'custom', encode: String, decode: String };
+      assert(resolveCodec(codec) === codec, 'Should return the custom codec');
+    });
+
+    it('should throw on unknown or invalid codecs', () => {
+      for (const codec of ['yaml', { encode: String }]) {
+        try {
+          resolveCodec(codec);
+          assert(false, 'Should throw error');
+        } catch (error) {
+          assert(error.message.includes('odec'), 'Should throw codec error');
+        }
+      }
+    });
+  });
+
+  for (const codec of [jsonCodec, msgpackCodec, cborCodec]) {
+    describe(codec.name, () => {
+      it('should round-trip a frame', () => {
+        const decoded = codec.decode(codec.encode(frame));
+        assert(
+          JSON.stringify(decoded) === JSON.stringify(frame),
+          `Round trip should match: ${JSON.stringify(decoded)}`
+        );
+        assert(!('skipped' in decoded.payload), 'Undefined fields should be skipped');
+      });
+
+      it('should throw on truncated frames', () => {
+        const encoded = codec.encode(frame);
+        try {
+          codec.decode(encoded.slice(0, encoded.length - 3));
+          assert(false, 'Should throw error');
+        } catch (error) {
+          assert(error instanceof Error, 'Should throw an error');
+        }
+      });
+    });
+  }
+
+  describe('binary codecs', () => {
+    it('should encode MessagePack per spec', () => {
+      const encoded = msgpackCodec.encode({ a: 1, b: [true, null], c: -1 });
+      assert(bytesToHex(encoded) === '83a16101a16292c3c0a163ff', `Unexpected bytes: ${bytesToHex(encoded)}`);
+    });
+
+    it('should encode CBOR per spec', () => {
+      const encoded = cborCodec.encode({ a: 1, b: [true, null], c: -1 });
+      assert(bytesToHex(encoded) === 'a3616101616282f5f6616320', `Unexpected bytes: ${bytesToHex(encoded)}`);
+    });
+
+    it('should decode CBOR half-precision floats', () => {
+      assert(cborCodec.decode(new Uint8Array([0xf9, 0x3e, 0x00])) === 1.5, 'Should decode 1.5');
+    });
+
+    it('should round-trip binary payloads', () => {
+      const bytes = new Uint8Array([0, 1, 2, 255]);
+      for (const codec of [msgpackCodec, cborCodec]) {
+        const decoded = codec.decode(codec.encode({ payload: bytes.buffer }));
+        assert(decoded.payload instanceof Uint8Array, `${codec.name} should decode a Uint8Array`);
+        assert(bytesToHex(decoded.payload) === '000102ff', `${codec.name} should keep the bytes`);
+      }
+    });
+
+    it('should not let map keys replace the prototype', () => {
+      const encoded = msgpackCodec.encode(JSON.parse('{"__proto__": {"polluted": true}}'));
+      const decoded = msgpackCodec.decode(encoded);
+      assert(Object.getPrototypeOf(decoded) === Object.prototype, 'Prototype should not be replaced');
+      assert(Object.keys(decoded).includes('__proto__'), 'Key should be an own property');
+    });
+  });
+});
+
+// Simple assertion function
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
@@ -5,6 +5,11 @@
 
 import { run } from './test-runner.js';
 import './client.test.js';
+import './queue.test.js';
+import './codecs.test.js';
+import './transport.test.js';
+import './shared.test.js';
+import './testing.test.js';
 
 // Run all tests
 run();
@@ -0,0 +1,165 @@
+/**
+ * Tests for the outbound queue and storage adapters
+ * 
+ * Run with: npm test
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { OutboundQueue } from '../lib/queue.js';
+import { MemoryStorage, WebStorage } from '../lib/storage.js';
+import { FileStorage } from '../lib/file-storage.js';
+import { describe, it } from './test-runner.js';
+
+describe('OutboundQueue', () => {
+  describe('overflow', () => {
+    it('should drop the oldest frame by default', () => {
+      const dropped = [];
+      const queue = new OutboundQueue({ maxSize: 2, onDrop: frame => dropped.push(frame.n) });
+      queue.push({ n: 1 });
+      queue.push({ n: 2 });
+      queue.push({ n: 3 });
+
+      assert(dropped.join(',') === '1', 'Should drop the oldest frame');
+      assert(take(queue).n === 2 && take(queue).n === 3, 'Should keep the newest frames');
+    });
+
+    it('should drop the newest frame with drop-newest', () => {
+      const dropped = [];
+      const queue = new OutboundQueue({
+        maxSize: 1,
+        overflow: 'drop-newest',
+        onDrop: frame => dropped.push(frame.n),
+      });
+
+      assert(queue.push({ n: 1 }) === true, 'First frame should be queued');
+      assert(queue.push({ n: 2 }) === false, 'Second frame should be dropped');
+      assert(dropped.join(',') === '2', 'Should report the dropped frame');
+      assert(queue.length === 1, 'Queue should keep one frame');
+    });
+
+    it('should throw with reject', () => {
+      const queue = new OutboundQueue({ maxSize: 1, overflow: 'reject' });
+      queue.push({ n: 1 });
+
+      try {
+        queue.push({ n: 2 });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.code === 'queue_full', 'Should throw a queue_full error');
+      }
+    });
+
+    it('should throw on an unknown policy', () => {
+      try {
+        new OutboundQueue({ overflow: 'explode' });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('overflow'), 'Should throw policy error');
+      }
+    });
+  });
+
+  describe('ttl', () => {
+    it('should skip expired frames without removing the live ones', async () => {
+      const dropped = [];
+      const queue = new OutboundQueue({ onDrop: (frame, reason) => dropped.push(reason) });
+      queue.push({ n: 1 }, { ttl: 5 });
+      queue.push({ n: 2 });
+
+      await new Promise(resolve => setTimeout(resolve, 15));
+
+      assert(queue.frames().map(frame => frame.n).join(',') === '2', 'Should return the live frames');
+      assert(queue.length === 1, 'Should keep the live frame queued');
+      assert(dropped.join(',') === 'expired', 'Should report the expired frame');
+    });
+  });
+
+  describe('persistence', () => {
+    it('should restore persisted frames ahead of new ones', async () => {
+      const storage = new MemoryStorage();
+      const first = new OutboundQueue({ storage, key: 'queue' });
+      await first.restore();
+      first.push({ n: 1 }, { persist: true });
+      first.push({ n: 2 });
+      await first.writing;
+
+      const second = new OutboundQueue({ storage, key: 'queue' });
+      second.push({ n: 3 });
+      assert(second.ready === false, 'Queue should wait for restore');
+      await second.restore();
+
+      assert(take(second).n === 1, 'Persisted frame should come first');
+      assert(take(second).n === 3, 'New frame should follow');
+      assert(second.length === 0, 'Non-persisted frames should not be restored');
+
+      await second.writing;
+      assert(await storage.getItem('queue') === null, 'Storage should be cleared once drained');
+    });
+
+    it('should report storage errors', async () => {
+      const errors = [];
+      const storage = {
+        getItem: async () => { throw new Error('Broken'); },
+        setItem: async () => {},
+        removeItem: async () => {},
+      };
+      const queue = new OutboundQueue({ storage, key: 'queue', onError: error => errors.push(error) });
+      await queue.restore();
+
+      assert(errors.length === 1, 'Should report the error');
+      assert(queue.ready === true, 'Queue should still become ready');
+    });
+  });
+});
+
+describe('Storage adapters', () => {
+  it('should store JSON in Web Storage', async () => {
+    const items = new Map();
+    const storage = new WebStorage({
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      setItem: (key, value) => items.set(key, value),
+      removeItem: key => items.delete(key),
+    });
+
+    await storage.setItem('key', [{ n: 1 }]);
+    assert(items.get('key') === '[{"n":1}]', 'Should store a JSON string');
+    assert((await storage.getItem('key'))[0].n === 1, 'Should parse stored JSON');
+
+    await storage.removeItem('key');
+    assert(await storage.getItem('key') === null, 'Should return null when missing');
+  });
+
+  it('should store files with FileStorage', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'socket-base-'));
+    try {
+      const storage = new FileStorage({ directory });
+      assert(await storage.getItem('socket-base:hash:queue') === null, 'Should return null when missing');
+
+      await storage.setItem('socket-base:hash:queue', [{ n: 1 }]);
+      const restored = await new FileStorage({ directory }).getItem('socket-base:hash:queue');
+      assert(restored[0].n === 1, 'Should read the stored value');
+
+      await storage.removeItem('socket-base:hash:queue');
+      await storage.removeItem('socket-base:hash:queue');
+      assert(await storage.getItem('socket-base:hash:queue') === null, 'Should remove the file');
+    } finally {
+      await rm(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+// Remove and return the next frame, the way the client drains the queue
+function take(queue) {
+  const [frame] = queue.frames();
+  queue.remove(frame);
+  return frame;
+}
+
+// Simple assertion function
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
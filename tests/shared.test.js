@@ -0,0 +1,343 @@
+/**
+ * Tests for the shared connection across tabs
+ *
+ * Run with: npm test
+ */
+
+import { createClient } from '../index.js';
+import { describe, it, beforeEach, afterEach } from './test-runner.js';
+
+// BroadcastChannel between "tabs" of this process. Like the real one, a
+// message reaches every other channel with the same name, but not the sender.
+class FakeBroadcastChannel {
+  static channels = new Set();
+
+  constructor(name) {
+    this.name = name;
+    this.onmessage = null;
+    FakeBroadcastChannel.channels.add(this);
+  }
+
+  postMessage(message) {
+    const data = structuredClone(message);
+    for (const channel of FakeBroadcastChannel.channels) {
+      if (channel !== this && channel.name === this.name) {
+        setTimeout(() => {
+          if (FakeBroadcastChannel.channels.has(channel) && channel.onmessage) {
+            channel.onmessage({ data });
+          }
+        }, 0);
+      }
+    }
+  }
+
+  close() {
+    FakeBroadcastChannel.channels.delete(this);
+  }
+}
+
+// Exclusive Web Locks, granted in request order
+class FakeLockManager {
+  constructor() {
+    this.queues = new Map();
+  }
+
+  request(name, options, callback) {
+    return new Promise((resolve, reject) => {
+      const queue = this.queues.get(name) || [];
+      this.queues.set(name, queue);
+      const entry = { options, callback, resolve, reject };
+
+      if (options.signal) {
+        options.signal.addEventListener('abort', () => {
+          const index = queue.indexOf(entry);
+          if (index > 0) {
+            queue.splice(index, 1);
+            reject(options.signal.reason);
+          }
+        }, { once: true });
+      }
+
+      queue.push(entry);
+      if (queue.length === 1) {
+        this.grant(name);
+      }
+    });
+  }
+
+  grant(name) {
+    const queue = this.queues.get(name);
+    const entry = queue[0];
+    if (!entry) {
+      return;
+    }
+    Promise.resolve(entry.callback({ name })).then(entry.resolve, entry.reject).finally(() => {
+      queue.shift();
+      this.grant(name);
+    });
+  }
+}
+
+// Real server connection, shared by every tab
+class ServerSocket {
+  static sockets = [];
+
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    this.readyState = 0;
+    ServerSocket.sockets.push(this);
+    setTimeout(() => {
+      this.readyState = 1;
+      if (this.onopen) {
+        this.onopen({ type: 'open' });
+      }
+    }, 5);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(frame) {
+    if (this.onmessage) {
+      this.onmessage({ data: JSON.stringify(frame) });
+    }
+  }
+
+  frames(type) {
+    return this.sent.filter(frame => frame.type === type);
+  }
+}
+
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Answer every join the server has not answered yet
+function acceptJoins(socket) {
+  for (const frame of socket.frames('join').slice(socket.answered || 0)) {
+    socket.receive({ type: 'joined', room: frame.room, id: frame.id });
+  }
+  socket.answered = socket.frames('join').length;
+}
+
+describe('Shared connection', () => {
+  let locks = null;
+  let tabs = [];
+
+  const openTab = async () => {
+    const client = createClient({
+      hash: 'test-hash',
+      jwt: 'test-jwt',
+      autoConnect: false,
+      reconnectDelay: 10,
+      WebSocket: ServerSocket,
+      shared: { name: 'test', BroadcastChannel: FakeBroadcastChannel, locks },
+    });
+    tabs.push(client);
+    await client.connect();
+    return client;
+  };
+
+  beforeEach(() => {
+    locks = new FakeLockManager();
+    ServerSocket.sockets = [];
+  });
+
+  afterEach(() => {
+    tabs.forEach(client => client.close());
+    tabs = [];
+  });
+
+  it('should open a single socket for all tabs', async () => {
+    const first = await openTab();
+    const second = await openTab();
+
+    assert(ServerSocket.sockets.length === 1, 'Should open one socket');
+    assert(first.isLeader(), 'First tab should lead');
+    assert(!second.isLeader(), 'Second tab should follow');
+    assert(second.getConnectionStatus(), 'Follower should be connected');
+  });
+
+  it('should proxy joins, sends and room messages', async () => {
+    const leader = await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    const joinPromise = follower.join('chat');
+    await waitFor(() => socket.frames('join').length === 1);
+    acceptJoins(socket);
+    await joinPromise;
+    assert(follower.getRooms().includes('chat'), 'Follower should be in the room');
+    assert(!leader.getRooms().includes('chat'), 'Leader should not be in the room');
+
+    follower.send('chat', 'hello');
+    await waitFor(() => socket.frames('message').length === 1);
+    assert(socket.frames('message')[0].payload === 'hello', 'Should forward the message');
+
+    const received = [];
+    leader.on('message', ({ payload }) => received.push(`leader:${payload}`));
+    follower.on('message', ({ payload }) => received.push(`follower:${payload}`));
+    socket.receive({ type: 'message', room: 'chat', payload: 'hi' });
+    await waitFor(() => received.length === 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert(received.length === 1 && received[0] === 'follower:hi', 'Should only deliver to tabs in the room');
+  });
+
+  it('should route replies to the tab that sent the request', async () => {
+    const leader = await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    const leaderJoin = leader.join('a');
+    const followerJoin = follower.join('b');
+    await waitFor(() => socket.frames('join').length === 2);
+    const ids = socket.frames('join').map(frame => frame.id);
+    assert(ids[0] !== ids[1], 'Tabs should use distinct request IDs');
+
+    socket.receive({ type: 'error', id: socket.frames('join').find(frame => frame.room === 'b').id, message: 'Forbidden' });
+    socket.receive({ type: 'joined', room: 'a', id: socket.frames('join').find(frame => frame.room === 'a').id });
+    await leaderJoin;
+    try {
+      await followerJoin;
+      assert(false, 'Should reject');
+    } catch (error) {
+      assert(error.message === 'Forbidden', 'Should reject the follower join');
+    }
+  });
+
+  it('should join a room once and leave it with the last tab', async () => {
+    const leader = await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    const joins = Promise.all([leader.join('chat'), follower.join('chat')]);
+    await waitFor(() => socket.frames('join').length === 1);
+    acceptJoins(socket);
+    await joins;
+    assert(socket.frames('join').length === 1, 'Should join the room once');
+
+    await leader.leave('chat');
+    assert(socket.frames('leave').length === 0, 'Should stay in the room for the other tab');
+
+    const received = [];
+    follower.on('message', ({ payload }) => received.push(payload));
+    socket.receive({ type: 'message', room: 'chat', payload: 'still here' });
+    await waitFor(() => received.length === 1);
+
+    const leavePromise = follower.leave('chat');
+    await waitFor(() => socket.frames('leave').length === 1);
+    socket.receive({ type: 'left', room: 'chat', id: socket.frames('leave')[0].id });
+    await leavePromise;
+  });
+
+  it('should copy messages and calls to the other tabs in the room', async () => {
+    const leader = await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    const joins = Promise.all([leader.join('chat'), follower.join('chat')]);
+    await waitFor(() => socket.frames('join').length === 1);
+    acceptJoins(socket);
+    await joins;
+
+    const received = [];
+    leader.on('message', ({ payload }) => received.push(payload));
+    follower.send('chat', 'hello');
+    await waitFor(() => received.length === 1);
+    assert(received[0] === 'hello' && socket.frames('message').length === 1, 'Should deliver locally and to the server');
+
+    leader.handle('chat', 'add', ({ a, b }) => a + b);
+    const result = await follower.request('chat', 'add', { a: 1, b: 2 });
+    assert(result === 3, 'Should answer calls between tabs');
+  });
+
+  it('should prefix call IDs with the tab ID', async () => {
+    await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    follower.request('chat', 'add', {}, { timeout: 0 }).catch(() => {});
+    await waitFor(() => socket.frames('message').length === 1);
+    const { id } = socket.frames('message')[0].payload;
+    assert(id.startsWith(`${follower.shared.tabId}.`), 'Should use the tab ID of the caller');
+  });
+
+  it('should keep presence until the last tab untracks', async () => {
+    const leader = await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    const joins = Promise.all([leader.join('chat'), follower.join('chat')]);
+    await waitFor(() => socket.frames('join').length === 1);
+    acceptJoins(socket);
+    await joins;
+
+    follower.track('chat', { name: 'Follower' });
+    await waitFor(() => socket.frames('presence_track').length === 1);
+    leader.track('chat', { name: 'Leader' });
+    await waitFor(() => socket.frames('presence_track').length === 2);
+
+    leader.untrack('chat');
+    await waitFor(() => socket.frames('presence_track').length === 3);
+    assert(socket.frames('presence_untrack').length === 0, 'Should keep the follower presence');
+    assert(socket.frames('presence_track')[2].state.name === 'Follower', 'Should show the remaining tab state');
+
+    follower.untrack('chat');
+    await waitFor(() => socket.frames('presence_untrack').length === 1);
+  });
+
+  it('should hand over to another tab when the leader closes', async () => {
+    const leader = await openTab();
+    const follower = await openTab();
+    const [socket] = ServerSocket.sockets;
+
+    const joinPromise = follower.join('chat');
+    await waitFor(() => socket.frames('join').length === 1);
+    acceptJoins(socket);
+    await joinPromise;
+
+    let promoted = false;
+    follower.on('leader', () => { promoted = true; });
+    leader.close();
+    tabs = tabs.filter(client => client !== leader);
+
+    await waitFor(() => ServerSocket.sockets.length === 2 && ServerSocket.sockets[1].frames('join').length === 1);
+    assert(promoted && follower.isLeader(), 'Follower should take over');
+    assert(socket.readyState === 3, 'Old socket should be closed');
+    assert(ServerSocket.sockets[1].frames('join')[0].room === 'chat', 'Should re-join rooms on the new socket');
+  });
+
+  it('should fall back to its own connection without Web Locks', async () => {
+    const client = createClient({
+      hash: 'test-hash',
+      jwt: 'test-jwt',
+      autoConnect: false,
+      WebSocket: ServerSocket,
+      shared: { BroadcastChannel: FakeBroadcastChannel },
+    });
+    tabs.push(client);
+    await client.connect();
+
+    assert(client.isLeader(), 'Should hold its own connection');
+    assert(client.ws instanceof ServerSocket, 'Should connect directly');
+  });
+});
+
+// Simple assertion function
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
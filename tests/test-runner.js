@@ -50,9 +50,10 @@ export function afterEach(fn) {
   }
 }
 
-async function runTests(suite, indent = '') {
-  const suiteBeforeEaches = suite.beforeEaches || [];
-  const suiteAfterEaches = suite.afterEaches || [];
+async function runTests(suite, indent = '', parentBeforeEaches = [], parentAfterEaches = []) {
+  // Hooks from enclosing suites apply to nested suites as well
+  const suiteBeforeEaches = [...parentBeforeEaches, ...(suite.beforeEaches || [])];
+  const suiteAfterEaches = [...(suite.afterEaches || []), ...parentAfterEaches];
   
   console.log(`${indent}${suite.name}`);
   
@@ -84,7 +85,7 @@ async function runTests(suite, indent = '') {
       }
     } else {
       // Nested suite
-      await runTests(item, indent + '  ');
+      await runTests(item, indent + '  ', suiteBeforeEaches, suiteAfterEaches);
     }
   }
 }
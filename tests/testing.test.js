@@ -0,0 +1,241 @@
+/**
+ * Tests for the in-memory test server
+ *
+ * Run with: npm test
+ */
+
+import { createClient } from '../index.js';
+import { TestServer } from '../lib/testing.js';
+import { describe, it, beforeEach, afterEach } from './test-runner.js';
+
+describe('TestServer', () => {
+  let server;
+  let clients;
+
+  const connect = async (config = {}) => {
+    const client = createClient({
+      hash: 'test-hash',
+      jwt: 'test-jwt',
+      autoConnect: false,
+      reconnectDelay: 10,
+      WebSocket: server.WebSocket,
+      ...config,
+    });
+    clients.push(client);
+    await client.connect();
+    return client;
+  };
+
+  beforeEach(() => {
+    server = new TestServer();
+    clients = [];
+  });
+
+  afterEach(() => {
+    clients.forEach(client => client.close());
+    server.close();
+  });
+
+  it('should relay room messages to the other members', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    const carol = await connect();
+    await Promise.all([alice.join('chat'), bob.join('chat')]);
+
+    const received = [];
+    bob.on('message', ({ payload, from }) => received.push(`bob:${payload}:${from}`));
+    carol.on('message', ({ payload }) => received.push(`carol:${payload}`));
+    alice.send('chat', 'hello');
+    await server.settle();
+
+    assert(received.join(',') === `bob:hello:${server.clients[0].identity}`, 'Should only deliver to other members');
+    assert(server.members('chat').length === 2, 'Should track membership');
+    assert(server.frames({ type: 'message' })[0].payload === 'hello', 'Should record received frames');
+  });
+
+  it('should check membership and authorization', async () => {
+    server = new TestServer({ authorize: (connection, room) => room !== 'admin' });
+    const client = await connect();
+    const errors = [];
+    client.on('error', ({ type, room }) => errors.push(`${type}:${room}`));
+
+    try {
+      await client.join('admin');
+      assert(false, 'Should reject');
+    } catch (error) {
+      assert(/Not allowed/.test(error.message), 'Should reject the join');
+    }
+
+    client.send('chat', 'not a member');
+    await server.settle();
+    assert(errors.includes('server_error:chat'), 'Should reject messages outside the room');
+  });
+
+  it('should refuse connections and joins when a hook throws', async () => {
+    server = new TestServer({
+      authenticate: async (jwt) => {
+        if (jwt === 'bad-jwt') {
+          throw new Error('invalid token');
+        }
+        return jwt;
+      },
+      authorize: () => {
+        throw new Error('No rooms today');
+      },
+    });
+
+    const errors = [];
+    const rejected = createClient({ hash: 'test-hash', jwt: 'bad-jwt', autoConnect: false, autoReconnect: false, WebSocket: server.WebSocket });
+    clients.push(rejected);
+    rejected.on('error', ({ type, code }) => errors.push(`${type}:${code}`));
+    await rejected.connect().catch(() => {});
+
+    assert(errors.includes('auth_error:4001'), 'Should refuse the connection as unauthorized');
+    assert(rejected.getState() === 'failed', 'Should not stay connecting');
+
+    const client = await connect();
+    try {
+      await client.join('chat');
+      assert(false, 'Should reject');
+    } catch (error) {
+      assert(/No rooms today/.test(error.message), 'Should refuse the join');
+    }
+    await server.settle();
+  });
+
+  it('should broadcast, ack and answer pings', async () => {
+    const sender = await connect({ ackMessages: true, heartbeatInterval: 5 });
+    const other = await connect();
+    const broadcasts = [];
+    other.on('broadcast', ({ payload }) => broadcasts.push(payload));
+
+    const result = await sender.broadcast('news');
+    await server.settle();
+    await waitFor(() => sender.getLatency() !== null);
+
+    assert(result.success === true, 'Should ack the broadcast');
+    assert(broadcasts.join(',') === 'news', 'Should deliver the broadcast');
+  });
+
+  it('should keep history, presence and replay missed messages', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await Promise.all([alice.join('chat'), bob.join('chat')]);
+
+    alice.track('chat', { name: 'Alice' });
+    ['a', 'b', 'c'].forEach(payload => alice.send('chat', payload));
+    await server.settle();
+
+    const page = await bob.history('chat', { limit: 2 });
+    assert(page.messages.map(message => message.payload).join('') === 'bc' && page.hasMore, 'Should page history');
+    assert(Object.values(bob.getPresence('chat'))[0].name === 'Alice', 'Should share presence');
+
+    const replayed = [];
+    bob.on('message', ({ payload, replayed: isReplay }) => replayed.push(`${payload}:${isReplay}`));
+    server.closeConnections({ id: server.clients[1].id });
+    await server.settle();
+    alice.send('chat', 'd');
+    await waitFor(() => replayed.length === 1);
+
+    assert(replayed[0] === 'd:true', 'Should replay the missed message on re-join');
+  });
+
+  it('should deliver messages sent while reconnecting once the room is re-joined', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await Promise.all([alice.join('chat'), bob.join('chat')]);
+    const received = [];
+    const errors = [];
+    bob.on('message', ({ payload }) => received.push(payload));
+    alice.on('error', ({ type }) => errors.push(type));
+
+    server.closeConnections({ id: server.clients[0].id });
+    await waitFor(() => !alice.getConnectionStatus());
+    alice.send('chat', 'while offline');
+    await waitFor(() => received.length === 1);
+
+    assert(received[0] === 'while offline', 'Should deliver the queued message');
+    assert(errors.length === 0, `Should not fail, got ${errors.join(',')}`);
+    assert(server.members('chat').length === 2, 'Should re-join the room');
+  });
+
+  it('should settle a leave sent while reconnecting without sending it', async () => {
+    const alice = await connect();
+    await alice.join('chat');
+
+    server.closeConnections({ id: server.clients[0].id });
+    await waitFor(() => !alice.getConnectionStatus());
+    const result = await alice.leave('chat');
+    await server.settle();
+
+    assert(result.success === true, 'Should resolve the leave');
+    assert(server.frames({ type: 'leave' }).length === 0, 'Should not send the leave');
+    assert(server.members('chat').length === 0, 'Should not be in the room');
+  });
+
+  it('should drop and delay frames', async () => {
+    const alice = await connect();
+    const bob = await connect();
+    await Promise.all([alice.join('chat'), bob.join('chat')]);
+    const received = [];
+    bob.on('message', ({ payload }) => received.push(payload));
+
+    server.dropFrames({ direction: 'to-client', type: 'message' }, { times: 1 });
+    server.delayFrames(30, (frame, { direction }) => direction === 'to-server' && frame.payload === 'slow');
+    alice.send('chat', 'lost');
+    alice.send('chat', 'slow');
+    alice.send('chat', 'fast');
+    await server.settle();
+
+    assert(received.join(',') === 'fast,slow', 'Should drop one frame and delay another');
+  });
+
+  it('should reject connections and force closes', async () => {
+    const stop = server.rejectConnections({ times: 1 });
+    const client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, reconnectDelay: 10, WebSocket: server.WebSocket });
+    clients.push(client);
+    const errors = [];
+    client.on('error', ({ type, code }) => errors.push(`${type}:${code}`));
+    client.connect().catch(() => {});
+    await waitFor(() => errors.includes('auth_error:4001'));
+    stop();
+
+    await waitFor(() => client.getConnectionStatus(), 2000);
+    const closes = [];
+    client.on('close', ({ code }) => closes.push(code));
+    server.closeConnections(null, { code: 1011, reason: 'Restart' });
+    await server.settle();
+
+    assert(closes.join(',') === '1011', 'Should close the socket with the code');
+  });
+
+  it('should speak binary codecs', async () => {
+    const alice = await connect({ codec: 'msgpack' });
+    const bob = await connect({ codec: 'cbor' });
+    await Promise.all([alice.join('chat'), bob.join('chat')]);
+    const received = [];
+    bob.on('message', ({ payload }) => received.push(payload));
+
+    alice.send('chat', { text: 'hi' });
+    await server.settle();
+
+    assert(received[0].text === 'hi', 'Should decode and re-encode frames');
+  });
+});
+
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+// Simple assertion function
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}
@@ -0,0 +1,361 @@
+/**
+ * Tests for transports
+ *
+ * Run with: npm test
+ */
+
+import { createClient } from '../index.js';
+import { PollingTransport } from '../lib/polling-transport.js';
+import { describe, it, afterEach } from './test-runner.js';
+
+// In-memory polling server behind a fake fetch
+function createPollingServer(options = {}) {
+  const server = {
+    requests: [],
+    received: [],
+    outgoing: [],
+    waiting: null,
+    deleted: null,
+  };
+
+  server.fetch = async (url, init = {}) => {
+    const { pathname } = new URL(url);
+    const [, , sid] = pathname.split('/').filter(Boolean);
+    server.requests.push({ url, method: init.method, headers: init.headers });
+
+    if (!sid && init.method === 'POST') {
+      if (options.openDelay) {
+        await new Promise(resolve => setTimeout(resolve, options.openDelay));
+      }
+      if (options.openStatus) {
+        return new Response(null, { status: options.openStatus });
+      }
+      return Response.json({ sid: 'session-1' });
+    }
+    if (init.method === 'POST') {
+      server.received.push(...JSON.parse(init.body).map(data => JSON.parse(data)));
+      return new Response(null, { status: 204 });
+    }
+    if (init.method === 'DELETE') {
+      server.deleted = sid;
+      return new Response(null, { status: 204 });
+    }
+
+    // GET waits until frames are pushed or the request is aborted
+    if (options.emptyPolls) {
+      return new Response(null, { status: 204 });
+    }
+    if (options.pollBody !== undefined) {
+      return Response.json(options.pollBody);
+    }
+    if (server.outgoing.length > 0) {
+      return server.respond();
+    }
+    return new Promise((resolve, reject) => {
+      server.waiting = resolve;
+      init.signal.addEventListener('abort', () => reject(new Error('aborted')));
+    });
+  };
+
+  server.respond = () => Response.json(server.outgoing.splice(0).map(frame => JSON.stringify(frame)));
+
+  server.push = (...frames) => {
+    server.outgoing.push(...frames);
+    if (server.waiting) {
+      const resolve = server.waiting;
+      server.waiting = null;
+      resolve(server.respond());
+    }
+  };
+
+  return server;
+}
+
+// WebSocket whose connections always fail, like a blocked upgrade
+class BlockedWebSocket {
+  constructor(url) {
+    this.url = url;
+    setTimeout(() => {
+      if (this.onerror) {
+        this.onerror({ type: 'error' });
+      }
+      if (this.onclose) {
+        this.onclose({ type: 'close', code: 1006 });
+      }
+    }, 5);
+  }
+
+  close() {}
+}
+
+// WebSocket that records its constructor arguments and opens right away
+class RecordingWebSocket {
+  constructor(...args) {
+    this.args = args;
+    this.sent = [];
+    setTimeout(() => {
+      if (this.onopen) {
+        this.onopen({ type: 'open' });
+      }
+    }, 5);
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+
+  close() {}
+}
+
+async function waitFor(condition, timeout = 1000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeout) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+}
+
+describe('Transports', () => {
+  let client = null;
+
+  afterEach(() => {
+    if (client) {
+      client.close();
+      client = null;
+    }
+  });
+
+  describe('WebSocket', () => {
+    it('should use an injected WebSocket constructor', async () => {
+      client = createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, WebSocket: RecordingWebSocket });
+      await client.connect();
+
+      assert(client.ws instanceof RecordingWebSocket, 'Should use the injected constructor');
+      assert(client.ws.args.length === 1 && client.ws.args[0].includes('/ws/test-hash?jwt=test-jwt'), 'Should pass the URL only');
+    });
+
+    it('should pass subprotocols and headers', async () => {
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        WebSocket: RecordingWebSocket,
+        protocols: ['v1'],
+        headers: { 'X-Client': 'test' },
+      });
+      await client.connect();
+
+      const [, protocols, options] = client.ws.args;
+      assert(protocols[0] === 'v1', 'Should pass subprotocols');
+      assert(options.headers['X-Client'] === 'test', 'Should pass headers');
+    });
+
+    it('should reject unknown transports', () => {
+      try {
+        createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, transports: ['carrier-pigeon'] });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('Unknown transport'), 'Should throw transport error');
+      }
+    });
+
+    it('should reject polling with a binary codec', () => {
+      try {
+        createClient({ hash: 'test-hash', jwt: 'test-jwt', autoConnect: false, codec: 'msgpack', transports: ['polling'] });
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('text codecs'), 'Should throw codec error');
+      }
+    });
+  });
+
+  describe('fallback', () => {
+    it('should switch to polling when the WebSocket connection fails', async () => {
+      const server = createPollingServer();
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        WebSocket: BlockedWebSocket,
+        fetch: server.fetch,
+        transports: ['websocket', 'polling'],
+      });
+
+      let fallback = null;
+      let closed = false;
+      client.on('transport_fallback', data => { fallback = data; });
+      client.on('close', () => { closed = true; });
+
+      await client.connect();
+      assert(client.getConnectionStatus(), 'Should be connected');
+      assert(client.getTransport() === 'polling', 'Should use polling');
+      assert(fallback.from === 'websocket' && fallback.to === 'polling', 'Should emit transport_fallback');
+      assert(!closed, 'Should not report the failed attempt as a close');
+
+      const open = server.requests[0];
+      assert(open.url === 'https://api.socket-base.com/poll/test-hash', 'Should open a session over HTTPS');
+      assert(open.headers.Authorization === 'Bearer test-jwt', 'Should send the token as a header');
+    });
+
+    it('should send and receive frames over polling', async () => {
+      const server = createPollingServer();
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        fetch: server.fetch,
+        transports: ['polling'],
+      });
+      await client.connect();
+
+      const joinPromise = client.join('chat');
+      client.send('chat', 'hello');
+      await waitFor(() => server.received.length === 2);
+      assert(server.received[0].type === 'join' && server.received[1].payload === 'hello', 'Should send frames in order');
+
+      const received = [];
+      client.on('message', ({ payload }) => received.push(payload));
+      server.push(
+        { type: 'joined', room: 'chat', id: server.received[0].id },
+        { type: 'message', room: 'chat', payload: 'hi' }
+      );
+      await joinPromise;
+      await waitFor(() => received.length === 1);
+      assert(received[0] === 'hi', 'Should receive frames');
+
+      client.close();
+      client = null;
+      assert(server.deleted === 'session-1', 'Should end the session on close');
+    });
+
+    it('should try WebSocket again when the fallback connection drops', async () => {
+      const server = createPollingServer();
+      let blocked = true;
+      class FlakyWebSocket {
+        constructor(url) {
+          return blocked ? new BlockedWebSocket(url) : new RecordingWebSocket(url);
+        }
+      }
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        reconnectDelay: 10,
+        WebSocket: FlakyWebSocket,
+        fetch: server.fetch,
+        transports: ['websocket', 'polling'],
+      });
+
+      await client.connect();
+      assert(client.getTransport() === 'polling', 'Should fall back to polling');
+
+      blocked = false;
+      client.ws.close(1006);
+      await waitFor(() => client.getConnectionStatus() && client.getTransport() === 'websocket');
+      assert(client.ws instanceof RecordingWebSocket, 'Should reconnect over WebSocket');
+    });
+
+    it('should not fall back without another transport', async () => {
+      client = createClient({
+        hash: 'test-hash',
+        jwt: 'test-jwt',
+        autoConnect: false,
+        autoReconnect: false,
+        WebSocket: BlockedWebSocket,
+      });
+
+      try {
+        await client.connect();
+        assert(false, 'Should reject');
+      } catch (error) {
+        assert(error.type === 'error', 'Should reject with the connection error');
+      }
+      assert(client.getTransport() === 'websocket', 'Should keep the WebSocket transport');
+    });
+  });
+
+  describe('PollingTransport', () => {
+    it('should report auth failures with auth close codes', async () => {
+      const server = createPollingServer({ openStatus: 401 });
+      const transport = new PollingTransport('https://example.com/poll/hash', { fetch: server.fetch });
+
+      const events = [];
+      transport.onerror = () => events.push('error');
+      transport.onclose = ({ code }) => events.push(code);
+      await waitFor(() => events.length === 2);
+
+      assert(events[0] === 'error' && events[1] === 4001, 'Should close with 4001');
+      assert(transport.readyState === 3, 'Should be closed');
+    });
+
+    it('should batch frames sent in the same tick', async () => {
+      const server = createPollingServer();
+      const transport = new PollingTransport('https://example.com/poll/hash', { fetch: server.fetch });
+      await new Promise(resolve => { transport.onopen = resolve; });
+
+      transport.send(JSON.stringify({ n: 1 }));
+      transport.send(JSON.stringify({ n: 2 }));
+      transport.send(JSON.stringify({ n: 3 }));
+      await waitFor(() => server.received.length === 3);
+
+      const sends = server.requests.filter(request => request.method === 'POST' && request.url.includes('session-1'));
+      assert(sends.length === 1, 'Should send the frames in one request');
+      transport.close();
+    });
+
+    it('should end a session created after close()', async () => {
+      const server = createPollingServer({ openDelay: 10 });
+      const transport = new PollingTransport('https://example.com/poll/hash', { fetch: server.fetch });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      transport.close();
+
+      await waitFor(() => server.deleted !== null);
+      assert(server.deleted === 'session-1', 'Should delete the late session');
+    });
+
+    it('should back off when empty polls return right away', async () => {
+      const server = createPollingServer({ emptyPolls: true });
+      const transport = new PollingTransport('https://example.com/poll/hash', { fetch: server.fetch });
+      await new Promise(resolve => { transport.onopen = resolve; });
+      await new Promise(resolve => setTimeout(resolve, 150));
+      transport.close();
+
+      const polls = server.requests.filter(request => request.method === 'GET');
+      assert(polls.length <= 3, `Should wait between empty polls, sent ${polls.length}`);
+    });
+
+    it('should close when a poll does not return an array of frames', async () => {
+      const server = createPollingServer({ pollBody: { error: 'Session expired' } });
+      const transport = new PollingTransport('https://example.com/poll/hash', { fetch: server.fetch });
+      let error = null;
+      transport.onerror = (event) => { error = event.error; };
+      const closed = new Promise(resolve => { transport.onclose = resolve; });
+
+      const { code } = await closed;
+      assert(code === 1006, 'Should close the transport');
+      assert(/not an array/.test(error.message), 'Should report the invalid response');
+    });
+
+    it('should only send text frames while open', async () => {
+      const server = createPollingServer();
+      const transport = new PollingTransport('https://example.com/poll/hash', { fetch: server.fetch });
+
+      try {
+        transport.send('{}');
+        assert(false, 'Should throw error');
+      } catch (error) {
+        assert(error.message.includes('not open'), 'Should throw when not open');
+      }
+      transport.close();
+    });
+  });
+});
+
+// Simple assertion function
+function assert(condition, message) {
+  if (!condition) {
+    throw new Error(`Assertion failed: ${message}`);
+  }
+}